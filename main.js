@@ -11,744 +11,10164 @@
 const STORAGE_KEYS = {
     EXPENSES: 'expenseTracker_expenses',
     CATEGORIES: 'expenseTracker_categories',
-    SETTINGS: 'expenseTracker_settings'
+    INCOME_CATEGORIES: 'expenseTracker_incomeCategories',
+    SETTINGS: 'expenseTracker_settings',
+    BUDGETS: 'expenseTracker_budgets',
+    RECURRING: 'expenseTracker_recurring',
+    CATEGORY_STYLES: 'expenseTracker_categoryStyles',
+    TRASH: 'expenseTracker_trash',
+    TOMBSTONES: 'expenseTracker_tombstones', // 同期用の削除記録
+    SYNC_CONFIG: 'expenseTracker_syncConfig', // 同期先とシークレット（エクスポートしない）
+    SYNC_STATE: 'expenseTracker_syncState',
+    SAVED_FILTERS: 'expenseTracker_savedFilters',
+    ACCOUNTS: 'expenseTracker_accounts',
+    TRANSFERS: 'expenseTracker_transfers',
+    PEOPLE: 'expenseTracker_people',
+    SETTLEMENTS: 'expenseTracker_settlements',
+    RULES: 'expenseTracker_rules',
+    SCHEMA_VERSION: 'expenseTracker_schemaVersion',
+    BACKUP: 'expenseTracker_backup' // マイグレーション前のバックアップ（IndexedDBを利用できない場合）
 };
 
 // デフォルトカテゴリ
 const DEFAULT_CATEGORIES = ['食費', '交通費', '娯楽', '日用品', '光熱費', 'その他'];
 
+// 収入のデフォルトカテゴリ（支出のカテゴリとは別に管理する）
+const DEFAULT_INCOME_CATEGORIES = ['給与', '賞与', '副業', '臨時収入', 'その他収入'];
+
+// 記録の種別と表示名
+const ENTRY_TYPES = {
+    expense: '支出',
+    income: '収入'
+};
+
+// 支払い口座の種類と表示名
+const ACCOUNT_KINDS = {
+    cash: '現金',
+    bank: '銀行口座',
+    credit: 'クレジットカード',
+    emoney: '電子マネー'
+};
+
+// 初期状態の口座（口座が未設定の記録はこの口座として扱う）
+const DEFAULT_ACCOUNT_ID = 'cash';
+const DEFAULT_ACCOUNTS = [
+    { id: DEFAULT_ACCOUNT_ID, name: '現金', kind: 'cash', initialBalance: 0, closingDay: null, paymentDay: null, createdAt: 0 }
+];
+
+// 口座名の最大文字数
+const ACCOUNT_NAME_MAX_LENGTH = 20;
+
+// 割り勘で自分を表す人のID（削除できない）と、初期状態の人の一覧
+const SELF_PERSON_ID = 'me';
+const DEFAULT_PEOPLE = [{ id: SELF_PERSON_ID, name: '自分', createdAt: 0 }];
+
+// 人の名前の最大文字数
+const PERSON_NAME_MAX_LENGTH = 20;
+
+// 割り勘の分け方と表示名
+const SPLIT_METHODS = {
+    equal: '均等',
+    percent: '割合',
+    amount: '金額'
+};
+
 // 設定のデフォルト値
 const DEFAULT_SETTINGS = {
     currency: '¥',
     dateFormat: 'YYYY-MM-DD',
-    defaultCategory: 'その他'
+    defaultCategory: 'その他',
+    defaultAccountId: DEFAULT_ACCOUNT_ID, // 支出の追加時に最初から選択される口座
+    weekStart: 1, // 週の開始曜日（0: 日曜, 1: 月曜）
+    locale: 'ja-JP',
+    baseCurrency: 'JPY', // 集計に使用する基準通貨
+    exchangeRates: [], // 為替レート表（{ id, currency, rate, from, to }の配列）
+    pageSize: 20, // 支出一覧の1ページあたりの表示件数
+    trashRetentionDays: 30, // ゴミ箱の支出を自動で完全削除するまでの日数
+    showRunningBalance: false, // 支出一覧に残高（収支の累計）の列を表示する
+    myShareOnly: false // カテゴリ別集計を割り勘の自分の負担分のみで計算する
+};
+
+// 支出一覧で選択できる1ページあたりの表示件数
+const PAGE_SIZES = [20, 50, 100];
+
+// 設定画面で選択できる日付表示形式
+const DATE_FORMATS = ['YYYY/MM/DD', 'YYYY-MM-DD', 'YYYY年M月D日', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// 設定画面で選択できるロケール（数値の桁区切りに使用）
+const LOCALES = {
+    'ja-JP': '日本語（1,234.5）',
+    'en-US': '英語・米国（1,234.5）',
+    'de-DE': 'ドイツ語（1.234,5）',
+    'fr-FR': 'フランス語（1 234,5）'
+};
+
+// 利用できる通貨（記号と補助単位の桁数）
+const CURRENCIES = {
+    JPY: { name: '日本円', symbol: '¥', decimals: 0 },
+    USD: { name: '米ドル', symbol: '$', decimals: 2 },
+    EUR: { name: 'ユーロ', symbol: '€', decimals: 2 },
+    GBP: { name: '英ポンド', symbol: '£', decimals: 2 },
+    KRW: { name: '韓国ウォン', symbol: '₩', decimals: 0 },
+    CNY: { name: '人民元', symbol: '元', decimals: 2 },
+    TWD: { name: '台湾ドル', symbol: 'NT$', decimals: 2 },
+    AUD: { name: '豪ドル', symbol: 'A$', decimals: 2 }
+};
+
+// 予算の警告を表示する使用率（80%以上で警告）
+const BUDGET_WARNING_RATIO = 0.8;
+
+// CSVインポートで選択できる日付形式
+const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD', 'YYYYMMDD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// CSVインポートで「使用しない」を選べる列の選択欄
+const CSV_OPTIONAL_COLUMN_IDS = ['csvCategoryColumn', 'csvMemoColumn', 'csvTypeColumn', 'csvAccountColumn', 'csvCurrencyColumn'];
+
+// CSVのヘッダー名から列の役割を推測するためのキーワード
+const CSV_COLUMN_KEYWORDS = {
+    date: ['日付', '利用日', 'date'],
+    amount: ['金額', '利用金額', 'amount'],
+    category: ['カテゴリ', '分類', 'category'],
+    memo: ['メモ', '摘要', '内容', '利用店名', 'memo', 'description'],
+    type: ['種別', 'type'],
+    account: ['口座', 'account'],
+    currency: ['通貨', 'currency']
+};
+
+// 明細インポートで読み込める形式（カード会社のCSVはCARD_CSV_PRESETS）
+const STATEMENT_FORMATS = {
+    ofx: 'OFX/QFX',
+    qif: 'QIF'
+};
+
+// カード会社のCSV明細の形式（各項目の列名、ヘッダー行のない形式は列番号）
+// 利用額は正の数、返金は負の数で出力される
+const CARD_CSV_PRESETS = {
+    rakuten: { name: '楽天カード', columns: { date: '利用日', memo: '利用店名・商品名', amount: '利用金額' } },
+    jcb: { name: 'JCBカード', columns: { date: 'ご利用日', memo: 'ご利用先など', amount: 'ご利用金額' } },
+    saison: { name: 'セゾンカード', columns: { date: '利用日', memo: 'ご利用店名及び商品名', amount: '利用金額' } },
+    smbc: { name: '三井住友カード', columns: { date: 0, memo: 1, amount: 2 } }
+};
+
+// カード会社のCSV明細でヘッダー行を探す行数（明細の前に会員情報などの行がある形式のため）
+const CARD_CSV_HEADER_SEARCH_ROWS = 20;
+
+// グラフの配色（カテゴリに色が設定されていない場合に順番に使用）
+const CHART_COLORS = [
+    '#4a90e2', '#e74c3c', '#27ae60', '#f39c12', '#9b59b6',
+    '#1abc9c', '#e67e22', '#34495e', '#e84393', '#95a5a6'
+];
+
+// 集計期間の単位と表示名
+const PERIOD_UNITS = {
+    day: '日',
+    week: '週',
+    month: '月',
+    year: '年'
+};
+
+// 曜日の表示名
+const WEEKDAY_NAMES = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 定期支出の繰り返し周期と表示名
+const RECURRING_FREQUENCIES = {
+    daily: '毎日',
+    weekly: '毎週',
+    monthly: '毎月',
+    yearly: '毎年'
+};
+
+// 元に戻せる操作の最大件数
+const HISTORY_LIMIT = 50;
+
+// 操作の種類と表示名
+const OPERATION_LABELS = {
+    add: '追加',
+    update: '編集',
+    delete: '削除'
+};
+
+// トーストを表示しておく時間（ミリ秒）
+const TOAST_DURATION = 5000;
+
+// 1日のミリ秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 同期プロトコルのバージョン
+const SYNC_PROTOCOL_VERSION = 3;
+
+// 支出以外に同期するデータ（変更の項目名 → 読み込み・保存の関数）
+// カテゴリの一覧・予算・設定は1つの値として保存しているため、定期支出はどの端末でも同じ支出を生成してしまうため、
+// 自動分類ルールは優先順位を配列の順序で持つため同期せず、端末ごとに管理する
+const SYNC_RECORD_STORES = {
+    accounts: { load: () => loadAccounts(), save: records => saveAccounts(records) },
+    transfers: { load: () => loadTransfers(), save: records => saveTransfers(records) },
+    people: { load: () => loadPeople(), save: records => savePeople(records) },
+    settlements: { load: () => loadSettlements(), save: records => saveSettlements(records) }
+};
+
+// 同期リクエストの再試行回数と、初回の再試行までの待ち時間（ミリ秒、再試行ごとに倍）
+const SYNC_MAX_RETRIES = 3;
+const SYNC_RETRY_BASE_DELAY = 1000;
+
+// 同期リクエストのタイムアウト（ミリ秒）
+const SYNC_REQUEST_TIMEOUT = 15000;
+
+// フィルタ入力から画面を更新するまでの待ち時間（ミリ秒）
+const FILTER_INPUT_DELAY = 250;
+
+// 検索クエリで指定できる項目名（別名を含む）と検索対象
+const QUERY_FIELDS = {
+    category: 'category',
+    cat: 'category',
+    カテゴリ: 'category',
+    memo: 'memo',
+    メモ: 'memo',
+    tag: 'tag',
+    タグ: 'tag',
+    type: 'type',
+    種別: 'type',
+    account: 'account',
+    口座: 'account',
+    amount: 'amount',
+    金額: 'amount',
+    date: 'date',
+    日付: 'date'
+};
+
+// 検索クエリで使用できる相対日付（集計単位と、今日を含む期間からの移動量）
+const RELATIVE_DATES = {
+    today: { unit: 'day', offset: 0 },
+    今日: { unit: 'day', offset: 0 },
+    yesterday: { unit: 'day', offset: -1 },
+    昨日: { unit: 'day', offset: -1 },
+    'this-week': { unit: 'week', offset: 0 },
+    今週: { unit: 'week', offset: 0 },
+    'last-week': { unit: 'week', offset: -1 },
+    先週: { unit: 'week', offset: -1 },
+    'this-month': { unit: 'month', offset: 0 },
+    今月: { unit: 'month', offset: 0 },
+    'last-month': { unit: 'month', offset: -1 },
+    先月: { unit: 'month', offset: -1 },
+    'this-year': { unit: 'year', offset: 0 },
+    今年: { unit: 'year', offset: 0 },
+    'last-year': { unit: 'year', offset: -1 },
+    去年: { unit: 'year', offset: -1 },
+    昨年: { unit: 'year', offset: -1 }
 };
 
+// クイック入力で使用できる相対日付（今日からの日数）
+const QUICK_ENTRY_DATES = {
+    today: 0,
+    今日: 0,
+    きょう: 0,
+    yesterday: -1,
+    昨日: -1,
+    きのう: -1,
+    一昨日: -2,
+    おととい: -2
+};
+
+// 過去の記録からルールを提案する条件（同じメモの記録の件数と、同じカテゴリが使われた割合）と提案の最大数
+const RULE_LEARN_MIN_COUNT = 3;
+const RULE_LEARN_MIN_RATIO = 0.8;
+const RULE_CANDIDATE_LIMIT = 10;
+
+// ルールに一致しない場合に、同じメモの過去の記録からカテゴリを提案する割合（半数以上で使われたカテゴリ）
+const RULE_SUGGEST_MIN_RATIO = 0.5;
+
+// URLのハッシュに反映するフィルタ（パラメータ名と入力欄のID）
+const FILTER_HASH_PARAMS = {
+    q: 'searchQuery',
+    type: 'typeFilter',
+    from: 'dateFrom',
+    to: 'dateTo',
+    category: 'categoryFilter',
+    tag: 'tagFilter',
+    account: 'accountFilter',
+    min: 'amountMin',
+    max: 'amountMax',
+    memo: 'searchMemo',
+    sort: 'sortBy'
+};
+
+// 並び順の初期値（URLのハッシュには初期値以外の場合のみ含める）
+const DEFAULT_SORT = 'date-desc';
+
+// タグの最大文字数と、1件の支出に付けられるタグの最大数
+const TAG_MAX_LENGTH = 20;
+const TAG_MAX_COUNT = 10;
+
+// 保存するフィルタの名前の最大文字数
+const SAVED_FILTER_NAME_MAX_LENGTH = 30;
+
+// 支出データを保存するIndexedDBの設定
+const EXPENSE_DB = {
+    NAME: 'expenseTracker',
+    VERSION: 2,
+    STORE: 'expenses',
+    BACKUP_STORE: 'backups',
+    ATTACHMENT_STORE: 'attachments'
+};
+
+// マイグレーション前のバックアップのキー（最新の1件のみ保存する）
+const MIGRATION_BACKUP_ID = 'migration';
+
+// 添付ファイル（レシートの画像・PDF）の制限
+const ATTACHMENT_MAX_COUNT = 10; // 1件の支出に添付できる最大数
+const ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024; // 1ファイルの最大サイズ（圧縮後）
+const ATTACHMENT_ACCEPT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'application/pdf'];
+// インポートで受け付けるサムネイルの形式（アプリが作成する画像のデータURLのみ）
+const ATTACHMENT_THUMBNAIL_PATTERN = /^data:image\/(jpeg|png|webp|gif);base64,[A-Za-z0-9+/]*={0,2}$/;
+
+// 画像の圧縮設定（長辺を縮小してJPEGで保存する）
+const ATTACHMENT_IMAGE_MAX_SIZE = 1600; // 保存する画像の長辺のピクセル数
+const ATTACHMENT_IMAGE_QUALITY = 0.8;
+const ATTACHMENT_THUMBNAIL_SIZE = 96; // 一覧に表示するサムネイルの長辺のピクセル数
+
 // ========================================
-// データ管理ユーティリティ
+// 支出データストア
 // ========================================
 
+let expenseCache = null; // 支出データのメモリキャッシュ（initExpenseStoreの完了後に利用）
+let expenseBackend = null; // 支出データの保存先（IndexedDBまたはlocalStorage）
+let expenseWriteQueue = Promise.resolve(); // 保存処理を順番に実行するためのキュー
+
 /**
- * 支出データを読み込む
+ * localStorageから支出データを読み込む
  * @returns {Array} 支出データの配列
  */
-function loadExpenses() {
-    try {
-        const data = localStorage.getItem(STORAGE_KEYS.EXPENSES);
-        return data ? JSON.parse(data) : [];
-    } catch (error) {
-        console.error('支出データの読み込みに失敗しました:', error);
-        return [];
-    }
+function readLocalStorageExpenses() {
+    const data = localStorage.getItem(STORAGE_KEYS.EXPENSES);
+    return data ? JSON.parse(data) : [];
 }
 
 /**
- * 支出データを保存する
+ * localStorageに支出データを書き込む
  * @param {Array} expenses - 支出データの配列
  */
-function saveExpenses(expenses) {
-    try {
-        localStorage.setItem(STORAGE_KEYS.EXPENSES, JSON.stringify(expenses));
-    } catch (error) {
-        console.error('支出データの保存に失敗しました:', error);
-        alert('データの保存に失敗しました。ブラウザのストレージ容量を確認してください。');
-    }
+function writeLocalStorageExpenses(expenses) {
+    localStorage.setItem(STORAGE_KEYS.EXPENSES, JSON.stringify(expenses));
 }
 
+// IndexedDBが利用できない環境で使用する保存先
+const localStorageExpenseBackend = {
+    name: 'localStorage',
+    loadAll: async () => readLocalStorageExpenses(),
+    persist: async (changes, expenses) => writeLocalStorageExpenses(expenses),
+    saveBackup: async data => localStorage.setItem(STORAGE_KEYS.BACKUP, JSON.stringify(data))
+};
+
 /**
- * カテゴリリストを読み込む
- * @returns {Array} カテゴリの配列
+ * 支出データ用のIndexedDBを開く
+ * 初回は日付・カテゴリのインデックス付きの支出ストアとマイグレーション前のバックアップのストアを、
+ * バージョン2で添付ファイルのストアを作成する
+ * @returns {Promise<IDBDatabase>} データベース
  */
-function loadCategories() {
-    try {
-        const data = localStorage.getItem(STORAGE_KEYS.CATEGORIES);
-        return data ? JSON.parse(data) : DEFAULT_CATEGORIES;
-    } catch (error) {
-        console.error('カテゴリデータの読み込みに失敗しました:', error);
-        return DEFAULT_CATEGORIES;
+function openExpenseDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(EXPENSE_DB.NAME, EXPENSE_DB.VERSION);
+        request.onupgradeneeded = event => {
+            const db = request.result;
+            if (event.oldVersion < 1) {
+                const store = db.createObjectStore(EXPENSE_DB.STORE, { keyPath: 'id' });
+                store.createIndex('date', 'date');
+                store.createIndex('category', 'category');
+                db.createObjectStore(EXPENSE_DB.BACKUP_STORE, { keyPath: 'id' });
+            }
+            if (event.oldVersion < 2) {
+                const store = db.createObjectStore(EXPENSE_DB.ATTACHMENT_STORE, { keyPath: 'id' });
+                store.createIndex('expenseId', 'expenseId');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * ストアに対するトランザクションを実行する
+ * @param {IDBDatabase} db - データベース
+ * @param {string} mode - 'readonly' または 'readwrite'
+ * @param {Function} callback - ストアを受け取り、結果を返すリクエスト（任意）を返す関数
+ * @param {string} [storeName] - ストア名（省略時は支出ストア）
+ * @returns {Promise<*>} トランザクション完了時にリクエストの結果を返す
+ */
+function runExpenseTransaction(db, mode, callback, storeName = EXPENSE_DB.STORE) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * IndexedDBを保存先とするバックエンドを作成する
+ * @param {IDBDatabase} db - データベース
+ * @returns {Object} { name, loadAll, persist, saveBackup }
+ */
+function createIndexedDbExpenseBackend(db) {
+    return {
+        name: 'indexedDB',
+        loadAll: () => runExpenseTransaction(db, 'readonly', store => store.getAll()),
+        // 変更された支出のみを書き込む
+        persist: changes => runExpenseTransaction(db, 'readwrite', store => {
+            changes.put.forEach(expense => store.put(expense));
+            changes.remove.forEach(id => store.delete(id));
+        }),
+        // localStorageの容量を使わないよう、バックアップはIndexedDBに保存する（前回のバックアップは上書きする）
+        saveBackup: data => runExpenseTransaction(db, 'readwrite', store => {
+            store.put({ ...data, id: MIGRATION_BACKUP_ID });
+        }, EXPENSE_DB.BACKUP_STORE)
+    };
+}
+
+/**
+ * localStorageに残っている支出データをIndexedDBに移行する（初回起動時のみ）
+ * 移行が完了したらlocalStorageの支出データを削除して容量を空ける
+ * @param {Object} backend - IndexedDBのバックエンド
+ */
+async function migrateLocalStorageExpenses(backend) {
+    if (localStorage.getItem(STORAGE_KEYS.EXPENSES) === null) {
+        return;
     }
+    const expenses = readLocalStorageExpenses().map(expense => (
+        expense.id ? expense : { ...expense, id: generateId() }
+    ));
+    await backend.persist({ put: expenses, remove: [] }, expenses);
+    localStorage.removeItem(STORAGE_KEYS.EXPENSES);
 }
 
 /**
- * カテゴリリストを保存する
- * @param {Array} categories - カテゴリの配列
+ * 支出データストアを初期化し、全データをメモリキャッシュに読み込む
+ * IndexedDBが利用できない場合はlocalStorageを使用する
  */
-function saveCategories(categories) {
+async function initExpenseStore() {
     try {
-        localStorage.setItem(STORAGE_KEYS.CATEGORIES, JSON.stringify(categories));
+        const db = await openExpenseDatabase();
+        expenseBackend = createIndexedDbExpenseBackend(db);
+        await migrateLocalStorageExpenses(expenseBackend);
+        expenseCache = await expenseBackend.loadAll();
+        await initAttachmentStore(db);
     } catch (error) {
-        console.error('カテゴリデータの保存に失敗しました:', error);
+        console.error('IndexedDBを利用できないため、localStorageに保存します:', error);
+        expenseBackend = localStorageExpenseBackend;
+        expenseCache = await expenseBackend.loadAll();
     }
 }
 
 /**
- * 設定を読み込む
- * @returns {Object} 設定オブジェクト
+ * 保存前後の支出データから、書き込みが必要な変更を求める
+ * 支出は変更時に新しいオブジェクトに置き換えるため、参照が変わったものを更新対象とする
+ * @param {Array} previous - 保存前の支出データ
+ * @param {Array} next - 保存後の支出データ
+ * @returns {Object} { put: 追加・更新する支出, remove: 削除する支出ID }
  */
-function loadSettings() {
+function diffExpenseChanges(previous, next) {
+    const previousSet = new Set(previous);
+    const nextIds = new Set(next.map(expense => expense.id));
+    return {
+        put: next.filter(expense => !previousSet.has(expense)),
+        remove: previous.filter(expense => !nextIds.has(expense.id)).map(expense => expense.id)
+    };
+}
+
+/**
+ * 支出データを読み込む
+ * 配列はコピーを返すが、各支出オブジェクトはキャッシュと共有しているため直接変更しないこと
+ * @returns {Array} 支出データの配列
+ */
+function loadExpenses() {
+    if (expenseCache) {
+        return [...expenseCache];
+    }
+    // ストアの初期化前はlocalStorageから直接読み込む
     try {
-        const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-        return data ? JSON.parse(data) : DEFAULT_SETTINGS;
+        return readLocalStorageExpenses();
     } catch (error) {
-        console.error('設定データの読み込みに失敗しました:', error);
-        return DEFAULT_SETTINGS;
+        console.error('支出データの読み込みに失敗しました:', error);
+        return [];
     }
 }
 
 /**
- * 初期化処理（初回起動時にデフォルト値を設定）
+ * 支出データを保存する
+ * キャッシュは即座に更新し、保存先への書き込みは変更分のみを非同期で行う
+ * @param {Array} expenses - 支出データの配列
  */
-function initializeData() {
-    // カテゴリが存在しない場合はデフォルトカテゴリを設定
-    if (!localStorage.getItem(STORAGE_KEYS.CATEGORIES)) {
-        saveCategories(DEFAULT_CATEGORIES);
+function saveExpenses(expenses) {
+    const handleError = error => {
+        console.error('支出データの保存に失敗しました:', error);
+        alert('データの保存に失敗しました。ブラウザのストレージ容量を確認してください。');
+    };
+    
+    if (!expenseCache) {
+        try {
+            writeLocalStorageExpenses(expenses);
+        } catch (error) {
+            handleError(error);
+        }
+        return;
     }
-    // 設定が存在しない場合はデフォルト設定を設定
-    if (!localStorage.getItem(STORAGE_KEYS.SETTINGS)) {
-        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(DEFAULT_SETTINGS));
+    
+    const changes = diffExpenseChanges(expenseCache, expenses);
+    expenseCache = [...expenses];
+    if (changes.put.length === 0 && changes.remove.length === 0) {
+        return;
     }
+    const snapshot = expenseCache;
+    expenseWriteQueue = expenseWriteQueue
+        .then(() => expenseBackend.persist(changes, snapshot))
+        .catch(handleError);
 }
 
 // ========================================
-// 支出管理機能
+// 添付ファイルストア
 // ========================================
 
+let attachmentDb = null; // 添付ファイルを保存するIndexedDB（利用できない場合はnull）
+let attachmentCache = []; // 添付ファイルの情報（ファイル本体を除く）のメモリキャッシュ
+let attachmentWriteQueue = Promise.resolve(); // 保存処理を順番に実行するためのキュー
+
 /**
- * 一意のIDを生成する
- * @returns {string} 一意のID
+ * 添付ファイルストアを初期化し、添付ファイルの情報をメモリキャッシュに読み込む
+ * 読み込めない場合は添付ファイルを使わずに起動する
+ * @param {IDBDatabase} db - データベース
  */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+async function initAttachmentStore(db) {
+    try {
+        const records = await runExpenseTransaction(db, 'readonly', store => store.getAll(), EXPENSE_DB.ATTACHMENT_STORE);
+        attachmentDb = db;
+        attachmentCache = records.map(({ blob, ...meta }) => meta);
+    } catch (error) {
+        console.error('添付ファイルの読み込みに失敗しました:', error);
+    }
 }
 
 /**
- * 支出を追加する
- * @param {Object} expenseData - 支出データ（日付、カテゴリ、金額、メモ）
- * @returns {boolean} 成功した場合true
+ * 添付ファイルを保存できるか判定する（IndexedDBが利用できない環境では添付できない）
+ * @returns {boolean} 保存できる場合true
  */
-function addExpense(expenseData) {
-    const expenses = loadExpenses();
-    const newExpense = {
-        id: generateId(),
-        date: expenseData.date,
-        category: expenseData.category,
-        amount: parseInt(expenseData.amount, 10),
-        memo: expenseData.memo || '',
-        createdAt: Date.now()
-    };
-    expenses.push(newExpense);
-    saveExpenses(expenses);
-    return true;
+function isAttachmentStoreAvailable() {
+    return attachmentDb !== null;
 }
 
 /**
- * 支出を更新する
- * @param {string} id - 支出のID
- * @param {Object} updatedData - 更新するデータ
- * @returns {boolean} 成功した場合true
+ * 添付ファイルストアへの書き込みをキューに追加する
+ * @param {Function} callback - ストアを受け取る関数
+ * @returns {Promise} 書き込みの完了時に解決する
  */
-function updateExpense(id, updatedData) {
-    const expenses = loadExpenses();
-    const index = expenses.findIndex(e => e.id === id);
-    if (index === -1) {
-        return false;
-    }
-    expenses[index] = {
-        ...expenses[index],
-        ...updatedData,
-        amount: parseInt(updatedData.amount, 10),
-        updatedAt: Date.now()
-    };
-    saveExpenses(expenses);
-    return true;
+function queueAttachmentWrite(callback) {
+    attachmentWriteQueue = attachmentWriteQueue
+        .then(() => runExpenseTransaction(attachmentDb, 'readwrite', callback, EXPENSE_DB.ATTACHMENT_STORE))
+        .catch(error => {
+            console.error('添付ファイルの保存に失敗しました:', error);
+            alert('添付ファイルの保存に失敗しました。ブラウザのストレージ容量を確認してください。');
+        });
+    return attachmentWriteQueue;
 }
 
 /**
- * 支出を削除する
- * @param {string} id - 支出のID
- * @returns {boolean} 成功した場合true
+ * 支出の添付ファイルの情報を取得する
+ * @param {string} expenseId - 支出のID
+ * @returns {Array} 添付ファイルの情報（ファイル本体を除く）の配列（添付した順）
  */
-function deleteExpense(id) {
-    const expenses = loadExpenses();
-    const filtered = expenses.filter(e => e.id !== id);
-    saveExpenses(filtered);
-    return true;
+function getExpenseAttachments(expenseId) {
+    return attachmentCache
+        .filter(attachment => attachment.expenseId === expenseId)
+        .sort((a, b) => a.createdAt - b.createdAt);
 }
 
 /**
- * IDで支出を取得する
- * @param {string} id - 支出のID
- * @returns {Object|null} 支出オブジェクト、見つからない場合はnull
+ * 支出に添付ファイルを追加する
+ * キャッシュは即座に更新し、ファイル本体の書き込みは非同期で行う
+ * @param {string} expenseId - 支出のID
+ * @param {Array} files - { name, type, blob, thumbnail, id?, createdAt? } の配列
+ * @returns {Promise} 書き込みの完了時に解決する
  */
-function getExpenseById(id) {
-    const expenses = loadExpenses();
-    return expenses.find(e => e.id === id) || null;
+function addAttachments(expenseId, files) {
+    const now = Date.now();
+    const records = files.map((file, index) => ({
+        id: file.id || generateId(),
+        expenseId,
+        name: file.name,
+        type: file.type,
+        size: file.blob.size,
+        thumbnail: file.thumbnail || '',
+        // 同時に追加したファイルも添付した順に並ぶよう作成日時をずらす
+        createdAt: file.createdAt || now + index,
+        blob: file.blob
+    }));
+    const ids = new Set(records.map(record => record.id));
+    attachmentCache = [
+        ...attachmentCache.filter(attachment => !ids.has(attachment.id)),
+        ...records.map(({ blob, ...meta }) => meta)
+    ];
+    return queueAttachmentWrite(store => {
+        records.forEach(record => store.put(record));
+    });
 }
 
-// ========================================
-// フィルタリング・ソート機能
-// ========================================
-
 /**
- * 支出データをフィルタリングする
- * @param {Array} expenses - 支出データの配列
- * @param {Object} filters - フィルタ条件
- * @returns {Array} フィルタリングされた支出データ
+ * 添付ファイルを削除する
+ * @param {Array<string>} ids - 添付ファイルのIDの配列
+ * @returns {Promise} 書き込みの完了時に解決する
  */
-function filterExpenses(expenses, filters) {
-    return expenses.filter(expense => {
-        // 日付範囲フィルタ
-        if (filters.dateFrom && expense.date < filters.dateFrom) {
-            return false;
-        }
-        if (filters.dateTo && expense.date > filters.dateTo) {
-            return false;
-        }
-        // カテゴリフィルタ
-        if (filters.category && expense.category !== filters.category) {
-            return false;
-        }
-        // 金額範囲フィルタ
-        if (filters.amountMin !== null && expense.amount < filters.amountMin) {
-            return false;
-        }
-        if (filters.amountMax !== null && expense.amount > filters.amountMax) {
-            return false;
-        }
-        // メモ検索フィルタ
-        if (filters.searchMemo && !expense.memo.toLowerCase().includes(filters.searchMemo.toLowerCase())) {
-            return false;
-        }
-        return true;
+function deleteAttachments(ids) {
+    if (ids.length === 0) {
+        return attachmentWriteQueue;
+    }
+    const idSet = new Set(ids);
+    attachmentCache = attachmentCache.filter(attachment => !idSet.has(attachment.id));
+    return queueAttachmentWrite(store => {
+        ids.forEach(id => store.delete(id));
     });
 }
 
 /**
- * 支出データをソートする
- * @param {Array} expenses - 支出データの配列
- * @param {string} sortBy - ソート方法（'date-desc', 'date-asc', 'amount-desc', 'amount-asc', 'category-asc'）
- * @returns {Array} ソートされた支出データ
+ * 添付ファイルの本体を読み込む
+ * @param {string} id - 添付ファイルのID
+ * @returns {Promise<Blob|null>} ファイル本体（見つからない場合はnull）
  */
-function sortExpenses(expenses, sortBy) {
-    const sorted = [...expenses];
-    switch (sortBy) {
-        case 'date-desc':
-            return sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
-        case 'date-asc':
-            return sorted.sort((a, b) => new Date(a.date) - new Date(b.date));
-        case 'amount-desc':
-            return sorted.sort((a, b) => b.amount - a.amount);
-        case 'amount-asc':
-            return sorted.sort((a, b) => a.amount - b.amount);
-        case 'category-asc':
-            return sorted.sort((a, b) => a.category.localeCompare(b.category, 'ja'));
-        default:
-            return sorted;
-    }
+async function loadAttachmentBlob(id) {
+    await attachmentWriteQueue;
+    const record = await runExpenseTransaction(attachmentDb, 'readonly', store => store.get(id), EXPENSE_DB.ATTACHMENT_STORE);
+    return record ? record.blob : null;
 }
 
-// ========================================
-// 統計計算機能
-// ========================================
-
 /**
- * 金額をフォーマットする
- * @param {number} amount - 金額
- * @returns {string} フォーマットされた金額文字列
+ * 支出・ゴミ箱のどちらにも存在しない支出の添付ファイルを削除する
+ * 完全に削除した支出や、上書きインポート・同期で消えた支出の添付ファイルが対象
+ * 操作履歴で元に戻せる間は残すため、操作履歴が空の起動時に実行する
+ * @returns {number} 削除した件数
  */
-function formatAmount(amount) {
-    return `¥${amount.toLocaleString('ja-JP')}`;
+function purgeOrphanAttachments() {
+    const expenseIds = new Set([...loadExpenses(), ...loadTrash()].map(expense => expense.id));
+    const orphans = attachmentCache.filter(attachment => !expenseIds.has(attachment.expenseId));
+    deleteAttachments(orphans.map(attachment => attachment.id));
+    return orphans.length;
 }
 
 /**
- * 日付をフォーマットする（YYYY/MM/DD形式）
- * @param {string} dateString - 日付文字列（YYYY-MM-DD形式）
- * @returns {string} フォーマットされた日付文字列
+ * BlobをデータURLに変換する
+ * @param {Blob} blob - ファイル本体
+ * @returns {Promise<string>} データURL
  */
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}/${month}/${day}`;
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
 }
 
 /**
- * 今月の合計支出を計算する
+ * データURLをBlobに変換する
+ * @param {string} dataUrl - データURL（base64形式）
+ * @param {string} type - ファイルのMIMEタイプ（検証済みのもの。データURLに書かれた形式は使わない）
+ * @returns {Blob} ファイル本体
+ */
+function dataUrlToBlob(dataUrl, type) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+/**
+ * すべての添付ファイルをエクスポート用にまとめる（ファイル本体はデータURLにする）
+ * @returns {Promise<Array>} 添付ファイルの情報にdataを加えた配列
+ */
+async function exportAttachments() {
+    const result = [];
+    for (const attachment of attachmentCache) {
+        const blob = await loadAttachmentBlob(attachment.id);
+        if (blob) {
+            result.push({ ...attachment, data: await blobToDataUrl(blob) });
+        }
+    }
+    return result;
+}
+
+/**
+ * インポートする添付ファイルの形式を検証する
+ * 添付できる形式で、データURLの形式が一致するもののみ受け付ける（HTMLなどを画像・PDFと偽ったファイルを除く）
+ * @param {Object} attachment - エクスポートした添付ファイル
+ * @returns {boolean} 取り込める場合true
+ */
+function isValidImportedAttachment(attachment) {
+    return ATTACHMENT_ACCEPT_TYPES.includes(attachment.type) &&
+        typeof attachment.data === 'string' &&
+        attachment.data.startsWith(`data:${attachment.type};base64,`) &&
+        /^[A-Za-z0-9+/]*={0,2}$/.test(attachment.data.slice(attachment.data.indexOf(',') + 1));
+}
+
+/**
+ * エクスポートした添付ファイルを取り込む
+ * 支出・ゴミ箱に存在しない支出の添付ファイル、登録済みのIDの添付ファイル、形式が正しくない添付ファイルは取り込まない
+ * 形式が正しくないサムネイルは取り込まず、アイコンで表示する
+ * @param {Array} attachments - exportAttachmentsの結果
+ * @returns {number} 取り込んだ件数
+ */
+function importAttachments(attachments) {
+    if (!Array.isArray(attachments) || !isAttachmentStoreAvailable()) {
+        return 0;
+    }
+    const expenseIds = new Set([...loadExpenses(), ...loadTrash()].map(expense => expense.id));
+    const attachmentIds = new Set(attachmentCache.map(attachment => attachment.id));
+    const byExpense = new Map();
+    attachments
+        .filter(attachment => expenseIds.has(attachment.expenseId) && !attachmentIds.has(attachment.id) &&
+            isValidImportedAttachment(attachment))
+        .forEach(({ data, ...attachment }) => {
+            const files = byExpense.get(attachment.expenseId) || [];
+            const thumbnail = ATTACHMENT_THUMBNAIL_PATTERN.test(attachment.thumbnail || '') ? attachment.thumbnail : '';
+            files.push({ ...attachment, thumbnail, blob: dataUrlToBlob(data, attachment.type) });
+            byExpense.set(attachment.expenseId, files);
+        });
+    byExpense.forEach((files, expenseId) => addAttachments(expenseId, files));
+    return [...byExpense.values()].reduce((count, files) => count + files.length, 0);
+}
+
+// ========================================
+// データ管理ユーティリティ
+// ========================================
+
+/**
+ * カテゴリリストを読み込む
+ * @returns {Array} カテゴリの配列
+ */
+function loadCategories() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.CATEGORIES);
+        return data ? JSON.parse(data) : DEFAULT_CATEGORIES;
+    } catch (error) {
+        console.error('カテゴリデータの読み込みに失敗しました:', error);
+        return DEFAULT_CATEGORIES;
+    }
+}
+
+/**
+ * カテゴリリストを保存する
+ * @param {Array} categories - カテゴリの配列
+ */
+function saveCategories(categories) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.CATEGORIES, JSON.stringify(categories));
+    } catch (error) {
+        console.error('カテゴリデータの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 収入のカテゴリリストを読み込む
+ * @returns {Array} カテゴリの配列
+ */
+function loadIncomeCategories() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.INCOME_CATEGORIES);
+        return data ? JSON.parse(data) : DEFAULT_INCOME_CATEGORIES;
+    } catch (error) {
+        console.error('収入カテゴリデータの読み込みに失敗しました:', error);
+        return DEFAULT_INCOME_CATEGORIES;
+    }
+}
+
+/**
+ * 収入のカテゴリリストを保存する
+ * @param {Array} categories - カテゴリの配列
+ */
+function saveIncomeCategories(categories) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.INCOME_CATEGORIES, JSON.stringify(categories));
+    } catch (error) {
+        console.error('収入カテゴリデータの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 種別に応じたカテゴリリストを読み込む
+ * @param {string} type - 記録の種別（'expense' | 'income'）
+ * @returns {Array} カテゴリの配列
+ */
+function loadCategoriesByType(type) {
+    return type === 'income' ? loadIncomeCategories() : loadCategories();
+}
+
+/**
+ * 種別に応じたカテゴリリストを保存する
+ * @param {string} type - 記録の種別（'expense' | 'income'）
+ * @param {Array} categories - カテゴリの配列
+ */
+function saveCategoriesByType(type, categories) {
+    if (type === 'income') {
+        saveIncomeCategories(categories);
+    } else {
+        saveCategories(categories);
+    }
+}
+
+/**
+ * カテゴリの表示スタイル（色・アイコン）を読み込む
+ * @returns {Object} カテゴリ名をキー、{ color, icon } を値とするオブジェクト
+ */
+function loadCategoryStyles() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.CATEGORY_STYLES);
+        return data ? JSON.parse(data) : {};
+    } catch (error) {
+        console.error('カテゴリスタイルの読み込みに失敗しました:', error);
+        return {};
+    }
+}
+
+/**
+ * カテゴリの表示スタイル（色・アイコン）を保存する
+ * @param {Object} styles - カテゴリ名をキー、{ color, icon } を値とするオブジェクト
+ */
+function saveCategoryStyles(styles) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.CATEGORY_STYLES, JSON.stringify(styles));
+    } catch (error) {
+        console.error('カテゴリスタイルの保存に失敗しました:', error);
+    }
+}
+
+let settingsCache = null; // 読み込み済みの設定（金額・日付の表示ごとに解析しないようにする）
+
+/**
+ * 設定を読み込む（保存されていない項目はデフォルト値で補完）
+ * @returns {Object} 設定オブジェクト
+ */
+function loadSettings() {
+    if (!settingsCache) {
+        try {
+            const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
+            settingsCache = { ...DEFAULT_SETTINGS, ...(data ? JSON.parse(data) : {}) };
+        } catch (error) {
+            console.error('設定データの読み込みに失敗しました:', error);
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+    return { ...settingsCache };
+}
+
+/**
+ * ゴミ箱の支出を読み込む
+ * @returns {Array} 削除日時（deletedAt）付きの支出データの配列
+ */
+function loadTrash() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.TRASH);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('ゴミ箱データの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * ゴミ箱の支出を保存する
+ * @param {Array} trash - 削除日時（deletedAt）付きの支出データの配列
+ */
+function saveTrash(trash) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash));
+    } catch (error) {
+        console.error('ゴミ箱データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 同期用の削除記録を読み込む
+ * @returns {Array} { id, deletedAt } の配列
+ */
+function loadTombstones() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.TOMBSTONES);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('削除記録の読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * 同期用の削除記録を保存する
+ * @param {Array} tombstones - { id, deletedAt } の配列
+ */
+function saveTombstones(tombstones) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.TOMBSTONES, JSON.stringify(tombstones));
+    } catch (error) {
+        console.error('削除記録の保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 同期先の設定を読み込む
+ * @returns {Object} { endpoint, secret }
+ */
+function loadSyncConfig() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.SYNC_CONFIG);
+        return { endpoint: '', secret: '', ...(data ? JSON.parse(data) : {}) };
+    } catch (error) {
+        console.error('同期設定の読み込みに失敗しました:', error);
+        return { endpoint: '', secret: '' };
+    }
+}
+
+/**
+ * 同期先の設定を保存する
+ * @param {Object} config - { endpoint, secret }
+ */
+function saveSyncConfig(config) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.SYNC_CONFIG, JSON.stringify(config));
+    } catch (error) {
+        console.error('同期設定の保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 同期の状態を読み込む
+ * @returns {Object} { clientId, cursor, lastSyncAt, fullPushRequired }
+ */
+function loadSyncState() {
+    const defaults = { clientId: '', cursor: 0, lastSyncAt: 0, fullPushRequired: false };
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.SYNC_STATE);
+        return { ...defaults, ...(data ? JSON.parse(data) : {}) };
+    } catch (error) {
+        console.error('同期状態の読み込みに失敗しました:', error);
+        return defaults;
+    }
+}
+
+/**
+ * 同期の状態を保存する
+ * @param {Object} state - { clientId, cursor, lastSyncAt, fullPushRequired }
+ */
+function saveSyncState(state) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.SYNC_STATE, JSON.stringify(state));
+    } catch (error) {
+        console.error('同期状態の保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 保存したフィルタを読み込む
+ * @returns {Array} { id, name, state } の配列（stateはフィルタの入力値）
+ */
+function loadSavedFilters() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.SAVED_FILTERS);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('保存したフィルタの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * 保存したフィルタを保存する
+ * @param {Array} filters - { id, name, state } の配列
+ */
+function saveSavedFilters(filters) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.SAVED_FILTERS, JSON.stringify(filters));
+    } catch (error) {
+        console.error('保存したフィルタの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 支払い口座の一覧を読み込む
+ * @returns {Array} 口座の配列
+ */
+function loadAccounts() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.ACCOUNTS);
+        return data ? JSON.parse(data) : DEFAULT_ACCOUNTS;
+    } catch (error) {
+        console.error('口座データの読み込みに失敗しました:', error);
+        return DEFAULT_ACCOUNTS;
+    }
+}
+
+/**
+ * 支払い口座の一覧を保存する
+ * @param {Array} accounts - 口座の配列
+ */
+function saveAccounts(accounts) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.ACCOUNTS, JSON.stringify(accounts));
+    } catch (error) {
+        console.error('口座データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 口座間の振替を読み込む
+ * @returns {Array} 振替の配列
+ */
+function loadTransfers() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.TRANSFERS);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('振替データの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * 口座間の振替を保存する
+ * @param {Array} transfers - 振替の配列
+ */
+function saveTransfers(transfers) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.TRANSFERS, JSON.stringify(transfers));
+    } catch (error) {
+        console.error('振替データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 割り勘の相手（自分を含む）を読み込む
+ * @returns {Array} { id, name } の配列
+ */
+function loadPeople() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.PEOPLE);
+        return data ? JSON.parse(data) : DEFAULT_PEOPLE;
+    } catch (error) {
+        console.error('割り勘の相手の読み込みに失敗しました:', error);
+        return DEFAULT_PEOPLE;
+    }
+}
+
+/**
+ * 割り勘の相手（自分を含む）を保存する
+ * @param {Array} people - { id, name } の配列
+ */
+function savePeople(people) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.PEOPLE, JSON.stringify(people));
+    } catch (error) {
+        console.error('割り勘の相手の保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 割り勘の精算の記録を読み込む
+ * @returns {Array} 精算の配列
+ */
+function loadSettlements() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.SETTLEMENTS);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('精算データの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * 割り勘の精算の記録を保存する
+ * @param {Array} settlements - 精算の配列
+ */
+function saveSettlements(settlements) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.SETTLEMENTS, JSON.stringify(settlements));
+    } catch (error) {
+        console.error('精算データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 自動分類ルールを読み込む
+ * @returns {Array} ルールの配列（優先順位順）
+ */
+function loadRules() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.RULES);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('自動分類ルールの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * 自動分類ルールを保存する
+ * @param {Array} rules - ルールの配列（優先順位順）
+ */
+function saveRules(rules) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.RULES, JSON.stringify(rules));
+    } catch (error) {
+        console.error('自動分類ルールの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * カテゴリ別の月間予算を読み込む
+ * @returns {Object} カテゴリ名をキー、予算額を値とするオブジェクト
+ */
+function loadBudgets() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.BUDGETS);
+        return data ? JSON.parse(data) : {};
+    } catch (error) {
+        console.error('予算データの読み込みに失敗しました:', error);
+        return {};
+    }
+}
+
+/**
+ * カテゴリ別の月間予算を保存する
+ * @param {Object} budgets - カテゴリ名をキー、予算額を値とするオブジェクト
+ */
+function saveBudgets(budgets) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.BUDGETS, JSON.stringify(budgets));
+    } catch (error) {
+        console.error('予算データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 定期支出のテンプレートを読み込む
+ * @returns {Array} 定期支出テンプレートの配列
+ */
+function loadRecurringTemplates() {
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.RECURRING);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('定期支出データの読み込みに失敗しました:', error);
+        return [];
+    }
+}
+
+/**
+ * 定期支出のテンプレートを保存する
+ * @param {Array} templates - 定期支出テンプレートの配列
+ */
+function saveRecurringTemplates(templates) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.RECURRING, JSON.stringify(templates));
+    } catch (error) {
+        console.error('定期支出データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 設定を保存する
+ * @param {Object} settings - 設定オブジェクト
+ */
+function saveSettings(settings) {
+    settingsCache = null;
+    try {
+        localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+    } catch (error) {
+        console.error('設定データの保存に失敗しました:', error);
+    }
+}
+
+/**
+ * 初期化処理（保存データを最新の形式に変換し、初回起動時はデフォルト値を設定）
+ */
+async function initializeData() {
+    await runStoredMigrations();
+
+    // カテゴリが存在しない場合はデフォルトカテゴリを設定
+    if (!localStorage.getItem(STORAGE_KEYS.CATEGORIES)) {
+        saveCategories(DEFAULT_CATEGORIES);
+    }
+    if (!localStorage.getItem(STORAGE_KEYS.INCOME_CATEGORIES)) {
+        saveIncomeCategories(DEFAULT_INCOME_CATEGORIES);
+    }
+    if (!localStorage.getItem(STORAGE_KEYS.ACCOUNTS)) {
+        saveAccounts(DEFAULT_ACCOUNTS);
+    }
+    if (!localStorage.getItem(STORAGE_KEYS.PEOPLE)) {
+        savePeople(DEFAULT_PEOPLE);
+    }
+    // 設定が存在しない場合はデフォルト設定を設定
+    if (!localStorage.getItem(STORAGE_KEYS.SETTINGS)) {
+        saveSettings(DEFAULT_SETTINGS);
+    }
+}
+
+// ========================================
+// データマイグレーション
+// ========================================
+
+// マイグレーションの対象となるデータ（エクスポートファイルの項目名とlocalStorageのキー）
+// 支出データは支出データストアから読み書きする
+const MIGRATION_DATA_KEYS = {
+    categories: STORAGE_KEYS.CATEGORIES,
+    incomeCategories: STORAGE_KEYS.INCOME_CATEGORIES,
+    categoryStyles: STORAGE_KEYS.CATEGORY_STYLES,
+    settings: STORAGE_KEYS.SETTINGS,
+    budgets: STORAGE_KEYS.BUDGETS,
+    recurring: STORAGE_KEYS.RECURRING,
+    accounts: STORAGE_KEYS.ACCOUNTS,
+    transfers: STORAGE_KEYS.TRANSFERS,
+    people: STORAGE_KEYS.PEOPLE,
+    settlements: STORAGE_KEYS.SETTLEMENTS,
+    rules: STORAGE_KEYS.RULES
+};
+
+/**
+ * マイグレーションの一覧（バージョン順）
+ * 各マイグレーションはデータ全体を受け取り、変換後のデータを返す。
+ * データ構造を変更する場合は末尾に追加し、既存の項目は変更しないこと。
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: '作成日時（createdAt）の補完',
+        migrate: data => ({
+            ...data,
+            expenses: mapRecords(data.expenses, expense => (
+                expense.createdAt ? expense : { ...expense, createdAt: parseDateString(expense.date).getTime() }
+            )),
+            recurring: mapRecords(data.recurring, template => (
+                template.createdAt ? template : { ...template, createdAt: parseDateString(template.startDate).getTime() }
+            ))
+        })
+    },
+    {
+        version: 2,
+        description: '文字列で保存された金額を数値に変換',
+        migrate: data => ({
+            ...data,
+            expenses: mapRecords(data.expenses, normalizeRecordAmount),
+            recurring: mapRecords(data.recurring, normalizeRecordAmount)
+        })
+    },
+    {
+        version: 3,
+        description: '旧形式の項目名（note）をmemoに変更',
+        migrate: data => ({
+            ...data,
+            expenses: mapRecords(data.expenses, renameRecordField('note', 'memo')),
+            recurring: mapRecords(data.recurring, renameRecordField('note', 'memo'))
+        })
+    },
+    {
+        version: 4,
+        description: '通貨が未設定の支出に当時の基準通貨を設定',
+        migrate: data => {
+            const baseCurrency = (data.settings && data.settings.baseCurrency) || DEFAULT_SETTINGS.baseCurrency;
+            return {
+                ...data,
+                expenses: mapRecords(data.expenses, expense => (
+                    expense.currency ? expense : { ...expense, currency: baseCurrency }
+                ))
+            };
+        }
+    },
+    {
+        version: 5,
+        description: 'タグ（tags）が未設定の支出に空の配列を設定',
+        migrate: data => ({
+            ...data,
+            expenses: mapRecords(data.expenses, expense => (
+                Array.isArray(expense.tags) ? expense : { ...expense, tags: [] }
+            ))
+        })
+    },
+    {
+        version: 6,
+        description: '種別（type）が未設定の記録を支出に設定',
+        migrate: data => ({
+            ...data,
+            expenses: mapRecords(data.expenses, expense => (
+                expense.type ? expense : { ...expense, type: 'expense' }
+            )),
+            recurring: mapRecords(data.recurring, template => (
+                template.type ? template : { ...template, type: 'expense' }
+            ))
+        })
+    },
+    {
+        version: 7,
+        description: '支払い口座（accountId）が未設定の記録を現金に設定',
+        migrate: data => ({
+            ...data,
+            accounts: data.accounts || DEFAULT_ACCOUNTS,
+            expenses: mapRecords(data.expenses, expense => (
+                expense.accountId ? expense : { ...expense, accountId: DEFAULT_ACCOUNT_ID }
+            )),
+            recurring: mapRecords(data.recurring, template => (
+                template.accountId ? template : { ...template, accountId: DEFAULT_ACCOUNT_ID }
+            ))
+        })
+    }
+];
+
+// 現在のデータ構造のバージョン
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 配列の各要素を変換する（配列でない場合はそのまま返す）
+ * @param {Array|undefined} records - 支出や定期支出の配列
+ * @param {Function} transform - 要素の変換関数
+ * @returns {Array|undefined} 変換後の配列
+ */
+function mapRecords(records, transform) {
+    return Array.isArray(records) ? records.map(transform) : records;
+}
+
+/**
+ * レコードの金額を数値に変換する（「1,200円」などの文字列にも対応）
+ * @param {Object} record - 支出または定期支出
+ * @returns {Object} 金額が数値のレコード
+ */
+function normalizeRecordAmount(record) {
+    if (typeof record.amount === 'number') {
+        return record;
+    }
+    const amount = parseAmountValue(String(record.amount ?? ''));
+    if (isNaN(amount)) {
+        console.error('金額を数値に変換できませんでした:', record);
+    }
+    return { ...record, amount: isNaN(amount) ? 0 : amount };
+}
+
+/**
+ * レコードの項目名を変更する変換関数を生成する
+ * 変更後の項目が既に存在する場合は値を失わないよう変更しない
+ * @param {string} from - 変更前の項目名
+ * @param {string} to - 変更後の項目名
+ * @returns {Function} レコードの変換関数
+ */
+function renameRecordField(from, to) {
+    return record => {
+        if (!(from in record) || to in record) {
+            return record;
+        }
+        const { [from]: value, ...rest } = record;
+        return { ...rest, [to]: value };
+    };
+}
+
+/**
+ * データを指定したバージョンから最新のバージョンまで変換する
+ * @param {Object} data - エクスポート形式のデータ
+ * @param {number} fromVersion - データのバージョン
+ * @returns {Object} 変換後のデータ
+ */
+function migrateData(data, fromVersion) {
+    return MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .reduce((current, migration) => migration.migrate(current), data);
+}
+
+/**
+ * 保存されているデータのバージョンを取得する（未記録の場合は0）
+ * @returns {number} データのバージョン
+ */
+function loadSchemaVersion() {
+    return parseInt(localStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION), 10) || 0;
+}
+
+/**
+ * 保存されているデータをエクスポート形式でまとめて読み込む（未保存の項目は含めない）
+ * @returns {Object} 保存されているデータ
+ */
+function loadStoredData() {
+    const data = {};
+    const expenses = loadExpenses();
+    if (expenses.length > 0) {
+        data.expenses = expenses;
+    }
+    Object.entries(MIGRATION_DATA_KEYS).forEach(([field, key]) => {
+        const value = localStorage.getItem(key);
+        if (value !== null) {
+            data[field] = JSON.parse(value);
+        }
+    });
+    return data;
+}
+
+/**
+ * エクスポート形式のデータを保存する
+ * @param {Object} data - 保存するデータ
+ */
+function saveStoredData(data) {
+    if (data.expenses !== undefined) {
+        saveExpenses(data.expenses);
+    }
+    Object.entries(MIGRATION_DATA_KEYS).forEach(([field, key]) => {
+        if (data[field] !== undefined) {
+            localStorage.setItem(key, JSON.stringify(data[field]));
+        }
+    });
+    settingsCache = null;
+}
+
+/**
+ * 保存されているデータを最新のバージョンに変換する
+ * 変換前に、変換前のバージョンのデータをバックアップとして1件だけ保存する（前回のバックアップは上書きする）
+ * バックアップを保存できない場合も変換は行う（容量不足で毎回の起動時に変換に失敗し続けないようにするため）
+ * @returns {Promise<boolean>} 成功した場合true
+ */
+async function runStoredMigrations() {
+    const fromVersion = loadSchemaVersion();
+    if (fromVersion >= SCHEMA_VERSION) {
+        return true;
+    }
+    
+    let saving = false;
+    try {
+        const stored = loadStoredData();
+        // 初回起動時は変換するデータがないのでバージョンのみ記録する
+        if (Object.keys(stored).length === 0) {
+            localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION));
+            return true;
+        }
+        
+        try {
+            await expenseBackend.saveBackup({
+                ...stored,
+                schemaVersion: fromVersion,
+                backupDate: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('マイグレーション前のバックアップの保存に失敗しました:', error);
+        }
+        
+        const migrated = migrateData(stored, fromVersion);
+        saving = true;
+        saveStoredData(migrated);
+        localStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION));
+        return true;
+    } catch (error) {
+        console.error('データのマイグレーションに失敗しました:', error);
+        alert(saving
+            ? '保存データを新しい形式に変換する途中で保存に失敗しました。ブラウザのストレージ容量を確認してください。'
+            : '保存データを新しい形式に変換できませんでした。保存データは変更されていません。');
+        return false;
+    }
+}
+
+// ========================================
+// 支出管理機能
+// ========================================
+
+/**
+ * 一意のIDを生成する
+ * @returns {string} 一意のID
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * 支出を追加する
+ * @param {Object} expenseData - 支出データ（種別、日付、カテゴリ、口座、金額、通貨、メモ、タグ、割り勘）
+ * @param {Object} [options] - { recordHistory: falseの場合は操作履歴に記録しない }
+ * @returns {Object} 追加した支出
+ */
+function addExpense(expenseData, options = {}) {
+    const expenses = loadExpenses();
+    const currency = expenseData.currency || loadSettings().baseCurrency;
+    const newExpense = {
+        id: generateId(),
+        type: getEntryType(expenseData),
+        date: expenseData.date,
+        category: expenseData.category,
+        accountId: expenseData.accountId || loadSettings().defaultAccountId,
+        amount: roundAmount(expenseData.amount, currency),
+        currency,
+        memo: expenseData.memo || '',
+        tags: normalizeTags(expenseData.tags),
+        createdAt: Date.now()
+    };
+    // 定期支出から生成された場合はテンプレートへの参照を保持
+    if (expenseData.recurringId) {
+        newExpense.recurringId = expenseData.recurringId;
+    }
+    // 割り勘の支出は負担の分け方を保持
+    if (expenseData.split) {
+        newExpense.split = expenseData.split;
+    }
+    expenses.push(newExpense);
+    saveExpenses(expenses);
+    if (options.recordHistory !== false) {
+        recordOperation('add', null, newExpense);
+    }
+    return newExpense;
+}
+
+/**
+ * 支出を更新する
+ * @param {string} id - 支出のID
+ * @param {Object} updatedData - 更新するデータ
+ * @param {Object} [options] - { recordHistory: falseの場合は操作履歴に記録しない }
+ * @returns {boolean} 成功した場合true
+ */
+function updateExpense(id, updatedData, options = {}) {
+    const expenses = loadExpenses();
+    const index = expenses.findIndex(e => e.id === id);
+    if (index === -1) {
+        return false;
+    }
+    const before = expenses[index];
+    const updated = { ...before, ...updatedData };
+    expenses[index] = {
+        ...updated,
+        amount: roundAmount(updated.amount, getExpenseCurrency(updated)),
+        tags: normalizeTags(updated.tags),
+        updatedAt: Date.now()
+    };
+    // 割り勘を解除した場合は項目ごと取り除く
+    if (!expenses[index].split) {
+        delete expenses[index].split;
+    }
+    saveExpenses(expenses);
+    if (options.recordHistory !== false) {
+        recordOperation('update', before, expenses[index]);
+    }
+    return true;
+}
+
+/**
+ * 支出を削除する（ゴミ箱に移動する）
+ * @param {string} id - 支出のID
+ * @param {Object} [options] - { recordHistory: falseの場合は操作履歴に記録しない }
+ * @returns {boolean} 成功した場合true
+ */
+function deleteExpense(id, options = {}) {
+    const expenses = loadExpenses();
+    const expense = expenses.find(e => e.id === id);
+    if (!expense) {
+        return false;
+    }
+    saveExpenses(expenses.filter(e => e.id !== id));
+    moveToTrash(expense);
+    recordTombstone(id);
+    if (options.recordHistory !== false) {
+        recordOperation('delete', expense, null);
+    }
+    return true;
+}
+
+/**
+ * 指定したIDの支出を置き換える（存在しない場合は追加、recordがnullの場合は取り除く）
+ * 操作履歴・ゴミ箱からの復元に使用する。
+ * 復元した内容が同期で古いデータとして扱われないよう、更新日時は現在時刻にする
+ * @param {string} id - 支出のID
+ * @param {Object|null} record - 置き換え後の支出
+ */
+function putExpenseRecord(id, record) {
+    const expenses = loadExpenses();
+    const index = expenses.findIndex(e => e.id === id);
+    const stamped = record ? { ...record, updatedAt: Date.now() } : null;
+    if (stamped && index !== -1) {
+        expenses[index] = stamped;
+    } else if (stamped) {
+        expenses.push(stamped);
+    } else if (index !== -1) {
+        expenses.splice(index, 1);
+    }
+    saveExpenses(expenses);
+    
+    if (stamped) {
+        removeTombstone(id);
+    } else {
+        recordTombstone(id);
+    }
+}
+
+/**
+ * 同期用に支出などの削除を記録する（一度も同期していない場合は不要なので記録しない）
+ * @param {string} id - 削除したデータのID
+ * @param {string} [store] - 支出以外の場合はSYNC_RECORD_STORESの項目名
+ */
+function recordTombstone(id, store = null) {
+    if (!loadSyncState().lastSyncAt) {
+        return;
+    }
+    const tombstones = loadTombstones().filter(tombstone => tombstone.id !== id);
+    tombstones.push(store ? { id, deletedAt: Date.now(), store } : { id, deletedAt: Date.now() });
+    saveTombstones(tombstones);
+}
+
+/**
+ * 支出の削除記録を取り消す（削除した支出を復元した場合）
+ * @param {string} id - 支出のID
+ */
+function removeTombstone(id) {
+    const tombstones = loadTombstones();
+    if (tombstones.some(tombstone => tombstone.id === id)) {
+        saveTombstones(tombstones.filter(tombstone => tombstone.id !== id));
+    }
+}
+
+/**
+ * IDで支出を取得する
+ * @param {string} id - 支出のID
+ * @returns {Object|null} 支出オブジェクト、見つからない場合はnull
+ */
+function getExpenseById(id) {
+    const expenses = loadExpenses();
+    return expenses.find(e => e.id === id) || null;
+}
+
+/**
+ * 記録の種別を取得する（種別のない古いデータは支出として扱う）
+ * @param {Object} entry - 支出・収入の記録
+ * @returns {string} 'expense' | 'income'
+ */
+function getEntryType(entry) {
+    return entry.type === 'income' ? 'income' : 'expense';
+}
+
+/**
+ * 指定した種別の記録のみを抽出する
+ * 支出の集計・予算・グラフは、収入を除いた記録で計算する
+ * @param {Array} entries - 支出・収入の記録の配列
+ * @param {string} type - 記録の種別（'expense' | 'income'）
+ * @returns {Array} 指定した種別の記録
+ */
+function filterByEntryType(entries, type) {
+    return entries.filter(entry => getEntryType(entry) === type);
+}
+
+// ========================================
+// 操作履歴・ゴミ箱機能
+// ========================================
+
+// 元に戻す・やり直す操作の履歴（ページを再読み込みするとリセットされる）
+const operationHistory = {
+    undo: [],
+    redo: []
+};
+
+/**
+ * 支出の操作を履歴に記録する（新しい操作を記録するとやり直し履歴は破棄する）
+ * @param {string} type - 操作の種類（'add', 'update', 'delete'）
+ * @param {Object|null} before - 操作前の支出（追加の場合はnull）
+ * @param {Object|null} after - 操作後の支出（削除の場合はnull）
+ */
+function recordOperation(type, before, after) {
+    operationHistory.undo.push({ type, before, after });
+    if (operationHistory.undo.length > HISTORY_LIMIT) {
+        operationHistory.undo.shift();
+    }
+    operationHistory.redo = [];
+}
+
+/**
+ * 操作履歴を消去する（インポートなどでデータ全体が置き換わった場合に使用）
+ */
+function clearOperationHistory() {
+    operationHistory.undo = [];
+    operationHistory.redo = [];
+}
+
+/**
+ * 操作を取り消す、または再実行する
+ * 削除の取り消しではゴミ箱から取り除き、削除の再実行では再びゴミ箱に移動する
+ * @param {Object} operation - 操作履歴の項目
+ * @param {string} direction - 'undo' または 'redo'
+ */
+function applyOperation(operation, direction) {
+    const { type, before, after } = operation;
+    const id = (before || after).id;
+    putExpenseRecord(id, direction === 'undo' ? before : after);
+    if (type === 'delete') {
+        if (direction === 'undo') {
+            removeFromTrash(id);
+        } else {
+            moveToTrash(before);
+        }
+    }
+}
+
+/**
+ * 直前の操作を元に戻す
+ * @returns {Object|null} 元に戻した操作（履歴がない場合はnull）
+ */
+function undoOperation() {
+    const operation = operationHistory.undo.pop();
+    if (!operation) {
+        return null;
+    }
+    applyOperation(operation, 'undo');
+    operationHistory.redo.push(operation);
+    return operation;
+}
+
+/**
+ * 元に戻した操作をやり直す
+ * @returns {Object|null} やり直した操作（履歴がない場合はnull）
+ */
+function redoOperation() {
+    const operation = operationHistory.redo.pop();
+    if (!operation) {
+        return null;
+    }
+    applyOperation(operation, 'redo');
+    operationHistory.undo.push(operation);
+    return operation;
+}
+
+/**
+ * 支出をゴミ箱に移動する
+ * @param {Object} expense - 支出データ
+ */
+function moveToTrash(expense) {
+    const trash = loadTrash().filter(item => item.id !== expense.id);
+    trash.push({ ...expense, deletedAt: Date.now() });
+    saveTrash(trash);
+}
+
+/**
+ * ゴミ箱から支出を取り除く
+ * @param {string} id - 支出のID
+ * @returns {Object|null} 取り除いた支出（削除日時を除く）、見つからない場合はnull
+ */
+function removeFromTrash(id) {
+    const trash = loadTrash();
+    const item = trash.find(trashItem => trashItem.id === id);
+    if (!item) {
+        return null;
+    }
+    saveTrash(trash.filter(trashItem => trashItem.id !== id));
+    const { deletedAt, ...expense } = item;
+    return expense;
+}
+
+/**
+ * ゴミ箱の支出を復元する
+ * @param {string} id - 支出のID
+ * @returns {boolean} 成功した場合true
+ */
+function restoreFromTrash(id) {
+    const expense = removeFromTrash(id);
+    if (!expense) {
+        return false;
+    }
+    putExpenseRecord(id, expense);
+    return true;
+}
+
+/**
+ * ゴミ箱の支出を完全に削除する（添付ファイルも削除する）
+ * 操作履歴に残っている場合も元に戻せなくなるよう、該当する履歴を破棄する
+ * @param {Array<string>} ids - 支出のIDの配列
+ */
+function purgeTrash(ids) {
+    const idSet = new Set(ids);
+    saveTrash(loadTrash().filter(item => !idSet.has(item.id)));
+    deleteAttachments(attachmentCache
+        .filter(attachment => idSet.has(attachment.expenseId))
+        .map(attachment => attachment.id));
+    const isPurged = operation => operation.type === 'delete' && idSet.has(operation.before.id);
+    operationHistory.undo = operationHistory.undo.filter(operation => !isPurged(operation));
+    operationHistory.redo = operationHistory.redo.filter(operation => !isPurged(operation));
+}
+
+/**
+ * ゴミ箱の支出が自動で完全削除される日時を取得する
+ * @param {Object} item - ゴミ箱の支出
+ * @returns {number} 完全削除される日時（Unixタイムスタンプ）
+ */
+function getTrashExpiry(item) {
+    return item.deletedAt + loadSettings().trashRetentionDays * DAY_MS;
+}
+
+/**
+ * 保存期間を過ぎたゴミ箱の支出を完全に削除する
+ * @param {number} [now] - 基準日時
+ * @returns {number} 削除した件数
+ */
+function purgeExpiredTrash(now = Date.now()) {
+    const expired = loadTrash().filter(item => getTrashExpiry(item) <= now);
+    if (expired.length > 0) {
+        purgeTrash(expired.map(item => item.id));
+    }
+    return expired.length;
+}
+
+// ========================================
+// 同期機能
+// ========================================
+
+/**
+ * 同期のエラーを生成する
+ * @param {string} message - エラーメッセージ
+ * @param {boolean} retryable - 再試行で回復する可能性がある場合true
+ * @returns {Error} エラー
+ */
+function createSyncError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * 指定した時間だけ待つ
+ * @param {number} ms - 待ち時間（ミリ秒）
+ * @returns {Promise} 待ち時間の経過後に解決する
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 同期リクエストを1回送信する
+ * 通信エラー・タイムアウト・5xx・429は再試行可能なエラーとして扱う
+ * @param {string} endpoint - 同期先のURL
+ * @param {Object} body - リクエスト本文
+ * @returns {Promise<Object>} サーバーの応答
+ */
+async function sendSyncRequest(endpoint, body) {
+    const controller = new AbortController();
+    const timerId = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT);
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' }, // プリフライトリクエストを発生させない
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+    } catch (error) {
+        throw createSyncError('サーバーに接続できませんでした', true);
+    } finally {
+        clearTimeout(timerId);
+    }
+    
+    if (response.status >= 500 || response.status === 429) {
+        throw createSyncError(`サーバーエラーが発生しました（${response.status}）`, true);
+    }
+    let result;
+    try {
+        result = await response.json();
+    } catch (error) {
+        throw createSyncError('サーバーの応答を解釈できませんでした', false);
+    }
+    if (!response.ok || !result.ok) {
+        throw createSyncError(result.error || `同期が拒否されました（${response.status}）`, false);
+    }
+    return result;
+}
+
+/**
+ * 同期リクエストを送信する（再試行可能なエラーは間隔を倍にしながら再試行する）
+ * @param {string} endpoint - 同期先のURL
+ * @param {Object} body - リクエスト本文
+ * @param {Function} [onRetry] - 再試行の前に呼ばれる関数（再試行回数）
+ * @returns {Promise<Object>} サーバーの応答
+ */
+async function postSyncRequest(endpoint, body, onRetry = null) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendSyncRequest(endpoint, body);
+        } catch (error) {
+            if (!error.retryable || attempt >= SYNC_MAX_RETRIES) {
+                throw error;
+            }
+            if (onRetry) {
+                onRetry(attempt + 1);
+            }
+            await wait(SYNC_RETRY_BASE_DELAY * Math.pow(2, attempt));
+        }
+    }
+}
+
+/**
+ * 前回の同期以降に追加・更新された支出・口座・振替・割り勘の人・精算を取得する
+ * @param {Object} state - 同期の状態
+ * @returns {Object} 送信するデータ { expenses, accounts, transfers, people, settlements }
+ */
+function collectLocalChanges(state) {
+    const fullPush = state.fullPushRequired || !state.lastSyncAt;
+    const pick = records => (fullPush ? records : records.filter(record => getExpenseTimestamp(record) > state.lastSyncAt));
+    const changes = { expenses: pick(loadExpenses()) };
+    Object.entries(SYNC_RECORD_STORES).forEach(([name, store]) => {
+        changes[name] = pick(store.load());
+    });
+    return changes;
+}
+
+/**
+ * 受信したデータと削除記録を手元のデータに反映する
+ * 同じIDのデータの変更が競合した場合は、更新日時（削除は削除日時）が新しい方を採用する
+ * @param {Array} records - 手元のデータ
+ * @param {Array} [remoteRecords] - 受信した追加・更新されたデータ
+ * @param {Array} deleted - 受信した削除記録 { id, deletedAt } の配列
+ * @param {Map} tombstones - 手元の削除記録（ID → 削除日時）
+ * @returns {Object} { records: 反映後のデータ, removed: 削除したデータ, applied: 反映した件数 }
+ */
+function mergeRemoteRecords(records, remoteRecords, deleted, tombstones) {
+    const local = new Map(records.map(record => [record.id, record]));
+    const removed = [];
+    let applied = 0;
+    
+    (remoteRecords || []).forEach(remote => {
+        if (!remote || !remote.id) return;
+        const current = local.get(remote.id);
+        // 手元で削除済みの場合は削除日時と比較する
+        const localTime = current ? getExpenseTimestamp(current) : (tombstones.get(remote.id) || 0);
+        if (getExpenseTimestamp(remote) > localTime) {
+            local.set(remote.id, remote);
+            applied++;
+        }
+    });
+    
+    deleted.forEach(({ id, deletedAt }) => {
+        const current = local.get(id);
+        if (current && deletedAt >= getExpenseTimestamp(current)) {
+            local.delete(id);
+            removed.push(current);
+            applied++;
+        }
+    });
+    
+    return { records: [...local.values()], removed, applied };
+}
+
+/**
+ * サーバーから受け取った変更を支出・口座・振替・割り勘の人・精算に反映する
+ * @param {Object} changes - { expenses, accounts, transfers, people, settlements: 追加・更新されたデータ, deleted: 削除記録の配列 }
+ * @returns {number} 反映した件数
+ */
+function applyRemoteChanges(changes) {
+    const tombstones = new Map(loadTombstones().map(tombstone => [tombstone.id, tombstone.deletedAt]));
+    const deleted = (changes.deleted || []).filter(tombstone => tombstone && tombstone.id);
+    
+    const result = mergeRemoteRecords(loadExpenses(), changes.expenses,
+        deleted.filter(tombstone => !tombstone.store), tombstones);
+    if (result.applied > 0) {
+        saveExpenses(result.records);
+        // 他の端末で削除された支出もゴミ箱から復元できるようにする
+        result.removed.forEach(moveToTrash);
+        saveCategories(mergeCategories(loadCategories(), [], filterByEntryType(result.records, 'expense')));
+        saveIncomeCategories(mergeCategories(loadIncomeCategories(), [], filterByEntryType(result.records, 'income')));
+    }
+    
+    let applied = result.applied;
+    Object.entries(SYNC_RECORD_STORES).forEach(([name, store]) => {
+        const merged = mergeRemoteRecords(store.load(), changes[name],
+            deleted.filter(tombstone => tombstone.store === name), tombstones);
+        if (merged.applied > 0) {
+            store.save(merged.records);
+            applied += merged.applied;
+        }
+    });
+    
+    // 他の端末で削除された口座がデフォルトの口座の場合は、残っている口座に切り替える
+    const settings = loadSettings();
+    const accounts = loadAccounts();
+    if (accounts.length > 0 && !accounts.some(account => account.id === settings.defaultAccountId)) {
+        saveSettings({ ...settings, defaultAccountId: accounts[0].id });
+    }
+    return applied;
+}
+
+/**
+ * 支出・口座・振替・割り勘の人・精算を同期する
+ * 前回の同期以降の変更と削除記録を送信し、サーバー側の変更を受け取って反映する
+ * @param {Function} [onRetry] - 再試行の前に呼ばれる関数（再試行回数）
+ * @returns {Promise<Object>} { sent, received } 送信・受信した件数
+ */
+async function syncExpenses(onRetry = null) {
+    const config = loadSyncConfig();
+    if (!config.endpoint) {
+        throw createSyncError('同期先が設定されていません', false);
+    }
+    
+    const state = loadSyncState();
+    if (!state.clientId) {
+        state.clientId = generateId();
+        saveSyncState(state);
+    }
+    // 送信中に行われた変更を次回の同期に含めるため、送信前の時刻を記録する
+    const startedAt = Date.now();
+    const changes = collectLocalChanges(state);
+    const tombstones = loadTombstones();
+    
+    const response = await postSyncRequest(config.endpoint, {
+        protocolVersion: SYNC_PROTOCOL_VERSION,
+        secret: config.secret,
+        clientId: state.clientId,
+        since: state.cursor,
+        changes: { ...changes, deleted: tombstones }
+    }, onRetry);
+    
+    const received = applyRemoteChanges(response.changes || {});
+    
+    // 送信済みの削除記録を破棄する（送信中に追加された記録は残す）
+    const sent = new Set(tombstones.map(tombstone => `${tombstone.id}|${tombstone.deletedAt}`));
+    saveTombstones(loadTombstones().filter(tombstone => !sent.has(`${tombstone.id}|${tombstone.deletedAt}`)));
+    saveSyncState({
+        ...state,
+        cursor: response.cursor ?? state.cursor,
+        lastSyncAt: startedAt,
+        fullPushRequired: false
+    });
+    
+    return {
+        sent: Object.values(changes).reduce((total, records) => total + records.length, tombstones.length),
+        received
+    };
+}
+
+/**
+ * 次回の同期ですべての支出を送信するよう記録する
+ * （インポートなどで、前回の同期より古い更新日時の支出が追加された場合に使用）
+ */
+function requireFullSync() {
+    const state = loadSyncState();
+    if (state.lastSyncAt) {
+        saveSyncState({ ...state, fullPushRequired: true });
+    }
+}
+
+// ========================================
+// 定期支出機能
+// ========================================
+
+/**
+ * 月末を超えないように日付を生成する（例: 31日指定の2月は28日または29日）
+ * @param {number} year - 年
+ * @param {number} month - 月（0始まり、12以上も可）
+ * @param {number} day - 日
+ * @returns {Date} 日付オブジェクト
+ */
+function createClampedDate(year, month, day) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * 定期支出のn回目の発生日を計算する
+ * @param {Object} template - 定期支出テンプレート
+ * @param {number} n - 回数（0始まり）
+ * @returns {Date|null} 発生日、周期が不正な場合はnull
+ */
+function getRecurringOccurrence(template, n) {
+    const start = parseDateString(template.startDate);
+    const year = start.getFullYear();
+    const month = start.getMonth();
+    const day = template.dayOfMonth || start.getDate();
+    
+    switch (template.frequency) {
+        case 'daily':
+            return new Date(year, month, start.getDate() + n);
+        case 'weekly':
+            return new Date(year, month, start.getDate() + n * 7);
+        case 'monthly':
+            return createClampedDate(year, month + n, day);
+        case 'yearly':
+            return createClampedDate(year + n, month, day);
+        default:
+            return null;
+    }
+}
+
+/**
+ * 指定期間内の定期支出の発生日を列挙する
+ * @param {Object} template - 定期支出テンプレート
+ * @param {string} fromDate - 開始日（YYYY-MM-DD形式、この日を含む）
+ * @param {string} toDate - 終了日（YYYY-MM-DD形式、この日を含む）
+ * @param {number} [limit] - 最大件数
+ * @returns {Array<string>} 発生日（YYYY-MM-DD形式）の配列
+ */
+function getRecurringDates(template, fromDate, toDate, limit = Infinity) {
+    const dates = [];
+    const endDate = template.endDate && template.endDate < toDate ? template.endDate : toDate;
+    
+    for (let n = 0; dates.length < limit; n++) {
+        const occurrence = getRecurringOccurrence(template, n);
+        if (!occurrence) {
+            break;
+        }
+        const dateString = toDateString(occurrence);
+        if (dateString > endDate) {
+            break;
+        }
+        // 日指定により開始日より前になる初回分は除外
+        if (dateString >= fromDate && dateString >= template.startDate) {
+            dates.push(dateString);
+        }
+    }
+    return dates;
+}
+
+/**
+ * 定期支出の未生成分の開始日を取得する（前回生成日の翌日、未生成なら開始日）
+ * @param {Object} template - 定期支出テンプレート
+ * @returns {string} YYYY-MM-DD形式の日付文字列
+ */
+function getPendingRecurringStart(template) {
+    if (!template.lastGeneratedDate) {
+        return template.startDate;
+    }
+    const nextDay = parseDateString(template.lastGeneratedDate);
+    nextDay.setDate(nextDay.getDate() + 1);
+    return toDateString(nextDay);
+}
+
+/**
+ * 定期支出の次回発生日を取得する
+ * @param {Object} template - 定期支出テンプレート
+ * @returns {string|null} 次回発生日（YYYY-MM-DD形式）、終了済みの場合はnull
+ */
+function getNextRecurringDate(template) {
+    const next = getRecurringDates(template, getPendingRecurringStart(template), '9999-12-31', 1);
+    return next.length > 0 ? next[0] : null;
+}
+
+/**
+ * 未生成の定期支出を支出として登録する
+ * 前回生成日の翌日から今日までの発生分のみを生成するため、
+ * テンプレートの編集・停止は以後の発生分にのみ反映される
+ * @param {Date} [today] - 基準日
+ * @returns {number} 生成した支出の件数
+ */
+function generateRecurringExpenses(today = new Date()) {
+    const templates = loadRecurringTemplates();
+    const todayString = toDateString(today);
+    let count = 0;
+    
+    templates.forEach(template => {
+        getRecurringDates(template, getPendingRecurringStart(template), todayString).forEach(date => {
+            addExpense({
+                type: getEntryType(template),
+                date,
+                category: template.category,
+                accountId: template.accountId,
+                amount: template.amount,
+                currency: template.currency,
+                memo: template.memo,
+                recurringId: template.id
+            }, { recordHistory: false });
+            count++;
+        });
+        template.lastGeneratedDate = todayString;
+    });
+    
+    saveRecurringTemplates(templates);
+    return count;
+}
+
+/**
+ * 定期支出テンプレートを保存する（新規作成または更新）
+ * @param {Object} templateData - テンプレートデータ
+ * @param {string|null} id - 更新する場合はテンプレートID
+ */
+function saveRecurringTemplate(templateData, id) {
+    const templates = loadRecurringTemplates();
+    const currency = templateData.currency || loadSettings().baseCurrency;
+    const data = {
+        type: getEntryType(templateData),
+        category: templateData.category,
+        accountId: templateData.accountId || loadSettings().defaultAccountId,
+        amount: roundAmount(parseAmountValue(String(templateData.amount)), currency),
+        currency,
+        memo: templateData.memo || '',
+        frequency: templateData.frequency,
+        startDate: templateData.startDate,
+        endDate: templateData.endDate || null,
+        dayOfMonth: templateData.dayOfMonth ? parseInt(templateData.dayOfMonth, 10) : null
+    };
+    
+    const index = templates.findIndex(t => t.id === id);
+    if (index === -1) {
+        templates.push({
+            id: generateId(),
+            ...data,
+            lastGeneratedDate: null,
+            createdAt: Date.now()
+        });
+    } else {
+        templates[index] = {
+            ...templates[index],
+            ...data,
+            updatedAt: Date.now()
+        };
+    }
+    saveRecurringTemplates(templates);
+}
+
+/**
+ * 定期支出を停止する（今日以降は生成しない）
+ * @param {string} id - テンプレートID
+ */
+function stopRecurringTemplate(id) {
+    const templates = loadRecurringTemplates();
+    const template = templates.find(t => t.id === id);
+    if (!template) {
+        return;
+    }
+    // 生成済みの発生分までで終了する（未生成なら昨日まで）
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const endDate = template.lastGeneratedDate || toDateString(yesterday);
+    if (!template.endDate || template.endDate > endDate) {
+        template.endDate = endDate;
+        template.updatedAt = Date.now();
+    }
+    saveRecurringTemplates(templates);
+}
+
+/**
+ * 定期支出テンプレートを削除する（生成済みの支出は残す）
+ * @param {string} id - テンプレートID
+ */
+function deleteRecurringTemplate(id) {
+    saveRecurringTemplates(loadRecurringTemplates().filter(t => t.id !== id));
+}
+
+// ========================================
+// カテゴリ管理機能
+// ========================================
+
+/**
+ * カテゴリ名のバリデーション
+ * @param {string} name - カテゴリ名
+ * @param {Array} categories - 既存のカテゴリ
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateCategoryName(name, categories) {
+    const errors = [];
+    
+    if (!name) {
+        errors.push('カテゴリ名を入力してください。');
+    } else if (name.length > 20) {
+        errors.push('カテゴリ名は20文字以内で入力してください。');
+    } else if (categories.includes(name)) {
+        errors.push(`「${name}」は既に登録されています。`);
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * カテゴリを使用している記録の件数を数える
+ * @param {string} category - カテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {number} 件数
+ */
+function countCategoryUsage(category, type = 'expense') {
+    return filterByEntryType(loadExpenses(), type).filter(expense => expense.category === category).length;
+}
+
+/**
+ * カテゴリを使用している定期支出があるか判定する
+ * @param {string} category - カテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {boolean} 使用されている場合true
+ */
+function isCategoryUsedByRecurring(category, type = 'expense') {
+    return filterByEntryType(loadRecurringTemplates(), type).some(template => template.category === category);
+}
+
+/**
+ * カテゴリを追加する
+ * @param {string} name - カテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {boolean} 成功した場合true
+ */
+function addCategory(name, type = 'expense') {
+    const categories = loadCategoriesByType(type);
+    if (!validateCategoryName(name, categories).valid) {
+        return false;
+    }
+    saveCategoriesByType(type, [...categories, name]);
+    return true;
+}
+
+/**
+ * カテゴリを参照しているデータ（記録・定期支出・自動分類ルール・デフォルトカテゴリ）を別のカテゴリに付け替える
+ * 支出と収入のカテゴリは別に管理するため、同じ種別の記録のみを付け替える
+ * @param {string} from - 付け替え元のカテゴリ名
+ * @param {string} to - 付け替え先のカテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {number} 付け替えた記録の件数
+ */
+function reassignCategory(from, to, type = 'expense') {
+    let count = 0;
+    const expenses = loadExpenses().map(expense => {
+        if (expense.category !== from || getEntryType(expense) !== type) {
+            return expense;
+        }
+        count++;
+        return { ...expense, category: to, updatedAt: Date.now() };
+    });
+    saveExpenses(expenses);
+    
+    const templates = loadRecurringTemplates().map(template => 
+        template.category === from && getEntryType(template) === type
+            ? { ...template, category: to, updatedAt: Date.now() }
+            : template
+    );
+    saveRecurringTemplates(templates);
+    
+    saveRules(loadRules().map(rule => {
+        if (rule.type !== type) {
+            return rule;
+        }
+        return {
+            ...rule,
+            query: renameQueryValue(rule.query, 'category', from, to),
+            category: rule.category === from ? to : rule.category
+        };
+    }));
+    
+    const settings = loadSettings();
+    if (type === 'expense' && settings.defaultCategory === from) {
+        saveSettings({ ...settings, defaultCategory: to });
+    }
+    return count;
+}
+
+/**
+ * カテゴリ名を変更する（記録・予算・定期支出・スタイルも新しい名前に変更）
+ * @param {string} oldName - 変更前のカテゴリ名
+ * @param {string} newName - 変更後のカテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {boolean} 成功した場合true
+ */
+function renameCategory(oldName, newName, type = 'expense') {
+    const categories = loadCategoriesByType(type);
+    const index = categories.indexOf(oldName);
+    if (index === -1 || !validateCategoryName(newName, categories).valid) {
+        return false;
+    }
+    
+    categories[index] = newName;
+    saveCategoriesByType(type, categories);
+    reassignCategory(oldName, newName, type);
+    
+    const budgets = loadBudgets();
+    if (type === 'expense' && budgets[oldName]) {
+        budgets[newName] = budgets[oldName];
+        delete budgets[oldName];
+        saveBudgets(budgets);
+    }
+    const styles = loadCategoryStyles();
+    if (styles[oldName]) {
+        styles[newName] = styles[oldName];
+        delete styles[oldName];
+        saveCategoryStyles(styles);
+    }
+    return true;
+}
+
+/**
+ * カテゴリを別のカテゴリに統合する（統合元の記録は統合先に付け替えて統合元を削除）
+ * 統合先に予算がない場合は統合元の予算を引き継ぐ
+ * @param {string} source - 統合元のカテゴリ名
+ * @param {string} target - 統合先のカテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {boolean} 成功した場合true
+ */
+function mergeCategory(source, target, type = 'expense') {
+    const categories = loadCategoriesByType(type);
+    if (source === target || !categories.includes(source) || !categories.includes(target)) {
+        return false;
+    }
+    
+    reassignCategory(source, target, type);
+    saveCategoriesByType(type, categories.filter(category => category !== source));
+    
+    const budgets = loadBudgets();
+    if (type === 'expense' && budgets[source]) {
+        if (!budgets[target]) {
+            budgets[target] = budgets[source];
+        }
+        delete budgets[source];
+        saveBudgets(budgets);
+    }
+    const styles = loadCategoryStyles();
+    delete styles[source];
+    saveCategoryStyles(styles);
+    return true;
+}
+
+/**
+ * カテゴリを削除する
+ * 使用中のカテゴリは置き換え先の指定が必要（置き換え先に統合する）
+ * @param {string} name - カテゴリ名
+ * @param {string|null} replacement - 置き換え先のカテゴリ名
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ * @returns {boolean} 成功した場合true
+ */
+function deleteCategory(name, replacement, type = 'expense') {
+    if (replacement) {
+        return mergeCategory(name, replacement, type);
+    }
+    if (countCategoryUsage(name, type) > 0 || isCategoryUsedByRecurring(name, type)) {
+        return false;
+    }
+    
+    saveCategoriesByType(type, loadCategoriesByType(type).filter(category => category !== name));
+    if (type === 'expense') {
+        const budgets = loadBudgets();
+        delete budgets[name];
+        saveBudgets(budgets);
+    }
+    const styles = loadCategoryStyles();
+    delete styles[name];
+    saveCategoryStyles(styles);
+    return true;
+}
+
+/**
+ * カテゴリの並び順を変更する
+ * @param {string} name - カテゴリ名
+ * @param {number} offset - 移動量（-1で上へ、1で下へ）
+ * @param {string} [type] - 記録の種別（'expense' | 'income'）
+ */
+function moveCategory(name, offset, type = 'expense') {
+    const categories = loadCategoriesByType(type);
+    const index = categories.indexOf(name);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= categories.length) {
+        return;
+    }
+    [categories[index], categories[newIndex]] = [categories[newIndex], categories[index]];
+    saveCategoriesByType(type, categories);
+}
+
+/**
+ * カテゴリの色・アイコンを設定する
+ * @param {string} name - カテゴリ名
+ * @param {Object} style - { color, icon }（空の値は未設定として扱う）
+ */
+function setCategoryStyle(name, style) {
+    const styles = loadCategoryStyles();
+    const merged = { ...styles[name], ...style };
+    Object.keys(merged).forEach(key => {
+        if (!merged[key]) {
+            delete merged[key];
+        }
+    });
+    if (Object.keys(merged).length > 0) {
+        styles[name] = merged;
+    } else {
+        delete styles[name];
+    }
+    saveCategoryStyles(styles);
+}
+
+// ========================================
+// タグ機能
+// ========================================
+
+/**
+ * タグの入力を正規化する（前後の空白と先頭の「#」を除去し、空のタグと重複を取り除く）
+ * @param {Array|string} tags - タグの配列、またはカンマ・空白区切りの文字列
+ * @returns {Array} タグの配列
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : (tags || '').split(/[,、\s]+/);
+    const normalized = list
+        .map(tag => String(tag).trim().replace(/^#+/, ''))
+        .filter(tag => tag !== '');
+    return [...new Set(normalized)];
+}
+
+/**
+ * 支出のタグを取得する（タグのない古いデータは空の配列として扱う）
+ * @param {Object} expense - 支出データ
+ * @returns {Array} タグの配列
+ */
+function getExpenseTags(expense) {
+    return Array.isArray(expense.tags) ? expense.tags : [];
+}
+
+/**
+ * タグのバリデーション
+ * @param {Array} tags - 正規化済みのタグの配列
+ * @returns {Array<string>} エラーメッセージの配列
+ */
+function validateTags(tags) {
+    const errors = [];
+    if (tags.length > TAG_MAX_COUNT) {
+        errors.push(`タグは${TAG_MAX_COUNT}個までで入力してください。`);
+    }
+    const tooLong = tags.filter(tag => tag.length > TAG_MAX_LENGTH);
+    if (tooLong.length > 0) {
+        errors.push(`タグは${TAG_MAX_LENGTH}文字以内で入力してください（${tooLong.join('、')}）。`);
+    }
+    return errors;
+}
+
+/**
+ * 支出で使用されているタグと件数を取得する
+ * @param {Array} expenses - 支出データの配列
+ * @returns {Array} { tag, count } の配列（タグ名順）
+ */
+function collectTags(expenses) {
+    const counts = {};
+    expenses.forEach(expense => {
+        getExpenseTags(expense).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    return Object.entries(counts)
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => a.tag.localeCompare(b.tag, 'ja'));
+}
+
+/**
+ * タグ名を変更する（変更後のタグが既にある支出では1つに統合する）
+ * @param {string} from - 変更前のタグ
+ * @param {string} to - 変更後のタグ
+ * @returns {number} 変更した支出の件数
+ */
+function renameTag(from, to) {
+    let count = 0;
+    const expenses = loadExpenses().map(expense => {
+        const tags = getExpenseTags(expense);
+        if (!tags.includes(from)) {
+            return expense;
+        }
+        count++;
+        return { ...expense, tags: normalizeTags(tags.map(tag => (tag === from ? to : tag))), updatedAt: Date.now() };
+    });
+    saveExpenses(expenses);
+    saveRules(loadRules().map(rule => ({
+        ...rule,
+        query: renameQueryValue(rule.query, 'tag', from, to),
+        tags: normalizeTags(rule.tags.map(tag => (tag === from ? to : tag)))
+    })));
+    return count;
+}
+
+/**
+ * タグをすべての支出から取り除く
+ * @param {string} name - タグ
+ * @returns {number} 変更した支出の件数
+ */
+function deleteTag(name) {
+    let count = 0;
+    const expenses = loadExpenses().map(expense => {
+        const tags = getExpenseTags(expense);
+        if (!tags.includes(name)) {
+            return expense;
+        }
+        count++;
+        return { ...expense, tags: tags.filter(tag => tag !== name), updatedAt: Date.now() };
+    });
+    saveExpenses(expenses);
+    saveRules(loadRules().map(rule => ({ ...rule, tags: rule.tags.filter(tag => tag !== name) })));
+    return count;
+}
+
+/**
+ * タグ別の支出を計算する
+ * 1件の支出に複数のタグがある場合はそれぞれのタグに計上するため、割合の合計は100%にならない
+ * @param {Array} expenses - 支出データの配列
+ * @returns {Array} { tag, amount, count, percentage } の配列（金額の大きい順）
+ */
+function calculateTagStats(expenses) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const tagMap = {};
+    let total = 0;
+    
+    expenses.forEach(expense => {
+        const amount = getBaseAmount(expense);
+        total += amount;
+        getExpenseTags(expense).forEach(tag => {
+            if (!tagMap[tag]) {
+                tagMap[tag] = { amount: 0, count: 0 };
+            }
+            tagMap[tag].amount = roundAmount(tagMap[tag].amount + amount, baseCurrency);
+            tagMap[tag].count++;
+        });
+    });
+    
+    return Object.entries(tagMap)
+        .map(([tag, { amount, count }]) => ({
+            tag,
+            amount,
+            count,
+            percentage: total > 0 ? Math.round((amount / total) * 100) : 0
+        }))
+        .sort((a, b) => b.amount - a.amount);
+}
+
+// ========================================
+// 口座管理機能
+// ========================================
+
+/**
+ * 記録の支払い口座のIDを取得する（口座のない古いデータは現金として扱う）
+ * @param {Object} entry - 支出・収入・定期支出の記録
+ * @returns {string} 口座のID
+ */
+function getEntryAccountId(entry) {
+    return entry.accountId || DEFAULT_ACCOUNT_ID;
+}
+
+/**
+ * 口座名を取得する
+ * @param {string} id - 口座のID
+ * @param {Array} [accounts] - 口座の配列（省略時は読み込む）
+ * @returns {string} 口座名（見つからない場合は「不明な口座」）
+ */
+function getAccountName(id, accounts = loadAccounts()) {
+    const account = accounts.find(item => item.id === id);
+    return account ? account.name : '不明な口座';
+}
+
+/**
+ * 口座のバリデーション
+ * @param {Object} data - { name, kind, initialBalance, closingDay, paymentDay }
+ * @param {Array} accounts - 既存の口座
+ * @param {string|null} [excludeId] - 更新する場合は対象の口座ID（名前の重複判定から除く）
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateAccount(data, accounts, excludeId = null) {
+    const errors = [];
+    const name = (data.name || '').trim();
+    
+    if (!name) {
+        errors.push('口座名を入力してください。');
+    } else if (name.length > ACCOUNT_NAME_MAX_LENGTH) {
+        errors.push(`口座名は${ACCOUNT_NAME_MAX_LENGTH}文字以内で入力してください。`);
+    } else if (accounts.some(account => account.name === name && account.id !== excludeId)) {
+        errors.push(`「${name}」は既に登録されています。`);
+    }
+    
+    if (!ACCOUNT_KINDS[data.kind]) {
+        errors.push('口座の種類を選択してください。');
+    }
+    
+    if (data.initialBalance !== '' && data.initialBalance !== undefined && isNaN(Number(data.initialBalance))) {
+        errors.push('初期残高を数値で入力してください。');
+    }
+    
+    // クレジットカードは締め日と支払日で請求期間を決める
+    if (data.kind === 'credit') {
+        [['closingDay', '締め日'], ['paymentDay', '支払日']].forEach(([field, label]) => {
+            const day = Number(data[field]);
+            if (!Number.isInteger(day) || day < 1 || day > 31) {
+                errors.push(`${label}は1〜31の範囲で入力してください。`);
+            }
+        });
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * 口座を保存する（新規作成または更新）
+ * @param {Object} data - { name, kind, initialBalance, closingDay, paymentDay }
+ * @param {string|null} id - 更新する場合は口座ID
+ * @returns {boolean} 成功した場合true
+ */
+function saveAccount(data, id) {
+    const accounts = loadAccounts();
+    if (!validateAccount(data, accounts, id).valid) {
+        return false;
+    }
+    
+    const isCredit = data.kind === 'credit';
+    const values = {
+        name: data.name.trim(),
+        kind: data.kind,
+        initialBalance: roundAmount(Number(data.initialBalance) || 0, loadSettings().baseCurrency),
+        closingDay: isCredit ? Number(data.closingDay) : null,
+        paymentDay: isCredit ? Number(data.paymentDay) : null
+    };
+    
+    const index = accounts.findIndex(account => account.id === id);
+    if (index === -1) {
+        accounts.push({ id: generateId(), ...values, createdAt: Date.now() });
+    } else {
+        // ルールの条件は口座名で指定するため、名前の変更を反映する
+        if (accounts[index].name !== values.name) {
+            renameRuleAccount(accounts[index].name, values.name);
+        }
+        accounts[index] = { ...accounts[index], ...values, updatedAt: Date.now() };
+    }
+    saveAccounts(accounts);
+    return true;
+}
+
+/**
+ * ルールの条件で指定した口座名を変更する
+ * @param {string} from - 変更前の口座名
+ * @param {string} to - 変更後の口座名
+ */
+function renameRuleAccount(from, to) {
+    saveRules(loadRules().map(rule => ({ ...rule, query: renameQueryValue(rule.query, 'account', from, to) })));
+}
+
+/**
+ * 口座を使用している記録（支出・収入・定期支出・振替）の件数を数える
+ * @param {string} id - 口座のID
+ * @returns {number} 件数
+ */
+function countAccountUsage(id) {
+    return loadExpenses().filter(expense => getEntryAccountId(expense) === id).length +
+        loadRecurringTemplates().filter(template => getEntryAccountId(template) === id).length +
+        loadTransfers().filter(transfer => transfer.fromAccountId === id || transfer.toAccountId === id).length;
+}
+
+/**
+ * 口座を削除する
+ * 使用中の口座は置き換え先の指定が必要（記録を置き換え先に付け替える）
+ * 付け替えで振替元と振替先が同じになる振替は削除する
+ * @param {string} id - 口座のID
+ * @param {string|null} replacementId - 置き換え先の口座ID
+ * @returns {boolean} 成功した場合true
+ */
+function deleteAccount(id, replacementId) {
+    const accounts = loadAccounts();
+    if (accounts.length < 2 || !accounts.some(account => account.id === id) || replacementId === id) {
+        return false;
+    }
+    if (replacementId && !accounts.some(account => account.id === replacementId)) {
+        return false;
+    }
+    if (!replacementId && countAccountUsage(id) > 0) {
+        return false;
+    }
+    
+    if (replacementId) {
+        saveExpenses(loadExpenses().map(expense => (
+            getEntryAccountId(expense) === id
+                ? { ...expense, accountId: replacementId, updatedAt: Date.now() }
+                : expense
+        )));
+        saveRecurringTemplates(loadRecurringTemplates().map(template => (
+            getEntryAccountId(template) === id
+                ? { ...template, accountId: replacementId, updatedAt: Date.now() }
+                : template
+        )));
+        const replace = accountId => (accountId === id ? replacementId : accountId);
+        const transfers = loadTransfers().map(transfer => (
+            transfer.fromAccountId === id || transfer.toAccountId === id
+                ? {
+                    ...transfer,
+                    fromAccountId: replace(transfer.fromAccountId),
+                    toAccountId: replace(transfer.toAccountId),
+                    updatedAt: Date.now()
+                }
+                : transfer
+        ));
+        transfers
+            .filter(transfer => transfer.fromAccountId === transfer.toAccountId)
+            .forEach(transfer => recordTombstone(transfer.id, 'transfers'));
+        saveTransfers(transfers.filter(transfer => transfer.fromAccountId !== transfer.toAccountId));
+        renameRuleAccount(getAccountName(id, accounts), getAccountName(replacementId, accounts));
+    }
+    
+    const remaining = accounts.filter(account => account.id !== id);
+    saveAccounts(remaining);
+    recordTombstone(id, 'accounts');
+    const settings = loadSettings();
+    if (settings.defaultAccountId === id) {
+        saveSettings({ ...settings, defaultAccountId: replacementId || remaining[0].id });
+    }
+    return true;
+}
+
+/**
+ * 振替のバリデーション
+ * @param {Object} data - { date, fromAccountId, toAccountId, amount, memo }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateTransfer(data) {
+    const errors = [];
+    
+    if (!data.date) {
+        errors.push('日付を入力してください。');
+    }
+    if (!data.fromAccountId || !data.toAccountId) {
+        errors.push('振替元と振替先の口座を選択してください。');
+    } else if (data.fromAccountId === data.toAccountId) {
+        errors.push('振替元と振替先には別の口座を選択してください。');
+    }
+    if (!data.amount || Number(data.amount) <= 0) {
+        errors.push('金額を正の数値で入力してください。');
+    }
+    if (data.memo && data.memo.length > 200) {
+        errors.push('メモは200文字以内で入力してください。');
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * 口座間の振替を追加する（例: 現金からSuicaへのチャージ）
+ * 振替は支出・収入の集計には含めず、口座の残高のみに反映する
+ * @param {Object} data - { date, fromAccountId, toAccountId, amount, memo }
+ * @returns {boolean} 成功した場合true
+ */
+function addTransfer(data) {
+    if (!validateTransfer(data).valid) {
+        return false;
+    }
+    saveTransfers([...loadTransfers(), {
+        id: generateId(),
+        date: data.date,
+        fromAccountId: data.fromAccountId,
+        toAccountId: data.toAccountId,
+        amount: roundAmount(Number(data.amount), loadSettings().baseCurrency),
+        memo: data.memo || '',
+        createdAt: Date.now()
+    }]);
+    return true;
+}
+
+/**
+ * 振替を削除する
+ * @param {string} id - 振替のID
+ */
+function deleteTransfer(id) {
+    saveTransfers(loadTransfers().filter(transfer => transfer.id !== id));
+    recordTombstone(id, 'transfers');
+}
+
+/**
+ * 口座の入出金明細を計算する
+ * 支出は出金、収入は入金、振替は振替元の出金・振替先の入金として、日付順（同じ日付は登録順）に残高を積み上げる
+ * 金額は基準通貨に換算する
+ * @param {Object} account - 口座
+ * @param {Array} expenses - 支出・収入データの配列
+ * @param {Array} transfers - 振替の配列
+ * @returns {Object} { rows: { date, kind, label, memo, amount, balance, id }の配列, balance: 現在の残高 }
+ */
+function calculateAccountLedger(account, expenses, transfers) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const accounts = loadAccounts();
+    const rows = [];
+    
+    expenses.filter(expense => getEntryAccountId(expense) === account.id).forEach(expense => {
+        const amount = getBaseAmount(expense);
+        rows.push({
+            id: expense.id,
+            date: expense.date,
+            createdAt: expense.createdAt || 0,
+            kind: getEntryType(expense),
+            label: expense.category,
+            memo: expense.memo || '',
+            amount: getEntryType(expense) === 'income' ? amount : -amount
+        });
+    });
+    transfers.forEach(transfer => {
+        const isOut = transfer.fromAccountId === account.id;
+        if (!isOut && transfer.toAccountId !== account.id) {
+            return;
+        }
+        rows.push({
+            id: transfer.id,
+            date: transfer.date,
+            createdAt: transfer.createdAt || 0,
+            kind: 'transfer',
+            label: isOut
+                ? `${getAccountName(transfer.toAccountId, accounts)}へ振替`
+                : `${getAccountName(transfer.fromAccountId, accounts)}から振替`,
+            memo: transfer.memo || '',
+            amount: isOut ? -transfer.amount : transfer.amount
+        });
+    });
+    
+    let balance = account.initialBalance || 0;
+    rows.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt - b.createdAt).forEach(row => {
+        balance = roundAmount(balance + row.amount, baseCurrency);
+        row.balance = balance;
+    });
+    return { rows, balance };
+}
+
+/**
+ * 月の指定した日を取得する（月末を超える場合は末日）
+ * @param {string} monthKey - 月のキー（YYYY-MM）
+ * @param {number} day - 日（1〜31）
+ * @returns {string} YYYY-MM-DD形式の日付
+ */
+function getMonthDay(monthKey, day) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const lastDay = new Date(year, month, 0).getDate();
+    return toDateString(new Date(year, month - 1, Math.min(day, lastDay)));
+}
+
+/**
+ * 利用日が含まれるクレジットカードの請求（締め日の月）を取得する
+ * @param {string} date - 利用日（YYYY-MM-DD形式）
+ * @param {number} closingDay - 締め日（1〜31、月末を超える場合は末日締め）
+ * @returns {string} 締め日の月のキー（YYYY-MM）
+ */
+function getStatementKey(date, closingDay) {
+    const monthKey = date.slice(0, 7);
+    return date <= getMonthDay(monthKey, closingDay) ? monthKey : getNextPeriodKey(monthKey, 'month', 1);
+}
+
+/**
+ * クレジットカードの請求の対象期間を取得する（前月の締め日の翌日から当月の締め日まで）
+ * @param {string} key - 締め日の月のキー（YYYY-MM）
+ * @param {number} closingDay - 締め日
+ * @returns {Object} { start, end }（YYYY-MM-DD形式、両端を含む）
+ */
+function getStatementRange(key, closingDay) {
+    const previousClosing = parseDateString(getMonthDay(getNextPeriodKey(key, 'month', -1), closingDay));
+    previousClosing.setDate(previousClosing.getDate() + 1);
+    return { start: toDateString(previousClosing), end: getMonthDay(key, closingDay) };
+}
+
+/**
+ * クレジットカードの請求明細を締め日ごとにまとめる
+ * 収入として記録したカードの返金は請求額から差し引く
+ * @param {Object} account - クレジットカードの口座
+ * @param {Array} expenses - 支出・収入データの配列
+ * @returns {Array} { key, range, paymentDate, total, entries } の配列（新しい請求から順）
+ */
+function calculateStatements(account, expenses) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const statements = {};
+    
+    expenses.filter(expense => getEntryAccountId(expense) === account.id).forEach(expense => {
+        const key = getStatementKey(expense.date, account.closingDay);
+        if (!statements[key]) {
+            statements[key] = {
+                key,
+                range: getStatementRange(key, account.closingDay),
+                paymentDate: getMonthDay(getNextPeriodKey(key, 'month', 1), account.paymentDay),
+                total: 0,
+                entries: []
+            };
+        }
+        const amount = getBaseAmount(expense);
+        statements[key].total = roundAmount(
+            statements[key].total + (getEntryType(expense) === 'income' ? -amount : amount), baseCurrency
+        );
+        statements[key].entries.push(expense);
+    });
+    
+    return Object.values(statements)
+        .sort((a, b) => b.key.localeCompare(a.key))
+        .map(statement => ({
+            ...statement,
+            entries: statement.entries.sort((a, b) => a.date.localeCompare(b.date))
+        }));
+}
+
+/**
+ * 口座別の支出を計算する
+ * @param {Array} expenses - 支出データの配列
+ * @returns {Array} { accountId, amount, count, percentage } の配列（金額の大きい順）
+ */
+function calculateAccountStats(expenses) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const accountMap = {};
+    let total = 0;
+    
+    expenses.forEach(expense => {
+        const accountId = getEntryAccountId(expense);
+        const amount = getBaseAmount(expense);
+        if (!accountMap[accountId]) {
+            accountMap[accountId] = { amount: 0, count: 0 };
+        }
+        accountMap[accountId].amount = roundAmount(accountMap[accountId].amount + amount, baseCurrency);
+        accountMap[accountId].count++;
+        total += amount;
+    });
+    
+    return Object.entries(accountMap)
+        .map(([accountId, { amount, count }]) => ({
+            accountId,
+            amount,
+            count,
+            percentage: total > 0 ? Math.round((amount / total) * 100) : 0
+        }))
+        .sort((a, b) => b.amount - a.amount);
+}
+
+// ========================================
+// 割り勘機能
+// ========================================
+
+/**
+ * 人の名前のバリデーション
+ * @param {string} name - 名前
+ * @param {Array} people - 登録済みの人
+ * @param {string|null} [excludeId] - 名前を変更する場合は対象の人のID（重複判定から除く）
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validatePersonName(name, people, excludeId = null) {
+    const errors = [];
+    
+    if (!name) {
+        errors.push('名前を入力してください。');
+    } else if (name.length > PERSON_NAME_MAX_LENGTH) {
+        errors.push(`名前は${PERSON_NAME_MAX_LENGTH}文字以内で入力してください。`);
+    } else if (people.some(person => person.name === name && person.id !== excludeId)) {
+        errors.push(`「${name}」は既に登録されています。`);
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * 割り勘の相手を追加する
+ * @param {string} name - 名前
+ * @returns {boolean} 成功した場合true
+ */
+function addPerson(name) {
+    const people = loadPeople();
+    if (!validatePersonName(name, people).valid) {
+        return false;
+    }
+    savePeople([...people, { id: generateId(), name, createdAt: Date.now() }]);
+    return true;
+}
+
+/**
+ * 人の名前を変更する
+ * @param {string} id - 人のID
+ * @param {string} name - 新しい名前
+ * @returns {boolean} 成功した場合true
+ */
+function renamePerson(id, name) {
+    const people = loadPeople();
+    const index = people.findIndex(person => person.id === id);
+    if (index === -1 || !validatePersonName(name, people, id).valid) {
+        return false;
+    }
+    people[index] = { ...people[index], name, updatedAt: Date.now() };
+    savePeople(people);
+    return true;
+}
+
+/**
+ * 人が割り勘・精算で使われているか判定する
+ * @param {string} id - 人のID
+ * @returns {boolean} 使われている場合true
+ */
+function isPersonUsed(id) {
+    return loadExpenses().some(expense => expense.split && 
+            (expense.split.payerId === id || expense.split.shares.some(share => share.personId === id))) ||
+        loadSettlements().some(settlement => settlement.fromPersonId === id || settlement.toPersonId === id);
+}
+
+/**
+ * 人を削除する（自分と、割り勘・精算で使われている人は削除できない）
+ * @param {string} id - 人のID
+ * @returns {boolean} 成功した場合true
+ */
+function deletePerson(id) {
+    if (id === SELF_PERSON_ID || isPersonUsed(id)) {
+        return false;
+    }
+    savePeople(loadPeople().filter(person => person.id !== id));
+    recordTombstone(id, 'people');
+    return true;
+}
+
+/**
+ * 人の名前を取得する
+ * @param {string} id - 人のID
+ * @param {Array} [people] - 人の配列（省略時は読み込む）
+ * @returns {string} 名前（見つからない場合は「不明な人」）
+ */
+function getPersonName(id, people = loadPeople()) {
+    const person = people.find(item => item.id === id);
+    return person ? person.name : '不明な人';
+}
+
+/**
+ * 割り勘の設定のバリデーション
+ * @param {Object} split - { payerId, method, shares: [{ personId, value }] }
+ * @param {number} amount - 支出の金額
+ * @returns {Array<string>} エラーメッセージの配列
+ */
+function validateSplit(split, amount) {
+    const errors = [];
+    
+    // 一覧にない人（同期がまだ届いていない人など）は、編集前の設定を残せるよう許可する
+    if (!split.payerId) {
+        errors.push('支払った人を選択してください。');
+    }
+    if (!SPLIT_METHODS[split.method]) {
+        errors.push('分け方を選択してください。');
+    }
+    if (split.shares.length === 0) {
+        errors.push('負担する人を1人以上選択してください。');
+        return errors;
+    }
+    if (split.method === 'equal') {
+        return errors;
+    }
+    
+    if (split.shares.some(share => !(Number(share.value) >= 0))) {
+        errors.push('負担する割合・金額を0以上の数値で入力してください。');
+        return errors;
+    }
+    const sum = split.shares.reduce((total, share) => total + Number(share.value), 0);
+    if (split.method === 'percent' && Math.abs(sum - 100) > 0.001) {
+        errors.push(`負担する割合の合計を100%にしてください（現在${Math.round(sum * 100) / 100}%）。`);
+    }
+    if (split.method === 'amount' && Math.abs(sum - Number(amount)) > 0.001) {
+        errors.push(`負担する金額の合計を支出の金額（${Number(amount)}）と一致させてください（現在${Math.round(sum * 100) / 100}）。`);
+    }
+    return errors;
+}
+
+/**
+ * 金額を比率に応じて分ける（端数は最小単位で、切り捨てた端数の大きい順に配る）
+ * @param {number} total - 分ける金額
+ * @param {Array<number>} weights - 比率の配列
+ * @param {string} currency - 通貨コード（最小単位の判定に使用）
+ * @returns {Array<number>} 分けた金額の配列（合計はtotalと一致）
+ */
+function allocateAmount(total, weights, currency) {
+    const factor = Math.pow(10, getCurrencyInfo(currency).decimals);
+    const units = Math.round(total * factor);
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    if (weightSum <= 0) {
+        return weights.map(() => 0);
+    }
+    
+    const exact = weights.map(weight => units * weight / weightSum);
+    const allocated = exact.map(Math.floor);
+    let remainder = units - allocated.reduce((sum, value) => sum + value, 0);
+    exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                allocated[index]++;
+                remainder--;
+            }
+        });
+    return allocated.map(value => value / factor);
+}
+
+/**
+ * 支出の各人の負担額を基準通貨で計算する
+ * 割り勘の設定がない支出は全額を自分の負担とする
+ * @param {Object} expense - 支出データ
+ * @returns {Object} 人のIDをキー、負担額を値とするオブジェクト
+ */
+function calculateSplitShares(expense) {
+    const amount = getBaseAmount(expense);
+    if (!expense.split || getEntryType(expense) !== 'expense') {
+        return { [SELF_PERSON_ID]: amount };
+    }
+    
+    const { method, shares } = expense.split;
+    const weights = shares.map(share => (method === 'equal' ? 1 : Number(share.value) || 0));
+    const allocated = allocateAmount(amount, weights, loadSettings().baseCurrency);
+    const result = {};
+    shares.forEach((share, index) => {
+        result[share.personId] = (result[share.personId] || 0) + allocated[index];
+    });
+    return result;
+}
+
+/**
+ * 支出のうち自分の負担額を基準通貨で取得する
+ * @param {Object} expense - 支出データ
+ * @returns {number} 自分の負担額
+ */
+function getMyShareAmount(expense) {
+    return calculateSplitShares(expense)[SELF_PERSON_ID] || 0;
+}
+
+/**
+ * 割り勘の貸し借りの残高を計算する
+ * 支払った人は支払額を、負担する人は負担額を差し引き、精算は支払った人から受け取った人への移動として反映する
+ * @param {Array} expenses - 支出データの配列
+ * @param {Array} settlements - 精算の配列
+ * @returns {Object} 人のIDをキー、残高を値とするオブジェクト（正の値は受け取る側、負の値は支払う側）
+ */
+function calculateBalances(expenses, settlements) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const balances = {};
+    const add = (personId, amount) => {
+        balances[personId] = roundAmount((balances[personId] || 0) + amount, baseCurrency);
+    };
+    
+    expenses.filter(expense => expense.split && getEntryType(expense) === 'expense').forEach(expense => {
+        add(expense.split.payerId, getBaseAmount(expense));
+        Object.entries(calculateSplitShares(expense)).forEach(([personId, share]) => add(personId, -share));
+    });
+    settlements.forEach(settlement => {
+        add(settlement.fromPersonId, settlement.amount);
+        add(settlement.toPersonId, -settlement.amount);
+    });
+    return balances;
+}
+
+/**
+ * 残高を清算する送金の組み合わせを計算する
+ * 支払う額の大きい人から受け取る額の大きい人へ順に送金するため、送金の回数は最大でも「人数 − 1」回になる
+ * @param {Object} balances - calculateBalancesの結果
+ * @returns {Array} { fromPersonId, toPersonId, amount } の配列
+ */
+function calculateSettleUp(balances) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const byAmount = (a, b) => b.amount - a.amount;
+    const debtors = Object.entries(balances)
+        .filter(([, amount]) => amount < 0)
+        .map(([personId, amount]) => ({ personId, amount: -amount }))
+        .sort(byAmount);
+    const creditors = Object.entries(balances)
+        .filter(([, amount]) => amount > 0)
+        .map(([personId, amount]) => ({ personId, amount }))
+        .sort(byAmount);
+    
+    const transfers = [];
+    let debtorIndex = 0;
+    let creditorIndex = 0;
+    while (debtorIndex < debtors.length && creditorIndex < creditors.length) {
+        const debtor = debtors[debtorIndex];
+        const creditor = creditors[creditorIndex];
+        const amount = roundAmount(Math.min(debtor.amount, creditor.amount), baseCurrency);
+        if (amount > 0) {
+            transfers.push({ fromPersonId: debtor.personId, toPersonId: creditor.personId, amount });
+        }
+        debtor.amount = roundAmount(debtor.amount - amount, baseCurrency);
+        creditor.amount = roundAmount(creditor.amount - amount, baseCurrency);
+        if (debtor.amount <= 0) debtorIndex++;
+        if (creditor.amount <= 0) creditorIndex++;
+    }
+    return transfers;
+}
+
+/**
+ * 精算のバリデーション
+ * @param {Object} data - { date, fromPersonId, toPersonId, amount }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateSettlement(data) {
+    const errors = [];
+    
+    if (!data.date) {
+        errors.push('日付を入力してください。');
+    }
+    if (!data.fromPersonId || !data.toPersonId || data.fromPersonId === data.toPersonId) {
+        errors.push('支払った人と受け取った人には別の人を選択してください。');
+    }
+    if (!data.amount || Number(data.amount) <= 0) {
+        errors.push('金額を正の数値で入力してください。');
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * 精算（立て替え分の支払い）を記録する
+ * @param {Object} data - { date, fromPersonId, toPersonId, amount, memo }
+ * @returns {boolean} 成功した場合true
+ */
+function addSettlement(data) {
+    if (!validateSettlement(data).valid) {
+        return false;
+    }
+    saveSettlements([...loadSettlements(), {
+        id: generateId(),
+        date: data.date,
+        fromPersonId: data.fromPersonId,
+        toPersonId: data.toPersonId,
+        amount: roundAmount(Number(data.amount), loadSettings().baseCurrency),
+        memo: data.memo || '',
+        createdAt: Date.now()
+    }]);
+    return true;
+}
+
+/**
+ * 精算を削除する
+ * @param {string} id - 精算のID
+ */
+function deleteSettlement(id) {
+    saveSettlements(loadSettlements().filter(settlement => settlement.id !== id));
+    recordTombstone(id, 'settlements');
+}
+
+// ========================================
+// フィルタリング・ソート機能
+// ========================================
+
+/**
+ * 支出データをフィルタリングする
+ * @param {Array} expenses - 支出データの配列
+ * @param {Object} filters - フィルタ条件
+ * @returns {Array} フィルタリングされた支出データ
+ */
+function filterExpenses(expenses, filters) {
+    return expenses.filter(expense => {
+        // 日付範囲フィルタ
+        if (filters.dateFrom && expense.date < filters.dateFrom) {
+            return false;
+        }
+        if (filters.dateTo && expense.date > filters.dateTo) {
+            return false;
+        }
+        // 種別フィルタ
+        if (filters.type && getEntryType(expense) !== filters.type) {
+            return false;
+        }
+        // 口座フィルタ
+        if (filters.account && getEntryAccountId(expense) !== filters.account) {
+            return false;
+        }
+        // カテゴリフィルタ
+        if (filters.category && expense.category !== filters.category) {
+            return false;
+        }
+        // タグフィルタ
+        if (filters.tag && !getExpenseTags(expense).includes(filters.tag)) {
+            return false;
+        }
+        // 金額範囲フィルタ（基準通貨に換算して比較）
+        if (filters.amountMin !== null && getBaseAmount(expense) < filters.amountMin) {
+            return false;
+        }
+        if (filters.amountMax !== null && getBaseAmount(expense) > filters.amountMax) {
+            return false;
+        }
+        // メモ検索フィルタ
+        if (filters.searchMemo && !expense.memo.toLowerCase().includes(filters.searchMemo.toLowerCase())) {
+            return false;
+        }
+        // 検索クエリ
+        if (filters.query && !matchesQuery(expense, filters.query)) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * 支出データをソートする
+ * @param {Array} expenses - 支出データの配列
+ * @param {string} sortBy - ソート方法（'date-desc', 'date-asc', 'amount-desc', 'amount-asc', 'category-asc'）
+ * @returns {Array} ソートされた支出データ
+ */
+function sortExpenses(expenses, sortBy) {
+    const sorted = [...expenses];
+    switch (sortBy) {
+        case 'date-desc':
+            return sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
+        case 'date-asc':
+            return sorted.sort((a, b) => new Date(a.date) - new Date(b.date));
+        case 'amount-desc':
+            return sorted.sort((a, b) => getBaseAmount(b) - getBaseAmount(a));
+        case 'amount-asc':
+            return sorted.sort((a, b) => getBaseAmount(a) - getBaseAmount(b));
+        case 'category-asc':
+            return sorted.sort((a, b) => a.category.localeCompare(b.category, 'ja'));
+        default:
+            return sorted;
+    }
+}
+
+// ========================================
+// 検索クエリ機能
+// ========================================
+
+/**
+ * 検索クエリを字句に分割する
+ * 引用符（"）で囲んだ部分は空白や括弧を含めて1つの値として扱う
+ * @param {string} query - 検索クエリ
+ * @returns {Array} 字句の配列 { type: 'open' | 'close' | 'word', text, negated, quoted, operatorIndex, start, end }
+ *   start・endは語のクエリ内の位置（「-」を含む）
+ */
+function tokenizeQuery(query) {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+        const char = query[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'open' : 'close' });
+            i++;
+            continue;
+        }
+        
+        const start = i;
+        // 先頭の「-」は否定（「-」だけの語は直後の括弧を否定する）
+        const negated = char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1]);
+        if (negated) {
+            i++;
+        }
+        let text = '';
+        let quoted = false;
+        let operatorIndex = -1; // 引用符の外にある最初の演算子（: = < >）の位置
+        while (i < query.length && !/[\s()]/.test(query[i])) {
+            if (query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new Error('引用符（"）が閉じられていません。');
+                }
+                text += query.slice(i + 1, end);
+                quoted = true;
+                i = end + 1;
+                continue;
+            }
+            if (operatorIndex === -1 && !quoted && /[:=<>]/.test(query[i])) {
+                operatorIndex = text.length;
+            }
+            text += query[i];
+            i++;
+        }
+        tokens.push({ type: 'word', text, negated, quoted, operatorIndex, start, end: i });
+    }
+    return tokens;
+}
+
+/**
+ * 検索クエリを解析する
+ * 空白で区切った条件はAND、ORで区切った条件はOR（ANDより優先度が低い）、
+ * 「-」を付けた条件・括弧は否定として扱う
+ * @param {string} query - 検索クエリ
+ * @returns {Object} { valid, ast, errors }（astは条件の木、空のクエリの場合はnull）
+ */
+function parseQuery(query) {
+    try {
+        const tokens = tokenizeQuery(query || '');
+        let position = 0;
+        
+        const isOperator = (token, name) => token && token.type === 'word' &&
+            !token.quoted && !token.negated && token.text === name;
+        
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (isOperator(tokens[position], 'OR')) {
+                position++;
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+        
+        const parseAnd = () => {
+            const children = [];
+            while (position < tokens.length && tokens[position].type !== 'close' &&
+                   !isOperator(tokens[position], 'OR')) {
+                if (isOperator(tokens[position], 'AND')) {
+                    position++;
+                    continue;
+                }
+                children.push(parseUnary());
+            }
+            if (children.length === 0) {
+                throw new Error('ORや括弧の前後に条件を指定してください。');
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+        
+        const parseUnary = () => {
+            const token = tokens[position++];
+            if (token.type === 'word' && token.text !== '') {
+                const term = parseQueryTerm(token);
+                return token.negated ? { type: 'not', child: term } : term;
+            }
+            const negated = token.type === 'word' && token.negated;
+            const open = negated ? tokens[position++] : token;
+            if (!open || open.type !== 'open') {
+                throw new Error('「-」の後に条件を指定してください。');
+            }
+            const node = parseOr();
+            if (!tokens[position] || tokens[position].type !== 'close') {
+                throw new Error('括弧が閉じられていません。');
+            }
+            position++;
+            return negated ? { type: 'not', child: node } : node;
+        };
+        
+        if (tokens.length === 0) {
+            return { valid: true, ast: null, errors: [] };
+        }
+        const ast = parseOr();
+        if (position < tokens.length) {
+            throw new Error('対応する開き括弧がありません。');
+        }
+        return { valid: true, ast, errors: [] };
+    } catch (error) {
+        return { valid: false, ast: null, errors: [error.message] };
+    }
+}
+
+/**
+ * 検索クエリの1つの条件を解析する
+ * @param {Object} token - 字句
+ * @returns {Object} 条件 { type: 'term', field, op, ... }
+ */
+function parseQueryTerm(token) {
+    // 項目名のない語はメモ・カテゴリ・タグの部分一致
+    if (token.operatorIndex === -1) {
+        return { type: 'term', field: 'text', op: ':', values: [token.text.toLowerCase()] };
+    }
+    
+    const name = token.text.slice(0, token.operatorIndex);
+    const rest = token.text.slice(token.operatorIndex);
+    const op = ['>=', '<='].includes(rest.slice(0, 2)) ? rest.slice(0, 2) : rest[0];
+    const value = rest.slice(op.length);
+    const field = QUERY_FIELDS[name.toLowerCase()];
+    if (!field) {
+        throw new Error(`「${name}」は検索できない項目です（category・memo・tag・type・account・amount・dateを指定してください）。`);
+    }
+    if (value === '') {
+        throw new Error(`「${name}${op}」の後に値を指定してください。`);
+    }
+    
+    if (field === 'category' || field === 'memo' || field === 'tag') {
+        if (op !== ':' && op !== '=') {
+            throw new Error(`${name}には「:」を使用してください。`);
+        }
+        // カンマ区切りはいずれかに一致（引用符で囲んだ値は区切らない）
+        const values = (token.quoted ? [value] : value.split(','))
+            .map(item => item.trim().toLowerCase())
+            .filter(item => item !== '');
+        return { type: 'term', field, op, values };
+    }
+    
+    if (field === 'type') {
+        if (op !== ':' && op !== '=') {
+            throw new Error(`${name}には「:」を使用してください。`);
+        }
+        // 種別はキー（expense・income）と表示名（支出・収入）のどちらでも指定できる
+        const values = value.split(',').map(item => {
+            const type = Object.keys(ENTRY_TYPES).find(key => 
+                key === item.trim().toLowerCase() || ENTRY_TYPES[key] === item.trim()
+            );
+            if (!type) {
+                throw new Error(`種別「${item}」を解釈できません（支出・収入のいずれかを指定してください）。`);
+            }
+            return type;
+        });
+        return { type: 'term', field, op, values };
+    }
+    
+    if (field === 'account') {
+        if (op !== ':' && op !== '=') {
+            throw new Error(`${name}には「:」を使用してください。`);
+        }
+        // 口座名（大文字・小文字は区別しない）を口座IDに変換しておく
+        const accounts = loadAccounts();
+        const values = (token.quoted ? [value] : value.split(',')).map(item => {
+            const account = accounts.find(candidate => 
+                candidate.name.toLowerCase() === item.trim().toLowerCase()
+            );
+            if (!account) {
+                throw new Error(`口座「${item.trim()}」は登録されていません。`);
+            }
+            return account.id;
+        });
+        return { type: 'term', field, op, values };
+    }
+    
+    // 金額・日付は「..」で範囲を指定できる
+    const [first, last = first] = value.split('..');
+    if (field === 'amount') {
+        const min = parseAmountValue(first);
+        const max = parseAmountValue(last);
+        if (isNaN(min) || isNaN(max)) {
+            throw new Error(`金額「${value}」を数値として解釈できません。`);
+        }
+        return { type: 'term', field, op, min, max };
+    }
+    const start = resolveQueryDate(first);
+    const end = resolveQueryDate(last);
+    if (!start || !end) {
+        throw new Error(`日付「${value}」を解釈できません（2024-05、今月、30dなどの形式で指定してください）。`);
+    }
+    return { type: 'term', field, op, min: start.start, max: end.end };
+}
+
+/**
+ * 検索クエリの条件に含まれる名前を変更する（カテゴリ・タグ・口座の名前の変更をルールの条件に反映するため）
+ * 大文字・小文字を区別せずに一致する値を置き換え、空白などを含む名前は引用符で囲む
+ * @param {string} query - 検索クエリ
+ * @param {string} field - 項目（'category' | 'tag' | 'account'）
+ * @param {string} from - 変更前の名前
+ * @param {string} to - 変更後の名前
+ * @returns {string} 変更後の検索クエリ（字句に分割できない場合は元のまま）
+ */
+function renameQueryValue(query, field, from, to) {
+    let tokens;
+    try {
+        tokens = tokenizeQuery(query || '');
+    } catch (error) {
+        return query;
+    }
+    const target = from.trim().toLowerCase();
+    const needsQuote = value => /[\s(),"]/.test(value);
+    let result = '';
+    let position = 0;
+    
+    tokens.forEach(token => {
+        if (token.type !== 'word' || token.operatorIndex === -1) {
+            return;
+        }
+        const name = token.text.slice(0, token.operatorIndex);
+        if (QUERY_FIELDS[name.toLowerCase()] !== field) {
+            return;
+        }
+        const op = token.text[token.operatorIndex];
+        const value = token.text.slice(token.operatorIndex + 1);
+        const values = (token.quoted ? [value] : value.split(',')).map(item => item.trim());
+        if (!values.some(item => item.toLowerCase() === target)) {
+            return;
+        }
+        
+        const renamed = values.map(item => (item.toLowerCase() === target ? to : item));
+        const prefix = token.negated ? '-' : '';
+        let text;
+        if (!renamed.some(needsQuote)) {
+            text = `${prefix}${name}${op}${renamed.join(',')}`;
+        } else if (renamed.length === 1) {
+            text = `${prefix}${name}${op}"${renamed[0]}"`;
+        } else {
+            // 引用符で囲んだ値はカンマで区切れないため、ORでつなぐ
+            text = `${prefix}(${renamed.map(item => `${name}${op}${needsQuote(item) ? `"${item}"` : item}`).join(' OR ')})`;
+        }
+        result += query.slice(position, token.start) + text;
+        position = token.end;
+    });
+    return result + query.slice(position);
+}
+
+/**
+ * 検索クエリの日付を期間に変換する
+ * YYYY、YYYY-MM、YYYY-MM-DD、相対日付（今月、last-monthなど）、直近N日（30d）に対応する
+ * @param {string} value - 日付の値
+ * @returns {Object|null} { start, end }（YYYY-MM-DD形式、両端を含む）、解釈できない場合はnull
+ */
+function resolveQueryDate(value) {
+    const today = toDateString(new Date());
+    const relative = RELATIVE_DATES[value.toLowerCase()];
+    if (relative) {
+        const key = getNextPeriodKey(getPeriodKey(today, relative.unit), relative.unit, relative.offset);
+        return getPeriodRange(key, relative.unit);
+    }
+    
+    const recentMatch = value.match(/^(\d+)(?:d|日)$/i);
+    if (recentMatch) {
+        const start = parseDateString(today);
+        start.setDate(start.getDate() - Math.max(Number(recentMatch[1]), 1) + 1);
+        return { start: toDateString(start), end: today };
+    }
+    
+    if (/^\d{4}$/.test(value)) {
+        return getPeriodRange(value, 'year');
+    }
+    if (/^\d{4}-\d{2}$/.test(value) && Number(value.slice(5)) >= 1 && Number(value.slice(5)) <= 12) {
+        return getPeriodRange(value, 'month');
+    }
+    const date = parseDateWithFormat(value, 'YYYY-MM-DD');
+    return date ? { start: date, end: date } : null;
+}
+
+/**
+ * 値が検索条件の範囲を満たすか判定する
+ * @param {number|string} value - 比較する値（金額または日付文字列）
+ * @param {string} op - 演算子（':' '=' は範囲内、'>=' '>' '<=' '<' は範囲との大小）
+ * @param {number|string} min - 範囲の下限
+ * @param {number|string} max - 範囲の上限
+ * @returns {boolean} 条件を満たす場合true
+ */
+function compareQueryRange(value, op, min, max) {
+    switch (op) {
+        case '>=':
+            return value >= min;
+        case '>':
+            return value > max;
+        case '<=':
+            return value <= max;
+        case '<':
+            return value < min;
+        default:
+            return value >= min && value <= max;
+    }
+}
+
+/**
+ * 支出が検索クエリの条件を満たすか判定する
+ * @param {Object} expense - 支出データ
+ * @param {Object} node - parseQueryで解析した条件
+ * @returns {boolean} 条件を満たす場合true
+ */
+function matchesQuery(expense, node) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => matchesQuery(expense, child));
+        case 'or':
+            return node.children.some(child => matchesQuery(expense, child));
+        case 'not':
+            return !matchesQuery(expense, node.child);
+        default:
+            break;
+    }
+    
+    const memo = (expense.memo || '').toLowerCase();
+    const tags = getExpenseTags(expense).map(tag => tag.toLowerCase());
+    switch (node.field) {
+        case 'category':
+            return node.values.includes(expense.category.toLowerCase());
+        case 'memo':
+            return node.values.some(value => memo.includes(value));
+        case 'tag':
+            return node.values.some(value => tags.includes(value));
+        case 'type':
+            return node.values.includes(getEntryType(expense));
+        case 'account':
+            return node.values.includes(getEntryAccountId(expense));
+        case 'amount':
+            // 基準通貨に換算して比較
+            return compareQueryRange(getBaseAmount(expense), node.op, node.min, node.max);
+        case 'date':
+            return compareQueryRange(expense.date, node.op, node.min, node.max);
+        default:
+            return node.values.some(value => memo.includes(value) ||
+                expense.category.toLowerCase().includes(value) || tags.some(tag => tag.includes(value)));
+    }
+}
+
+/**
+ * フィルタを名前を付けて保存する（同じ名前のフィルタは上書きする）
+ * @param {string} name - フィルタの名前
+ * @param {Object} state - フィルタの入力値（URLハッシュのパラメータ名をキーとするオブジェクト）
+ * @returns {Object} { valid, errors }
+ */
+function addSavedFilter(name, state) {
+    const trimmedName = (name || '').trim();
+    const errors = [];
+    if (!trimmedName) {
+        errors.push('フィルタの名前を入力してください。');
+    } else if (trimmedName.length > SAVED_FILTER_NAME_MAX_LENGTH) {
+        errors.push(`フィルタの名前は${SAVED_FILTER_NAME_MAX_LENGTH}文字以内で入力してください。`);
+    }
+    if (Object.keys(state).length === 0) {
+        errors.push('保存するフィルタの条件を指定してください。');
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    
+    const filters = loadSavedFilters();
+    const existing = filters.find(filter => filter.name === trimmedName);
+    const savedFilter = { id: existing ? existing.id : generateId(), name: trimmedName, state };
+    saveSavedFilters(existing
+        ? filters.map(filter => (filter.id === existing.id ? savedFilter : filter))
+        : [...filters, savedFilter]);
+    return { valid: true, errors: [] };
+}
+
+/**
+ * 保存したフィルタを削除する
+ * @param {string} id - フィルタのID
+ */
+function deleteSavedFilter(id) {
+    saveSavedFilters(loadSavedFilters().filter(filter => filter.id !== id));
+}
+
+// ========================================
+// クイック入力機能
+// ========================================
+
+/**
+ * クイック入力の日付の指定を解釈する
+ * 今日・昨日・おととい・N日前・曜日（直近の過去の曜日）・M/D・M月D日・D日・YYYY-MM-DDに対応する
+ * 年・月を省略して未来の日付になる場合は、前年・前月の日付とみなす
+ * @param {string} text - 日付の指定（NFKC正規化済み）
+ * @param {Date} today - 今日の日付
+ * @returns {Object|null} { date } または { error }（日付の指定ではない場合はnull）
+ */
+function parseQuickEntryDate(text, today) {
+    const base = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const shift = days => ({ date: toDateString(new Date(base.getFullYear(), base.getMonth(), base.getDate() + days)) });
+    const build = (year, month, day) => {
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return { error: `「${text}」は存在しない日付です。` };
+        }
+        return { date: toDateString(date) };
+    };
+    
+    if (QUICK_ENTRY_DATES[text.toLowerCase()] !== undefined) {
+        return shift(QUICK_ENTRY_DATES[text.toLowerCase()]);
+    }
+    let match = text.match(/^(\d{1,3})日前$/);
+    if (match) {
+        return shift(-Number(match[1]));
+    }
+    match = text.match(/^([日月火水木金土])曜日?$/);
+    if (match) {
+        return shift(-((base.getDay() - WEEKDAY_NAMES.indexOf(match[1]) + 7) % 7));
+    }
+    match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (match) {
+        return build(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    match = text.match(/^(\d{1,2})\/(\d{1,2})$/) || text.match(/^(\d{1,2})月(\d{1,2})日$/);
+    if (match) {
+        const result = build(base.getFullYear(), Number(match[1]), Number(match[2]));
+        return result.date && result.date > toDateString(base)
+            ? build(base.getFullYear() - 1, Number(match[1]), Number(match[2]))
+            : result;
+    }
+    match = text.match(/^(\d{1,2})日$/);
+    if (match) {
+        const result = build(base.getFullYear(), base.getMonth() + 1, Number(match[1]));
+        if (result.date && result.date > toDateString(base)) {
+            const lastMonth = new Date(base.getFullYear(), base.getMonth() - 1, 1);
+            return build(lastMonth.getFullYear(), lastMonth.getMonth() + 1, Number(match[1]));
+        }
+        return result;
+    }
+    return null;
+}
+
+/**
+ * クイック入力の1行を支出データに変換する
+ * 空白で区切った語から金額・日付・カテゴリ名・タグ（#付き）を1つずつ取り出し、残りをメモとする
+ * 金額に「+」を付けるか、収入のカテゴリ名を指定すると収入として扱う
+ * 日付を省略した場合は今日、カテゴリを省略した支出は設定のデフォルトカテゴリとする
+ * @param {string} text - 入力された文字列（例: 「昨日 交通費 320 バス」）
+ * @param {Date} [today] - 今日の日付
+ * @returns {Object} { formData, errors, defaultCategory }（formDataはvalidateFormに渡せる形式）
+ */
+function parseQuickEntry(text, today = new Date()) {
+    const categories = loadCategories();
+    const incomeCategories = loadIncomeCategories();
+    const findCategory = (list, word) => list.find(category => category.toLowerCase() === word.toLowerCase());
+    const errors = [];
+    const memoWords = [];
+    const tags = [];
+    let date = null;
+    let amount = null;
+    let income = false;
+    let category = null;
+    
+    (text || '').trim().split(/\s+/).filter(Boolean).forEach(word => {
+        // 全角の数字・記号も半角として解釈する（メモには入力どおりの文字を残す）
+        const normalized = word.normalize('NFKC');
+        
+        if (normalized.startsWith('#') && normalized.length > 1) {
+            tags.push(normalized.slice(1));
+            return;
+        }
+        if (date === null) {
+            const parsedDate = parseQuickEntryDate(normalized, today);
+            if (parsedDate) {
+                if (parsedDate.error) {
+                    errors.push(parsedDate.error);
+                }
+                date = parsedDate.date || '';
+                return;
+            }
+        }
+        const amountMatch = normalized.match(/^(\+)?[¥$]?(\d[\d,]*(?:\.\d+)?)円?$/);
+        if (amount === null && amountMatch) {
+            amount = Number(amountMatch[2].replace(/,/g, ''));
+            income = Boolean(amountMatch[1]);
+            return;
+        }
+        if (category === null && (findCategory(categories, normalized) || findCategory(incomeCategories, normalized))) {
+            category = normalized;
+            return;
+        }
+        memoWords.push(word);
+    });
+    
+    // 収入のカテゴリのみに一致する場合は収入として扱う
+    if (category !== null && !findCategory(categories, category)) {
+        income = true;
+    }
+    const type = income ? 'income' : 'expense';
+    const typeCategories = income ? incomeCategories : categories;
+    let resolvedCategory = category !== null ? findCategory(typeCategories, category) : null;
+    if (category !== null && !resolvedCategory) {
+        errors.push(`「${category}」は${ENTRY_TYPES[type]}のカテゴリではありません。`);
+    }
+    
+    // カテゴリを省略した支出は設定のデフォルトカテゴリにする
+    const settings = loadSettings();
+    const defaultCategory = category === null && !income && categories.includes(settings.defaultCategory);
+    if (defaultCategory) {
+        resolvedCategory = settings.defaultCategory;
+    }
+    
+    return {
+        formData: {
+            type,
+            date: date === null ? toDateString(today) : date,
+            category: resolvedCategory || '',
+            accountId: settings.defaultAccountId,
+            amount: amount === null ? '' : amount,
+            currency: settings.baseCurrency,
+            memo: memoWords.join(' '),
+            tags
+        },
+        errors,
+        defaultCategory
+    };
+}
+
+// ========================================
+// 自動分類ルール機能
+// ========================================
+
+/**
+ * 自動分類ルールのバリデーション
+ * @param {Object} data - { type, query, category, tags }
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateRule(data) {
+    const errors = [];
+    
+    if (!ENTRY_TYPES[data.type]) {
+        errors.push('種別は支出または収入を選択してください。');
+    }
+    if (!data.query) {
+        errors.push('条件を入力してください。');
+    } else {
+        errors.push(...parseQuery(data.query).errors);
+    }
+    if (data.category && ENTRY_TYPES[data.type] && !loadCategoriesByType(data.type).includes(data.category)) {
+        errors.push(`カテゴリ「${data.category}」は${ENTRY_TYPES[data.type]}のカテゴリにありません。`);
+    }
+    errors.push(...validateTags(data.tags || []));
+    if (!data.category && (data.tags || []).length === 0) {
+        errors.push('設定するカテゴリまたはタグを指定してください。');
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * 自動分類ルールを追加・更新する（追加したルールは優先順位の最後になる）
+ * @param {Object} data - { type, query, category, tags }
+ * @param {string|null} id - 更新するルールのID（追加の場合はnull）
+ * @returns {boolean} 成功した場合true
+ */
+function saveRule(data, id = null) {
+    const values = {
+        type: data.type,
+        query: data.query,
+        category: data.category || '',
+        tags: normalizeTags(data.tags)
+    };
+    if (!validateRule(values).valid) {
+        return false;
+    }
+    
+    const rules = loadRules();
+    if (id) {
+        const index = rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            return false;
+        }
+        rules[index] = { ...rules[index], ...values, updatedAt: Date.now() };
+    } else {
+        rules.push({ id: generateId(), ...values, enabled: true, createdAt: Date.now() });
+    }
+    saveRules(rules);
+    return true;
+}
+
+/**
+ * 自動分類ルールを削除する
+ * @param {string} id - ルールのID
+ */
+function deleteRule(id) {
+    saveRules(loadRules().filter(rule => rule.id !== id));
+}
+
+/**
+ * 自動分類ルールの有効・無効を切り替える
+ * @param {string} id - ルールのID
+ */
+function toggleRule(id) {
+    saveRules(loadRules().map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule)));
+}
+
+/**
+ * 自動分類ルールの優先順位を変更する
+ * @param {string} id - ルールのID
+ * @param {number} offset - 移動量（-1で上へ、1で下へ）
+ */
+function moveRule(id, offset) {
+    const rules = loadRules();
+    const index = rules.findIndex(rule => rule.id === id);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= rules.length) {
+        return;
+    }
+    [rules[index], rules[newIndex]] = [rules[newIndex], rules[index]];
+    saveRules(rules);
+}
+
+/**
+ * 有効なルールの条件を解析する（条件を解析できないルールは除く）
+ * 多数の記録に適用する前に1回だけ解析するために使用する
+ * @param {Array} [rules] - ルールの配列（省略時は読み込む）
+ * @returns {Array} { rule, ast } の配列（優先順位順）
+ */
+function compileRules(rules = loadRules()) {
+    return rules
+        .filter(rule => rule.enabled)
+        .map(rule => ({ rule, ast: parseQuery(rule.query).ast }))
+        .filter(compiled => compiled.ast);
+}
+
+/**
+ * 記録に一致するルールから、設定するカテゴリとタグを求める
+ * カテゴリは優先順位の最も高い一致したルールのもの、タグは一致したすべてのルールのものを使う
+ * 記録と種別が異なるルールと、削除されたカテゴリは使わない
+ * @param {Object} entry - 支出・収入データ
+ * @param {Array} compiledRules - compileRulesの結果
+ * @returns {Object} { category, categoryRule, tags, rules }（一致しない場合はcategoryがnull、rulesが空）
+ */
+function evaluateRules(entry, compiledRules) {
+    const type = getEntryType(entry);
+    const categories = loadCategoriesByType(type);
+    const result = { category: null, categoryRule: null, tags: [], rules: [] };
+    
+    compiledRules.forEach(({ rule, ast }) => {
+        if (rule.type !== type || !matchesQuery(entry, ast)) {
+            return;
+        }
+        result.rules.push(rule);
+        if (result.category === null && rule.category && categories.includes(rule.category)) {
+            result.category = rule.category;
+            result.categoryRule = rule;
+        }
+        result.tags = normalizeTags([...result.tags, ...(rule.tags || [])]);
+    });
+    return result;
+}
+
+/**
+ * 記録にルールを適用する
+ * @param {Object} entry - 支出・収入データ
+ * @param {Array} compiledRules - compileRulesの結果
+ * @returns {Object} 適用後の記録（変更がない場合は同じオブジェクト）
+ */
+function applyRules(entry, compiledRules) {
+    const { category, tags } = evaluateRules(entry, compiledRules);
+    const currentTags = getExpenseTags(entry);
+    const newTags = normalizeTags([...currentTags, ...tags]);
+    const categoryChanged = category !== null && category !== entry.category;
+    if (!categoryChanged && newTags.length === currentTags.length) {
+        return entry;
+    }
+    return {
+        ...entry,
+        category: categoryChanged ? category : entry.category,
+        tags: newTags
+    };
+}
+
+/**
+ * 既存の記録にルールを適用した場合の変更を求める
+ * @param {Array} expenses - 支出データの配列
+ * @param {Array} compiledRules - compileRulesの結果
+ * @returns {Array} { before, after } の配列（変更がある記録のみ）
+ */
+function previewRuleReapply(expenses, compiledRules) {
+    return expenses
+        .map(expense => ({ before: expense, after: applyRules(expense, compiledRules) }))
+        .filter(change => change.after !== change.before);
+}
+
+/**
+ * ルールの適用結果を保存する
+ * @param {Array} changes - previewRuleReapplyの結果（適用するもの）
+ * @returns {number} 変更した記録の件数
+ */
+function applyRuleReapply(changes) {
+    const replacements = new Map(changes.map(change => [change.before.id, change.after]));
+    const now = Date.now();
+    saveExpenses(loadExpenses().map(expense => {
+        const after = replacements.get(expense.id);
+        return after ? { ...after, updatedAt: now } : expense;
+    }));
+    return replacements.size;
+}
+
+/**
+ * 学習用にメモを正規化する（全角・半角、大文字・小文字、前後の空白の違いを無視する）
+ * @param {string} memo - メモ
+ * @returns {string} 正規化したメモ
+ */
+function normalizeMemoKey(memo) {
+    return (memo || '').normalize('NFKC').trim().toLowerCase();
+}
+
+/**
+ * 過去の記録からメモごとのカテゴリの使用回数を集計する
+ * @param {Array} expenses - 支出データの配列
+ * @returns {Map} 「種別|正規化したメモ」をキー、{ memo, type, counts: { カテゴリ: 件数 }, total, sample } を値とするMap
+ *   sampleはそのメモの記録の1件（ルールで分類されるかの判定に使う）
+ */
+function learnMemoCategories(expenses) {
+    const learned = new Map();
+    expenses.forEach(expense => {
+        const memoKey = normalizeMemoKey(expense.memo);
+        if (!memoKey) {
+            return;
+        }
+        const key = `${getEntryType(expense)}|${memoKey}`;
+        const item = learned.get(key) ||
+            { memo: expense.memo.trim(), type: getEntryType(expense), counts: {}, total: 0, sample: expense };
+        item.counts[expense.category] = (item.counts[expense.category] || 0) + 1;
+        item.total++;
+        learned.set(key, item);
+    });
+    return learned;
+}
+
+/**
+ * 集計結果から最も多く使われたカテゴリを求める
+ * @param {Object} item - learnMemoCategoriesの値
+ * @returns {Object} { category, count, ratio }
+ */
+function getTopLearnedCategory(item) {
+    const [category, count] = Object.entries(item.counts).sort((a, b) => b[1] - a[1])[0];
+    return { category, count, ratio: count / item.total };
+}
+
+/**
+ * 過去の記録から、同じメモの記録で最も多く使われたカテゴリを提案する
+ * 半数以上の記録で使われたカテゴリのみ提案する
+ * @param {string} memo - メモ
+ * @param {string} type - 記録の種別
+ * @param {Map} learned - learnMemoCategoriesの結果
+ * @returns {Object|null} { category, count }（提案できない場合はnull）
+ */
+function suggestCategoryFromHistory(memo, type, learned) {
+    const item = learned.get(`${type}|${normalizeMemoKey(memo)}`);
+    if (!item) {
+        return null;
+    }
+    const top = getTopLearnedCategory(item);
+    return top.ratio >= RULE_SUGGEST_MIN_RATIO && loadCategoriesByType(type).includes(top.category)
+        ? { category: top.category, count: top.count }
+        : null;
+}
+
+/**
+ * 過去の記録から、ルールにするとよいメモとカテゴリの組み合わせを求める
+ * 同じメモの記録が一定数以上あり、ほぼ同じカテゴリが使われていて、既存のルールで分類されないものが対象
+ * @param {Array} expenses - 支出データの配列
+ * @param {Array} compiledRules - compileRulesの結果
+ * @returns {Array} { type, memo, category, count } の配列（件数の多い順）
+ */
+function findRuleCandidates(expenses, compiledRules) {
+    return [...learnMemoCategories(expenses).values()]
+        .map(item => ({ item, top: getTopLearnedCategory(item) }))
+        .filter(({ item, top }) =>
+            item.total >= RULE_LEARN_MIN_COUNT && top.ratio >= RULE_LEARN_MIN_RATIO &&
+            !item.memo.includes('"') &&
+            loadCategoriesByType(item.type).includes(top.category) &&
+            evaluateRules(item.sample, compiledRules).category === null)
+        .map(({ item, top }) => ({ type: item.type, memo: item.memo, category: top.category, count: item.total }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, RULE_CANDIDATE_LIMIT);
+}
+
+// ========================================
+// 通貨換算機能
+// ========================================
+
+/**
+ * 通貨の定義を取得する（未登録の通貨コードは通貨コードを記号として扱う）
+ * @param {string} code - 通貨コード
+ * @returns {Object} { name, symbol, decimals }
+ */
+function getCurrencyInfo(code) {
+    return CURRENCIES[code] || { name: code, symbol: `${code} `, decimals: 2 };
+}
+
+/**
+ * 支出の通貨コードを取得する（通貨が未設定の支出は基準通貨とみなす）
+ * @param {Object} expense - 支出データ
+ * @returns {string} 通貨コード
+ */
+function getExpenseCurrency(expense) {
+    return expense.currency || loadSettings().baseCurrency;
+}
+
+/**
+ * 金額を通貨の補助単位の桁数で丸める
+ * @param {number|string} amount - 金額
+ * @param {string} currency - 通貨コード
+ * @returns {number} 丸めた金額
+ */
+function roundAmount(amount, currency) {
+    const factor = Math.pow(10, getCurrencyInfo(currency).decimals);
+    return Math.round(Number(amount) * factor) / factor;
+}
+
+/**
+ * 指定日に適用される為替レートを取得する
+ * 適用期間が重なる場合は開始日が新しいレートを優先する
+ * @param {string} currency - 通貨コード
+ * @param {string} date - 日付（YYYY-MM-DD形式）
+ * @param {Object} [settings] - 設定（省略時は保存済みの設定）
+ * @returns {number|null} 1単位あたりの基準通貨での金額（レートが無い場合はnull）
+ */
+function getExchangeRate(currency, date, settings = loadSettings()) {
+    if (currency === settings.baseCurrency) return 1;
+    
+    const rates = settings.exchangeRates
+        .filter(rate => rate.currency === currency &&
+            (!rate.from || rate.from <= date) &&
+            (!rate.to || date <= rate.to))
+        .sort((a, b) => (b.from || '').localeCompare(a.from || ''));
+    return rates.length > 0 ? rates[0].rate : null;
+}
+
+/**
+ * 支出の金額を基準通貨に換算する
+ * 為替レートが登録されていない場合は集計に含めないよう0を返す
+ * @param {Object} expense - 支出データ
+ * @returns {number} 基準通貨での金額
+ */
+function getBaseAmount(expense) {
+    const settings = loadSettings();
+    const currency = expense.currency || settings.baseCurrency;
+    const rate = getExchangeRate(currency, expense.date, settings);
+    if (rate === null) return 0;
+    return roundAmount(expense.amount * rate, settings.baseCurrency);
+}
+
+/**
+ * 支出の合計を基準通貨で計算する
+ * @param {Array} expenses - 支出データの配列
+ * @returns {number} 基準通貨での合計金額
+ */
+function sumBaseAmounts(expenses) {
+    const total = expenses.reduce((sum, expense) => sum + getBaseAmount(expense), 0);
+    return roundAmount(total, loadSettings().baseCurrency);
+}
+
+/**
+ * 為替レートを追加する
+ * @param {Object} rateData - { currency, rate, from, to }
+ * @returns {Object} { valid: boolean, errors: Array }
+ */
+function addExchangeRate(rateData) {
+    const settings = loadSettings();
+    const errors = [];
+    const rate = parseFloat(rateData.rate);
+    
+    if (!CURRENCIES[rateData.currency] || rateData.currency === settings.baseCurrency) {
+        errors.push('基準通貨以外の通貨を選択してください。');
+    }
+    if (!(rate > 0)) {
+        errors.push('レートには正の数値を入力してください。');
+    }
+    if (rateData.from && rateData.to && rateData.from > rateData.to) {
+        errors.push('適用終了日は開始日以降の日付を指定してください。');
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    
+    settings.exchangeRates = [...settings.exchangeRates, {
+        id: generateId(),
+        currency: rateData.currency,
+        rate,
+        from: rateData.from || '',
+        to: rateData.to || ''
+    }];
+    saveSettings(settings);
+    return { valid: true, errors: [] };
+}
+
+/**
+ * 基準通貨を変更できるかを判定する
+ * 為替レート（1単位あたりの基準通貨での金額）と基準通貨で保存した金額（口座の初期残高・振替・精算・予算）は
+ * 変更後の通貨に換算できないため、これらや記録が1件でもある場合は変更できない
+ * @returns {boolean} 変更できる場合true
+ */
+function canChangeBaseCurrency() {
+    return loadSettings().exchangeRates.length === 0 &&
+        loadExpenses().length === 0 &&
+        loadRecurringTemplates().length === 0 &&
+        loadTransfers().length === 0 &&
+        loadSettlements().length === 0 &&
+        Object.keys(loadBudgets()).length === 0 &&
+        loadAccounts().every(account => !account.initialBalance);
+}
+
+/**
+ * 為替レートを削除する
+ * @param {string} id - レートのID
+ */
+function deleteExchangeRate(id) {
+    const settings = loadSettings();
+    settings.exchangeRates = settings.exchangeRates.filter(rate => rate.id !== id);
+    saveSettings(settings);
+}
+
+/**
+ * 配列からページ単位で要素を取り出す
+ * ページ番号が範囲外の場合は最初または最後のページに補正する
+ * @param {Array} items - 全件の配列
+ * @param {number} page - ページ番号（1始まり）
+ * @param {number} pageSize - 1ページあたりの件数
+ * @returns {Object} { items, page, pageCount, start } startは先頭要素の位置（0始まり）
+ */
+function paginate(items, page, pageSize) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const currentPage = Math.min(Math.max(1, page), pageCount);
+    const start = (currentPage - 1) * pageSize;
+    return {
+        items: items.slice(start, start + pageSize),
+        page: currentPage,
+        pageCount,
+        start
+    };
+}
+
+// ========================================
+// 統計計算機能
+// ========================================
+
+/**
+ * 金額をフォーマットする（設定の通貨記号・ロケールを使用）
+ * @param {number} amount - 金額
+ * @param {string} [currency] - 通貨コード（省略時は基準通貨）
+ * @returns {string} フォーマットされた金額文字列
+ */
+function formatAmount(amount, currency) {
+    const settings = loadSettings();
+    const code = currency || settings.baseCurrency;
+    const { symbol, decimals } = getCurrencyInfo(code);
+    const formatted = amount.toLocaleString(settings.locale, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+    // 基準通貨は設定画面で指定した通貨記号で表示する
+    return `${code === settings.baseCurrency ? settings.currency : symbol}${formatted}`;
+}
+
+/**
+ * 日付をフォーマットする（設定の日付表示形式を使用）
+ * @param {string} dateString - 日付文字列（YYYY-MM-DD形式）
+ * @param {string} [format] - 日付表示形式（省略時は設定値）
+ * @returns {string} フォーマットされた日付文字列
+ */
+function formatDate(dateString, format = loadSettings().dateFormat) {
+    const date = parseDateString(dateString);
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        M: String(date.getMonth() + 1),
+        DD: String(date.getDate()).padStart(2, '0'),
+        D: String(date.getDate())
+    };
+    return format.replace(/YYYY|MM|M|DD|D/g, token => tokens[token]);
+}
+
+/**
+ * 日付オブジェクトをYYYY-MM-DD形式の文字列に変換する（ローカル時刻）
+ * @param {Date} date - 日付オブジェクト
+ * @returns {string} YYYY-MM-DD形式の日付文字列
+ */
+function toDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * YYYY-MM-DD形式の文字列をローカル時刻の日付オブジェクトに変換する
+ * @param {string} dateString - YYYY-MM-DD形式の日付文字列
+ * @returns {Date} 日付オブジェクト
+ */
+function parseDateString(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * 指定した月（省略時は今月）の合計支出を計算する
+ * @param {Array} expenses - 支出データの配列
+ * @param {Date} [referenceDate] - 対象の月に含まれる日付
+ * @returns {number} 合計金額
+ */
+function calculateMonthlyTotal(expenses, referenceDate = new Date()) {
+    return sumBaseAmounts(filterExpensesByMonth(expenses, referenceDate));
+}
+
+/**
+ * 指定した日付と同じ月の支出のみを抽出する
+ * @param {Array} expenses - 支出データの配列
+ * @param {Date} referenceDate - 基準日
+ * @returns {Array} 同じ月の支出データ
+ */
+function filterExpensesByMonth(expenses, referenceDate) {
+    const targetMonth = referenceDate.getMonth();
+    const targetYear = referenceDate.getFullYear();
+    
+    return expenses.filter(expense => {
+        const expenseDate = parseDateString(expense.date);
+        return expenseDate.getMonth() === targetMonth && 
+               expenseDate.getFullYear() === targetYear;
+    });
+}
+
+/**
+ * 指定した年（省略時は今年）の合計支出を計算する
+ * @param {Array} expenses - 支出データの配列
+ * @param {Date} [referenceDate] - 対象の年に含まれる日付
+ * @returns {number} 合計金額
+ */
+function calculateYearlyTotal(expenses, referenceDate = new Date()) {
+    const targetYear = referenceDate.getFullYear();
+    
+    return sumBaseAmounts(expenses.filter(expense => {
+        const expenseDate = new Date(expense.date);
+        return expenseDate.getFullYear() === targetYear;
+    }));
+}
+
+/**
+ * 平均日次支出を計算する
+ * 期間に今日が含まれる場合は今日までの経過日数で割る
+ * @param {Array} expenses - 支出データの配列
+ * @param {Object} [range] - 対象期間 { start, end }（省略時は今月）
+ * @returns {number} 平均金額
+ */
+function calculateAverageDaily(expenses, range = getPeriodRange(getPeriodKey(toDateString(new Date()), 'month'), 'month')) {
+    const periodExpenses = filterExpensesByRange(expenses, range);
+    if (periodExpenses.length === 0) return 0;
+    
+    const today = toDateString(new Date());
+    const end = range.start <= today && today <= range.end ? today : range.end;
+    const days = countDays(range.start, end);
+    
+    const total = sumBaseAmounts(periodExpenses);
+    return days > 0 ? roundAmount(total / days, loadSettings().baseCurrency) : 0;
+}
+
+/**
+ * 期間内の支出のみを抽出する
+ * @param {Array} expenses - 支出データの配列
+ * @param {Object} range - 期間 { start, end }（YYYY-MM-DD形式、両端を含む）
+ * @returns {Array} 期間内の支出データ
+ */
+function filterExpensesByRange(expenses, range) {
+    return expenses.filter(expense => expense.date >= range.start && expense.date <= range.end);
+}
+
+/**
+ * 2つの日付の間の日数を数える（両端を含む）
+ * @param {string} start - 開始日（YYYY-MM-DD形式）
+ * @param {string} end - 終了日（YYYY-MM-DD形式）
+ * @returns {number} 日数
+ */
+function countDays(start, end) {
+    return Math.round((parseDateString(end) - parseDateString(start)) / (1000 * 60 * 60 * 24)) + 1;
+}
+
+/**
+ * 期間の統計（合計・平均日次・最大・最小・件数）を計算する
+ * @param {Array} expenses - 支出データの配列
+ * @param {Object} range - 期間 { start, end }
+ * @returns {Object} { total, averageDaily, max, min, count }（max・minは支出オブジェクトまたはnull）
+ */
+function calculatePeriodStats(expenses, range) {
+    const periodExpenses = filterExpensesByRange(expenses, range);
+    let max = null;
+    let min = null;
+    
+    periodExpenses.forEach(expense => {
+        if (!max || getBaseAmount(expense) > getBaseAmount(max)) {
+            max = expense;
+        }
+        if (!min || getBaseAmount(expense) < getBaseAmount(min)) {
+            min = expense;
+        }
+    });
+    
+    return {
+        total: sumBaseAmounts(periodExpenses),
+        averageDaily: calculateAverageDaily(periodExpenses, range),
+        max,
+        min,
+        count: periodExpenses.length
+    };
+}
+
+/**
+ * 収入・支出の合計と収支（収入 − 支出）を計算する
+ * @param {Array} entries - 支出・収入データの配列
+ * @returns {Object} { income, expense, net }（基準通貨での金額）
+ */
+function calculateCashFlow(entries) {
+    const income = sumBaseAmounts(filterByEntryType(entries, 'income'));
+    const expense = sumBaseAmounts(filterByEntryType(entries, 'expense'));
+    return {
+        income,
+        expense,
+        net: roundAmount(income - expense, loadSettings().baseCurrency)
+    };
+}
+
+/**
+ * カテゴリ別の集計を計算する
+ * 予算が渡された場合は、予算が設定されたカテゴリの予算消化状況も付与する
+ * （支出がないカテゴリも予算があれば金額0で含める）
+ * @param {Array} expenses - 支出データの配列
+ * @param {Object} [budgets] - カテゴリ別の予算（省略時は予算情報なし）
+ * @param {Object} [options] - { myShareOnly: trueの場合は割り勘の自分の負担分のみで計算する }
+ * @returns {Array} カテゴリ別集計データ
+ */
+function calculateCategoryStats(expenses, budgets = null, options = {}) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const categoryMap = {};
+    let total = 0;
+    
+    // カテゴリ別に基準通貨での合計を計算
+    expenses.forEach(expense => {
+        const amount = options.myShareOnly ? getMyShareAmount(expense) : getBaseAmount(expense);
+        // 自分の負担がない立て替えは集計しない
+        if (options.myShareOnly && amount === 0) {
+            return;
+        }
+        if (!categoryMap[expense.category]) {
+            categoryMap[expense.category] = 0;
+        }
+        categoryMap[expense.category] = roundAmount(categoryMap[expense.category] + amount, baseCurrency);
+        total += amount;
+    });
+    
+    // 予算が設定されているカテゴリは支出がなくても含める
+    if (budgets) {
+        Object.keys(budgets).forEach(category => {
+            if (!categoryMap[category]) {
+                categoryMap[category] = 0;
+            }
+        });
+    }
+    
+    // 配列に変換してソート
+    const stats = Object.entries(categoryMap)
+        .map(([category, amount]) => {
+            const stat = {
+                category,
+                amount,
+                percentage: total > 0 ? Math.round((amount / total) * 100) : 0
+            };
+            if (budgets && budgets[category]) {
+                Object.assign(stat, calculateBudgetStatus(amount, budgets[category]));
+            }
+            return stat;
+        })
+        .sort((a, b) => b.amount - a.amount);
+    
+    return stats;
+}
+
+/**
+ * 日付のISO週番号を取得する（月曜始まり、1月4日を含む週が第1週）
+ * @param {string} dateString - 日付文字列（YYYY-MM-DD形式）
+ * @returns {Object} { year, week } 週の属する年と週番号
+ */
+function getIsoWeek(dateString) {
+    // 同じ週の木曜日が属する年がISO週の年になる
+    const thursday = parseDateString(dateString);
+    thursday.setDate(thursday.getDate() - (thursday.getDay() + 6) % 7 + 3);
+    const year = thursday.getFullYear();
+    const firstThursday = new Date(year, 0, 4);
+    firstThursday.setDate(firstThursday.getDate() - (firstThursday.getDay() + 6) % 7 + 3);
+    const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+    return { year, week };
+}
+
+/**
+ * 設定の週の開始曜日とISO週（月曜始まり）とのずれを取得する
+ * @returns {number} ずれの日数（月曜始まりは0、日曜始まりは1）
+ */
+function getWeekStartOffset() {
+    return (8 - Number(loadSettings().weekStart)) % 7;
+}
+
+/**
+ * 日付が属する集計期間のキーを取得する
+ * @param {string} dateString - 日付文字列（YYYY-MM-DD形式）
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {string} 期間のキー（YYYY-MM-DD、YYYY-Www、YYYY-MM、YYYY）
+ */
+function getPeriodKey(dateString, unit) {
+    switch (unit) {
+        case 'week': {
+            // 週の開始曜日が月曜以外の場合は、ISO週とずれる日数だけ日付をずらして番号を付ける
+            const shifted = parseDateString(dateString);
+            shifted.setDate(shifted.getDate() + getWeekStartOffset());
+            const { year, week } = getIsoWeek(toDateString(shifted));
+            return `${year}-W${String(week).padStart(2, '0')}`;
+        }
+        case 'month':
+            return dateString.slice(0, 7);
+        case 'year':
+            return dateString.slice(0, 4);
+        default:
+            return dateString;
+    }
+}
+
+/**
+ * 集計期間のキーから期間の開始日・終了日を取得する
+ * @param {string} key - 期間のキー
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {Object} { start, end }（YYYY-MM-DD形式、両端を含む）
+ */
+function getPeriodRange(key, unit) {
+    switch (unit) {
+        case 'week': {
+            const [year, week] = key.split('-W').map(Number);
+            // 1月4日を含む週の月曜日から数え、週の開始曜日に合わせて前にずらす
+            const start = new Date(year, 0, 4);
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7 + (week - 1) * 7 - getWeekStartOffset());
+            const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+            return { start: toDateString(start), end: toDateString(end) };
+        }
+        case 'month': {
+            const [year, month] = key.split('-').map(Number);
+            return {
+                start: toDateString(new Date(year, month - 1, 1)),
+                end: toDateString(new Date(year, month, 0))
+            };
+        }
+        case 'year':
+            return { start: `${key}-01-01`, end: `${key}-12-31` };
+        default:
+            return { start: key, end: key };
+    }
+}
+
+/**
+ * 集計期間のキーから前後の期間のキーを取得する
+ * @param {string} key - 期間のキー
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @param {number} [offset] - 移動量（1で次の期間、-1で前の期間）
+ * @returns {string} 移動後の期間のキー
+ */
+function getNextPeriodKey(key, unit, offset = 1) {
+    let result = key;
+    for (let i = 0; i < Math.abs(offset); i++) {
+        const range = getPeriodRange(result, unit);
+        const date = parseDateString(offset > 0 ? range.end : range.start);
+        date.setDate(date.getDate() + (offset > 0 ? 1 : -1));
+        result = getPeriodKey(toDateString(date), unit);
+    }
+    return result;
+}
+
+/**
+ * 支出を集計期間ごとに振り分ける
+ * @param {Array} expenses - 支出データの配列
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {Object} 期間のキーをキー、支出データの配列を値とするオブジェクト
+ */
+function groupExpensesByPeriod(expenses, unit) {
+    const groups = {};
+    expenses.forEach(expense => {
+        const key = getPeriodKey(expense.date, unit);
+        if (!groups[key]) {
+            groups[key] = [];
+        }
+        groups[key].push(expense);
+    });
+    return groups;
+}
+
+/**
+ * 期間ごとの合計支出を計算する（支出のない期間は0として含める）
+ * @param {Array} expenses - 支出データの配列
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {Array} { key, amount, count } の配列（期間の昇順）
+ */
+function calculatePeriodTotals(expenses, unit) {
+    const groups = groupExpensesByPeriod(expenses, unit);
+    const keys = Object.keys(groups).sort();
+    if (keys.length === 0) {
+        return [];
+    }
+    
+    const lastKey = keys[keys.length - 1];
+    const result = [];
+    for (let key = keys[0]; key <= lastKey; key = getNextPeriodKey(key, unit)) {
+        const periodExpenses = groups[key] || [];
+        result.push({
+            key,
+            amount: sumBaseAmounts(periodExpenses),
+            count: periodExpenses.length
+        });
+    }
+    return result;
+}
+
+/**
+ * 前年の同じ期間のキーを取得する（週は52週前）
+ * @param {string} key - 期間のキー
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {string} 前年同期のキー
+ */
+function getSamePeriodLastYear(key, unit) {
+    if (unit === 'week') {
+        return getNextPeriodKey(key, unit, -52);
+    }
+    const start = parseDateString(getPeriodRange(key, unit).start);
+    return getPeriodKey(toDateString(createClampedDate(start.getFullYear() - 1, start.getMonth(), start.getDate())), unit);
+}
+
+/**
+ * 2つの期間のカテゴリ別支出を比較する
+ * @param {Array} currentExpenses - 対象期間の支出データ
+ * @param {Array} baseExpenses - 比較元の期間の支出データ
+ * @returns {Object} { rows, total }
+ *   rowsは { category, current, base, diff, changeRate } の配列（増加額の大きい順）
+ *   changeRateは比較元が0の場合null
+ */
+function compareCategoryStats(currentExpenses, baseExpenses) {
+    const currentStats = calculateCategoryStats(currentExpenses);
+    const baseStats = calculateCategoryStats(baseExpenses);
+    const categories = [...new Set([...currentStats, ...baseStats].map(stat => stat.category))];
+    const amountOf = (stats, category) => (stats.find(stat => stat.category === category) || { amount: 0 }).amount;
+    const toRow = (category, current, base) => ({
+        category,
+        current,
+        base,
+        diff: current - base,
+        changeRate: base > 0 ? (current - base) / base : null
+    });
+    
+    const rows = categories
+        .map(category => toRow(category, amountOf(currentStats, category), amountOf(baseStats, category)))
+        .sort((a, b) => b.diff - a.diff);
+    const total = toRow(
+        '合計',
+        rows.reduce((sum, row) => sum + row.current, 0),
+        rows.reduce((sum, row) => sum + row.base, 0)
+    );
+    
+    return { rows, total };
+}
+
+/**
+ * 予算の消化状況を計算する
+ * @param {number} used - 使用済み金額
+ * @param {number} budget - 予算額
+ * @returns {Object} { budget, remaining, budgetRatio, budgetStatus }
+ *   budgetStatusは 'ok' | 'warn'（警告ライン以上）| 'exceeded'（超過）
+ */
+function calculateBudgetStatus(used, budget) {
+    const budgetRatio = budget > 0 ? used / budget : 0;
+    let budgetStatus = 'ok';
+    if (used > budget) {
+        budgetStatus = 'exceeded';
+    } else if (budgetRatio >= BUDGET_WARNING_RATIO) {
+        budgetStatus = 'warn';
+    }
+    
+    return {
+        budget,
+        remaining: budget - used,
+        budgetRatio,
+        budgetStatus
+    };
+}
+
+/**
+ * 支出を保存した場合に月間予算を超えるかを確認する
+ * @param {Object} formData - フォームデータ
+ * @param {string|null} excludeId - 集計から除外する支出ID（編集中の支出）
+ * @returns {Object|null} 超過する場合は予算状況、超過しない場合はnull
+ */
+function checkBudgetOverrun(formData, excludeId) {
+    const budget = loadBudgets()[formData.category];
+    if (!budget || getEntryType(formData) !== 'expense') {
+        return null;
+    }
+    
+    const monthExpenses = filterExpensesByMonth(filterByEntryType(loadExpenses(), 'expense'), parseDateString(formData.date))
+        .filter(expense => expense.category === formData.category && expense.id !== excludeId);
+    const used = sumBaseAmounts([...monthExpenses, formData]);
+    const status = calculateBudgetStatus(used, budget);
+    
+    return status.budgetStatus === 'exceeded' ? { ...status, used } : null;
+}
+
+// ========================================
+// DOM操作・UI更新機能
+// ========================================
+
+let selectedPeriod = { unit: 'month', key: getPeriodKey(toDateString(new Date()), 'month') }; // 統計カードの集計期間
+let currentPage = 1; // 支出一覧の表示中のページ（編集・削除後も維持する）
+
+/**
+ * カテゴリ選択肢を設定する
+ */
+function populateCategories() {
+    const categoryFilter = document.getElementById('categoryFilter');
+    
+    // フォームのカテゴリ選択肢を、選択中の種別に合わせて更新
+    populateFormCategories('expenseCategory', document.getElementById('expenseType').value);
+    populateFormCategories('recurringCategory', document.getElementById('recurringType').value);
+    
+    // フィルタのカテゴリ選択肢を種別ごとにまとめて更新
+    categoryFilter.innerHTML = '<option value="">すべて</option>';
+    Object.entries(ENTRY_TYPES).forEach(([type, label]) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        loadCategoriesByType(type).forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            group.appendChild(option);
+        });
+        categoryFilter.appendChild(group);
+    });
+}
+
+/**
+ * フォームのカテゴリ選択肢を種別に合わせて更新する（選択中のカテゴリが選択肢にあれば維持する）
+ * @param {string} selectId - カテゴリ選択欄のID
+ * @param {string} type - 記録の種別（'expense' | 'income'）
+ */
+function populateFormCategories(selectId, type) {
+    const categorySelect = document.getElementById(selectId);
+    const selected = categorySelect.value;
+    const categories = loadCategoriesByType(type);
+    categorySelect.innerHTML = '<option value="">選択してください</option>';
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        categorySelect.appendChild(option);
+    });
+    categorySelect.value = categories.includes(selected) ? selected : '';
+}
+
+/**
+ * 口座の選択肢（フォーム・フィルタ・振替）を更新する（選択中の口座が選択肢にあれば維持する）
+ */
+function populateAccounts() {
+    const accounts = loadAccounts();
+    const options = accounts.map(account => 
+        `<option value="${escapeHtml(account.id)}">${escapeHtml(account.name)}</option>`
+    ).join('');
+    const fill = (id, prefix) => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = prefix + options;
+        select.value = accounts.some(account => account.id === selected) ? selected : (prefix ? '' : accounts[0].id);
+    };
+    fill('accountFilter', '<option value="">すべて</option>');
+    ['expenseAccount', 'recurringAccount', 'transferFrom', 'transferTo', 'ledgerAccount', 'statementAccount']
+        .forEach(id => fill(id, ''));
+}
+
+/**
+ * 割り勘の人の選択肢を更新する
+ */
+function populatePeople() {
+    const people = loadPeople();
+    const options = people.map(person => 
+        `<option value="${escapeHtml(person.id)}">${escapeHtml(person.name)}</option>`
+    ).join('');
+    ['splitPayer', 'settlementFrom', 'settlementTo'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = options;
+        select.value = people.some(person => person.id === selected) ? selected : SELF_PERSON_ID;
+    });
+}
+
+/**
+ * タグの選択肢（フィルタ・入力候補）を更新する
+ * 選択中のタグは、支出から使われなくなっても選択肢に残す
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function populateTags(expenses = loadExpenses()) {
+    const tags = collectTags(expenses).map(item => item.tag);
+    const tagFilter = document.getElementById('tagFilter');
+    const selected = tagFilter.value;
+    if (selected && !tags.includes(selected)) {
+        tags.push(selected);
+    }
+    
+    tagFilter.innerHTML = '<option value="">すべて</option>' + tags.map(tag =>
+        `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`
+    ).join('');
+    tagFilter.value = selected;
+    document.getElementById('tagSuggestions').innerHTML = tags.map(tag =>
+        `<option value="${escapeHtml(tag)}"></option>`
+    ).join('');
+}
+
+/**
+ * 通貨の選択肢を生成する
+ */
+function populateCurrencies() {
+    const options = Object.entries(CURRENCIES).map(([code, info]) => 
+        `<option value="${code}">${code}（${info.name}）</option>`
+    ).join('');
+    ['expenseCurrency', 'recurringCurrency', 'settingBaseCurrency', 'rateCurrency'].forEach(id => {
+        document.getElementById(id).innerHTML = options;
+    });
+}
+
+/**
+ * 支出一覧の表示件数の選択肢を生成する
+ */
+function populatePageSizes() {
+    document.getElementById('pageSize').innerHTML = PAGE_SIZES.map(size => 
+        `<option value="${size}">${size}件</option>`
+    ).join('');
+}
+
+/**
+ * 明細インポートの形式の選択肢を生成する
+ */
+function populateStatementFormats() {
+    document.getElementById('statementFormat').innerHTML = '<option value="auto">自動判定</option>' +
+        Object.entries(STATEMENT_FORMATS).map(([format, name]) => `<option value="${format}">${name}</option>`).join('') +
+        Object.keys(CARD_CSV_PRESETS).map(format => 
+            `<option value="${format}">${getStatementFormatName(format)}</option>`
+        ).join('');
+}
+
+/**
+ * 統計情報を更新する
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function updateStatistics(expenses = loadExpenses()) {
+    const range = getPeriodRange(selectedPeriod.key, selectedPeriod.unit);
+    const referenceDate = parseDateString(range.start);
+    // 支出の統計には収入を含めない
+    const spending = filterByEntryType(expenses, 'expense');
+    const periodStats = calculatePeriodStats(spending, range);
+    const monthlyTotal = calculateMonthlyTotal(spending, referenceDate);
+    const yearlyTotal = calculateYearlyTotal(spending, referenceDate);
+    
+    document.getElementById('periodLabel').textContent = formatPeriodTitle(selectedPeriod.key, selectedPeriod.unit);
+    document.getElementById('periodTotal').textContent = formatAmount(periodStats.total);
+    document.getElementById('monthlyTotalTitle').textContent = `${referenceDate.getMonth() + 1}月の合計支出`;
+    document.getElementById('monthlyTotal').textContent = formatAmount(monthlyTotal);
+    document.getElementById('yearlyTotalTitle').textContent = `${referenceDate.getFullYear()}年の合計支出`;
+    document.getElementById('yearlyTotal').textContent = formatAmount(yearlyTotal);
+    renderCashFlow('periodNet', calculateCashFlow(filterExpensesByRange(expenses, range)));
+    document.getElementById('monthlyNetTitle').textContent = `${referenceDate.getMonth() + 1}月の収支`;
+    renderCashFlow('monthlyNet', calculateCashFlow(filterExpensesByRange(expenses, 
+        getPeriodRange(getPeriodKey(range.start, 'month'), 'month'))));
+    document.getElementById('yearlyNetTitle').textContent = `${referenceDate.getFullYear()}年の収支`;
+    renderCashFlow('yearlyNet', calculateCashFlow(filterExpensesByRange(expenses, 
+        getPeriodRange(getPeriodKey(range.start, 'year'), 'year'))));
+    document.getElementById('averageDaily').textContent = formatAmount(periodStats.averageDaily);
+    document.getElementById('periodCount').textContent = `${periodStats.count}件`;
+    renderExtremeExpense('maxExpense', periodStats.max);
+    renderExtremeExpense('minExpense', periodStats.min);
+}
+
+/**
+ * 収支のカードを表示する（符号付きの収支と、収入・支出の内訳）
+ * @param {string} elementId - 収支を表示する要素のID（内訳は「ID + Detail」の要素に表示）
+ * @param {Object} cashFlow - calculateCashFlowの結果
+ */
+function renderCashFlow(elementId, cashFlow) {
+    const element = document.getElementById(elementId);
+    element.textContent = formatSignedAmount(cashFlow.net);
+    element.classList.toggle('amount--income', cashFlow.net > 0);
+    element.classList.toggle('amount--deficit', cashFlow.net < 0);
+    document.getElementById(`${elementId}Detail`).textContent = 
+        `収入 ${formatAmount(cashFlow.income)}・支出 ${formatAmount(cashFlow.expense)}`;
+}
+
+/**
+ * 最大・最小支出のカードを表示する（金額と項目）
+ * @param {string} elementId - 金額を表示する要素のID（項目は「ID + Item」の要素に表示）
+ * @param {Object|null} expense - 支出データ
+ */
+function renderExtremeExpense(elementId, expense) {
+    document.getElementById(elementId).textContent = expense ? formatAmount(getBaseAmount(expense)) : '-';
+    document.getElementById(`${elementId}Item`).textContent = expense
+        ? `${formatDate(expense.date)} ${expense.category}${expense.memo ? ` ${expense.memo}` : ''}`
+        : '';
+}
+
+/**
+ * 集計期間を変更する
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @param {string} key - 期間のキー
+ */
+function setSelectedPeriod(unit, key) {
+    selectedPeriod = { unit, key };
+    document.getElementById('periodUnit').value = unit;
+    refreshUI();
+}
+
+/**
+ * 集計単位を変更する（選択中の期間の開始日を含む期間に切り替える）
+ * @param {string} unit - 集計単位
+ */
+function changePeriodUnit(unit) {
+    const today = toDateString(new Date());
+    const range = getPeriodRange(selectedPeriod.key, selectedPeriod.unit);
+    // 今日を含む期間からの切り替えでは今日を基準にする
+    const baseDate = range.start <= today && today <= range.end ? today : range.start;
+    setSelectedPeriod(unit, getPeriodKey(baseDate, unit));
+}
+
+/**
+ * 連続して呼ばれた関数を、最後の呼び出しから一定時間後に一度だけ実行する
+ * @param {Function} callback - 実行する関数
+ * @param {number} wait - 待ち時間（ミリ秒）
+ * @returns {Function} 間引きされた関数（cancelで保留中の実行を取り消せる）
+ */
+function debounce(callback, wait) {
+    let timerId = null;
+    const debounced = (...args) => {
+        clearTimeout(timerId);
+        timerId = setTimeout(() => callback(...args), wait);
+    };
+    debounced.cancel = () => clearTimeout(timerId);
+    return debounced;
+}
+
+/**
+ * HTMLに埋め込む文字列をエスケープする
+ * @param {string} value - エスケープする文字列
+ * @returns {string} エスケープされた文字列
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * カテゴリのバッジのHTMLを生成する（設定された色・アイコンを反映）
+ * @param {string} category - カテゴリ名
+ * @param {Object} [styles] - カテゴリスタイル（省略時は読み込む）
+ * @returns {string} バッジのHTML
+ */
+function renderCategoryBadge(category, styles = loadCategoryStyles()) {
+    const style = styles[category] || {};
+    const colorStyle = style.color ? ` style="background-color: ${escapeHtml(style.color)};"` : '';
+    const icon = style.icon ? `${escapeHtml(style.icon)} ` : '';
+    return `<span class="category-badge"${colorStyle}>${icon}${escapeHtml(category)}</span>`;
+}
+
+/**
+ * 画面のフィルタ入力からフィルタ条件を取得する
+ * @returns {Object} フィルタ条件
+ */
+function getFilterConditions() {
+    return {
+        dateFrom: document.getElementById('dateFrom').value || null,
+        dateTo: document.getElementById('dateTo').value || null,
+        type: document.getElementById('typeFilter').value || null,
+        account: document.getElementById('accountFilter').value || null,
+        category: document.getElementById('categoryFilter').value || null,
+        tag: document.getElementById('tagFilter').value || null,
+        amountMin: document.getElementById('amountMin').value ? 
+                   parseAmountValue(document.getElementById('amountMin').value) : null,
+        amountMax: document.getElementById('amountMax').value ? 
+                   parseAmountValue(document.getElementById('amountMax').value) : null,
+        searchMemo: document.getElementById('searchMemo').value || null,
+        query: parseQuery(document.getElementById('searchQuery').value).ast
+    };
+}
+
+/**
+ * 画面のフィルタ・並び順を適用した支出一覧を取得する
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ * @returns {Array} フィルタリング・ソート済みの支出データ
+ */
+function getDisplayedExpenses(expenses = loadExpenses()) {
+    const filteredExpenses = filterExpenses(expenses, getFilterConditions());
+    return sortExpenses(filteredExpenses, document.getElementById('sortBy').value);
+}
+
+/**
+ * 支出一覧の金額欄を描画する
+ * 外貨の支出は基準通貨への換算額と元の金額を併記する
+ * @param {Object} expense - 支出データ
+ * @returns {string} HTML文字列
+ */
+function renderExpenseAmount(expense) {
+    const settings = loadSettings();
+    const currency = getExpenseCurrency(expense);
+    if (currency === settings.baseCurrency) {
+        return formatAmount(expense.amount);
+    }
+    
+    const original = escapeHtml(formatAmount(expense.amount, currency));
+    if (getExchangeRate(currency, expense.date, settings) === null) {
+        return `<span class="amount-cell__original amount-cell__original--missing" title="為替レートが未設定のため集計に含まれません">${original}（レート未設定）</span>`;
+    }
+    return `${formatAmount(getBaseAmount(expense))}<span class="amount-cell__original">${original}</span>`;
+}
+
+/**
+ * ページ送りの表示を更新する
+ * @param {Object} pageData - paginateの結果
+ * @param {number} totalCount - 全件数
+ */
+function renderPagination(pageData, totalCount) {
+    const { page, pageCount, start, items } = pageData;
+    document.getElementById('pagination').style.display = 'flex';
+    document.getElementById('pageSize').value = String(loadSettings().pageSize);
+    document.getElementById('pageInfo').textContent = 
+        `${page} / ${pageCount}ページ（${start + 1}〜${start + items.length}件目 / ${totalCount}件）`;
+    document.getElementById('firstPageBtn').disabled = page === 1;
+    document.getElementById('prevPageBtn').disabled = page === 1;
+    document.getElementById('nextPageBtn').disabled = page === pageCount;
+    document.getElementById('lastPageBtn').disabled = page === pageCount;
+}
+
+/**
+ * フィルタ・並び順の変更を反映する（支出一覧は1ページ目に戻す）
+ */
+function handleFilterChange() {
+    currentPage = 1;
+    renderSearchQueryError();
+    updateFilterHash();
+    renderSavedFilters();
+    refreshUI();
+}
+
+/**
+ * ページ送りボタンのクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handlePaginationClick(event) {
+    const button = event.target.closest('button[data-page]');
+    if (!button || button.disabled) return;
+    
+    const moves = {
+        first: () => 1,
+        prev: () => currentPage - 1,
+        next: () => currentPage + 1,
+        last: () => Infinity // renderExpenseListで最後のページに補正される
+    };
+    currentPage = moves[button.dataset.page]();
+    renderExpenseList();
+}
+
+/**
+ * 表示件数の変更を保存し、表示中の先頭の支出を含むページを表示する
+ * @param {Event} event - changeイベント
+ */
+function handlePageSizeChange(event) {
+    const settings = loadSettings();
+    const firstIndex = (currentPage - 1) * settings.pageSize;
+    const pageSize = parseInt(event.target.value, 10);
+    
+    saveSettings({ ...settings, pageSize });
+    currentPage = Math.floor(firstIndex / pageSize) + 1;
+    renderExpenseList();
+}
+
+/**
+ * 支出一覧を表示する
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function renderExpenseList(expenses = loadExpenses()) {
+    // フィルタリングとソートを実行
+    const filteredExpenses = getDisplayedExpenses(expenses);
+    
+    // テーブルボディを取得
+    const tableBody = document.getElementById('expenseTableBody');
+    const emptyMessage = document.getElementById('emptyMessage');
+    
+    // 空の場合はメッセージを表示
+    if (filteredExpenses.length === 0) {
+        tableBody.innerHTML = '';
+        emptyMessage.style.display = 'block';
+        document.getElementById('pagination').style.display = 'none';
+        document.getElementById('expenseCount').textContent = '0件の支出';
+        document.getElementById('filteredTotal').textContent = `合計: ${formatAmount(0)}`;
+        return;
+    }
+    
+    emptyMessage.style.display = 'none';
+    
+    // 残高列は表示中の全件を日付順に積み上げて計算する（ページや並び順に依存しない）
+    const showBalance = loadSettings().showRunningBalance;
+    const balances = showBalance ? calculateRunningBalances(filteredExpenses) : null;
+    document.getElementById('expenseTable').classList.toggle('expense-table--balance', showBalance);
+    
+    // 表示中のページの行のみを生成（件数・合計は全件で計算）
+    const pageData = paginate(filteredExpenses, currentPage, loadSettings().pageSize);
+    currentPage = pageData.page;
+    renderPagination(pageData, filteredExpenses.length);
+    
+    const categoryStyles = loadCategoryStyles();
+    const accounts = loadAccounts();
+    tableBody.innerHTML = pageData.items.map(expense => {
+        const isIncome = getEntryType(expense) === 'income';
+        return `
+            <tr${isIncome ? ' class="income-row"' : ''}>
+                <td>${formatDate(expense.date)}</td>
+                <td>
+                    ${isIncome ? '<span class="entry-type-mark">収入</span>' : ''}
+                    ${renderCategoryBadge(expense.category, categoryStyles)}
+                    ${expense.recurringId ? '<span class="recurring-mark" title="定期支出から自動登録">🔁</span>' : ''}
+                    ${expense.split ? `<span class="split-mark" title="割り勘（自分の負担 ${formatAmount(getMyShareAmount(expense))}）">👥</span>` : ''}
+                    <span class="account-mark">${escapeHtml(getAccountName(getEntryAccountId(expense), accounts))}</span>
+                </td>
+                <td class="amount-cell${isIncome ? ' amount--income' : ''}">${isIncome ? '+' : ''}${renderExpenseAmount(expense)}</td>
+                <td class="amount-cell balance-column">${balances ? formatSignedAmount(balances.get(expense.id)) : ''}</td>
+                <td class="memo-cell" title="${escapeHtml(expense.memo)}">
+                    ${renderAttachmentIndicator(expense.id)}
+                    ${expense.memo ? escapeHtml(expense.memo) : '-'}
+                    ${renderTagChips(getExpenseTags(expense))}
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button type="button" class="btn btn--primary btn--small" data-action="edit" data-id="${escapeHtml(expense.id)}" aria-label="編集">
+                            編集
+                        </button>
+                        <button type="button" class="btn btn--danger btn--small" data-action="delete" data-id="${escapeHtml(expense.id)}" aria-label="削除">
+                            削除
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+    
+    // 件数と合計を更新（収入を含む場合は収入・支出・収支を表示）
+    const cashFlow = calculateCashFlow(filteredExpenses);
+    document.getElementById('expenseCount').textContent = `${filteredExpenses.length}件の支出`;
+    document.getElementById('filteredTotal').textContent = cashFlow.income > 0
+        ? `支出: ${formatAmount(cashFlow.expense)}・収入: ${formatAmount(cashFlow.income)}・収支: ${formatSignedAmount(cashFlow.net)}`
+        : `合計: ${formatAmount(cashFlow.expense)}`;
+}
+
+/**
+ * 支出一覧のレシートの表示ボタンのHTMLを生成する（最初の添付ファイルのサムネイルと件数）
+ * @param {string} expenseId - 支出のID
+ * @returns {string} HTML文字列（添付ファイルがない場合は空文字列）
+ */
+function renderAttachmentIndicator(expenseId) {
+    const attachments = getExpenseAttachments(expenseId);
+    if (attachments.length === 0) {
+        return '';
+    }
+    return `
+        <button type="button" class="attachment-thumb attachment-thumb--small" data-expense-id="${escapeHtml(expenseId)}"
+            title="レシートを表示（${attachments.length}件）" aria-label="レシートを表示（${attachments.length}件）">
+            ${renderAttachmentThumbnail(attachments[0])}
+            ${attachments.length > 1 ? `<span class="attachment-thumb__count">${attachments.length}</span>` : ''}
+        </button>
+    `;
+}
+
+/**
+ * 記録ごとの残高（その記録までの収入 − 支出の累計）を計算する
+ * 同じ日付の記録は登録順に積み上げる
+ * @param {Array} entries - 支出・収入データの配列
+ * @returns {Map} 記録のIDをキー、残高を値とするMap
+ */
+function calculateRunningBalances(entries) {
+    const baseCurrency = loadSettings().baseCurrency;
+    const balances = new Map();
+    let balance = 0;
+    [...entries]
+        .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || 0) - (b.createdAt || 0))
+        .forEach(entry => {
+            const amount = getBaseAmount(entry);
+            balance = roundAmount(getEntryType(entry) === 'income' ? balance + amount : balance - amount, baseCurrency);
+            balances.set(entry.id, balance);
+        });
+    return balances;
+}
+
+/**
+ * 支出一覧のボタン・レシートのクリックを処理する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleExpenseTableClick(event) {
+    const attachmentButton = event.target.closest('button[data-expense-id]');
+    if (attachmentButton) {
+        openExpenseAttachments(attachmentButton.dataset.expenseId);
+        return;
+    }
+    
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    if (button.dataset.action === 'edit') {
+        editExpense(button.dataset.id);
+    } else if (button.dataset.action === 'delete') {
+        confirmDeleteExpense(button.dataset.id);
+    }
+}
+
+/**
+ * タグのチップのHTMLを生成する（クリックでタグを絞り込む）
+ * @param {Array} tags - タグの配列
+ * @returns {string} HTML文字列（タグがない場合は空文字列）
+ */
+function renderTagChips(tags) {
+    if (tags.length === 0) {
+        return '';
+    }
+    return `<div class="tag-list">${tags.map(tag =>
+        `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" title="「${escapeHtml(tag)}」で絞り込む">#${escapeHtml(tag)}</button>`
+    ).join('')}</div>`;
+}
+
+/**
+ * 支出一覧・タグ別統計のタグのクリック処理（イベントデリゲーション）
+ * 選択中のタグを再度クリックした場合はフィルタを解除する
+ * @param {Event} event - クリックイベント
+ */
+function handleTagChipClick(event) {
+    const target = event.target.closest('[data-tag]');
+    if (!target) {
+        return;
+    }
+    const tagFilter = document.getElementById('tagFilter');
+    tagFilter.value = tagFilter.value === target.dataset.tag ? '' : target.dataset.tag;
+    handleFilterChange();
+}
+
+/**
+ * タグ別統計を表示する（支出一覧と同じフィルタ条件を適用し、タグフィルタは適用しない）
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function renderTagStats(expenses = loadExpenses()) {
+    const filters = { ...getFilterConditions(), tag: null, type: 'expense' };
+    const stats = calculateTagStats(filterExpenses(expenses, filters));
+    const selectedTag = document.getElementById('tagFilter').value;
+    const container = document.getElementById('tagStats');
+    
+    if (stats.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--color-text-light);">タグの付いた支出がありません</p>';
+        return;
+    }
+    
+    container.innerHTML = stats.map(stat => `
+        <button type="button" class="category-stat-item tag-stat-item${stat.tag === selectedTag ? ' active' : ''}"
+                data-tag="${escapeHtml(stat.tag)}" aria-pressed="${stat.tag === selectedTag}">
+            <div class="category-stat-item__name">#${escapeHtml(stat.tag)}</div>
+            <div class="category-stat-item__amount">${formatAmount(stat.amount)}</div>
+            <div class="category-stat-item__percentage">${stat.count}件・${stat.percentage}%</div>
+        </button>
+    `).join('');
+}
+
+/**
+ * 口座別統計を表示する（支出一覧と同じフィルタ条件を適用し、口座フィルタは適用しない）
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function renderAccountStats(expenses = loadExpenses()) {
+    const filters = { ...getFilterConditions(), account: null, type: 'expense' };
+    const stats = calculateAccountStats(filterExpenses(expenses, filters));
+    const selectedAccount = document.getElementById('accountFilter').value;
+    const container = document.getElementById('accountStats');
+    
+    if (stats.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--color-text-light);">データがありません</p>';
+        return;
+    }
+    
+    const accounts = loadAccounts();
+    container.innerHTML = stats.map(stat => `
+        <button type="button" class="category-stat-item tag-stat-item${stat.accountId === selectedAccount ? ' active' : ''}"
+                data-account-id="${escapeHtml(stat.accountId)}" aria-pressed="${stat.accountId === selectedAccount}">
+            <div class="category-stat-item__name">${escapeHtml(getAccountName(stat.accountId, accounts))}</div>
+            <div class="category-stat-item__amount">${formatAmount(stat.amount)}</div>
+            <div class="category-stat-item__percentage">${stat.count}件・${stat.percentage}%</div>
+        </button>
+    `).join('');
+}
+
+/**
+ * 口座別統計のクリック処理（選択中の口座を再度クリックした場合はフィルタを解除する）
+ * @param {Event} event - クリックイベント
+ */
+function handleAccountStatClick(event) {
+    const target = event.target.closest('[data-account-id]');
+    if (!target) {
+        return;
+    }
+    const accountFilter = document.getElementById('accountFilter');
+    accountFilter.value = accountFilter.value === target.dataset.accountId ? '' : target.dataset.accountId;
+    handleFilterChange();
+}
+
+/**
+ * カテゴリ別統計を表示する
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function renderCategoryStats(expenses = loadExpenses()) {
+    
+    // フィルタ条件を取得（支出一覧と同じ条件を使用）
+    const filters = {
+        ...getFilterConditions(),
+        category: null, // カテゴリ別統計ではカテゴリフィルタは適用しない
+        type: 'expense'
+    };
+    
+    let filteredExpenses = filterExpenses(expenses, filters);
+    const options = { myShareOnly: loadSettings().myShareOnly };
+    const stats = calculateCategoryStats(filteredExpenses, null, options);
+    
+    // 予算の消化状況は集計期間の開始日を含む月の支出で計算する
+    const budgetMonth = parseDateString(getPeriodRange(selectedPeriod.key, selectedPeriod.unit).start);
+    const budgetStats = calculateCategoryStats(filterExpensesByMonth(filterByEntryType(expenses, 'expense'), budgetMonth), loadBudgets(), options)
+        .filter(stat => stat.budget)
+        .map(stat => ({ ...stat, month: budgetMonth.getMonth() + 1 }));
+    
+    // 予算があるが表示対象に支出がないカテゴリも表示する
+    budgetStats.forEach(budgetStat => {
+        if (!stats.some(stat => stat.category === budgetStat.category)) {
+            stats.push({ category: budgetStat.category, amount: 0, percentage: 0 });
+        }
+    });
+    
+    const categoryStatsContainer = document.getElementById('categoryStats');
+    
+    if (stats.length === 0) {
+        categoryStatsContainer.innerHTML = '<p style="text-align: center; color: var(--color-text-light);">データがありません</p>';
+        return;
+    }
+    
+    categoryStatsContainer.innerHTML = stats.map(stat => {
+        const budgetStat = budgetStats.find(item => item.category === stat.category);
+        return `
+            <div class="category-stat-item${budgetStat ? ` category-stat-item--${budgetStat.budgetStatus}` : ''}">
+                <div class="category-stat-item__name">${escapeHtml(stat.category)}</div>
+                <div class="category-stat-item__amount">${formatAmount(stat.amount)}</div>
+                <div class="category-stat-item__percentage">${stat.percentage}%</div>
+                ${budgetStat ? renderBudgetProgress(budgetStat) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 予算の進捗バーのHTMLを生成する
+ * @param {Object} budgetStat - 予算情報付きのカテゴリ別集計データ
+ * @returns {string} 進捗バーのHTML
+ */
+function renderBudgetProgress(budgetStat) {
+    const width = Math.min(Math.round(budgetStat.budgetRatio * 100), 100);
+    const remainingText = budgetStat.remaining >= 0
+        ? `残り ${formatAmount(budgetStat.remaining)}`
+        : `${formatAmount(-budgetStat.remaining)} 超過`;
+    
+    return `
+        <div class="budget-progress budget-progress--${budgetStat.budgetStatus}">
+            <div class="budget-progress__track" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${width}">
+                <div class="budget-progress__bar" style="width: ${width}%;"></div>
+            </div>
+            <div class="budget-progress__text">
+                ${budgetStat.month}月 ${formatAmount(budgetStat.amount)} / ${formatAmount(budgetStat.budget)}（${remainingText}）
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 画面全体を更新する
+ */
+function refreshUI() {
+    const expenses = loadExpenses();
+    populateTags(expenses);
+    updateStatistics(expenses);
+    renderExpenseList(expenses);
+    renderCategoryStats(expenses);
+    renderTagStats(expenses);
+    renderAccountStats(expenses);
+    renderCharts(expenses);
+    renderRuleStatus();
+}
+
+// ========================================
+// フィルタの保存・URL連携
+// ========================================
+
+/**
+ * 画面のフィルタの入力値を取得する（初期値の項目は含めない）
+ * @returns {Object} URLハッシュのパラメータ名をキー、入力値を値とするオブジェクト
+ */
+function getFilterState() {
+    const state = {};
+    Object.entries(FILTER_HASH_PARAMS).forEach(([param, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value && !(param === 'sort' && value === DEFAULT_SORT)) {
+            state[param] = value;
+        }
+    });
+    return state;
+}
+
+/**
+ * フィルタの入力値を画面に反映する（指定されていない項目は初期値に戻す）
+ * @param {Object} state - URLハッシュのパラメータ名をキー、入力値を値とするオブジェクト
+ */
+function applyFilterState(state) {
+    Object.entries(FILTER_HASH_PARAMS).forEach(([param, id]) => {
+        document.getElementById(id).value = state[param] || (param === 'sort' ? DEFAULT_SORT : '');
+    });
+    // 存在しない選択肢が指定された場合は初期値に戻す
+    if (!document.getElementById('sortBy').value) {
+        document.getElementById('sortBy').value = DEFAULT_SORT;
+    }
+}
+
+/**
+ * フィルタの入力値をURLハッシュの文字列に変換する
+ * @param {Object} state - フィルタの入力値
+ * @returns {string} ハッシュの文字列（「#」を含まない）
+ */
+function serializeFilterState(state) {
+    return new URLSearchParams(state).toString();
+}
+
+/**
+ * URLハッシュからフィルタの入力値を取得する
+ * @param {string} hash - URLハッシュ（「#」を含んでもよい）
+ * @returns {Object} フィルタの入力値（対象外のパラメータは含めない）
+ */
+function parseFilterHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+    Object.keys(FILTER_HASH_PARAMS).forEach(param => {
+        if (params.get(param)) {
+            state[param] = params.get(param);
+        }
+    });
+    return state;
+}
+
+/**
+ * 現在のフィルタをURLハッシュに反映する（ブックマークで同じ表示を開けるようにする）
+ * 履歴は追加せず、現在の履歴を置き換える
+ */
+function updateFilterHash() {
+    const hash = serializeFilterState(getFilterState());
+    if (hash === window.location.hash.replace(/^#/, '')) {
+        return;
+    }
+    const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+    history.replaceState(null, '', url);
+}
+
+/**
+ * URLハッシュが変更された場合（ブックマークを開いた場合など）にフィルタを反映する
+ */
+function handleFilterHashChange() {
+    applyFilterState(parseFilterHash(window.location.hash));
+    handleFilterChange();
+}
+
+/**
+ * 検索クエリの解析エラーを表示する（エラーのある検索クエリは絞り込みに使用しない）
+ */
+function renderSearchQueryError() {
+    const input = document.getElementById('searchQuery');
+    const result = parseQuery(input.value);
+    document.getElementById('searchQueryError').textContent = result.errors.join(' ');
+    input.setAttribute('aria-invalid', String(!result.valid));
+}
+
+/**
+ * 保存したフィルタの一覧を描画する（現在の条件と一致するフィルタを強調表示）
+ */
+function renderSavedFilters() {
+    const list = document.getElementById('savedFilterList');
+    const filters = loadSavedFilters();
+    if (filters.length === 0) {
+        list.innerHTML = '<span class="saved-filters__empty">保存したフィルタはありません</span>';
+        return;
+    }
+    
+    const currentHash = serializeFilterState(getFilterState());
+    list.innerHTML = filters.map(filter => {
+        const active = serializeFilterState(filter.state) === currentHash;
+        return `
+            <span class="saved-filter${active ? ' active' : ''}">
+                <button type="button" class="saved-filter__apply" data-action="apply" data-id="${escapeHtml(filter.id)}"
+                        aria-pressed="${active}">${escapeHtml(filter.name)}</button>
+                <button type="button" class="saved-filter__delete" data-action="delete" data-id="${escapeHtml(filter.id)}"
+                        aria-label="${escapeHtml(filter.name)}を削除">×</button>
+            </span>
+        `;
+    }).join('');
+}
+
+/**
+ * 現在のフィルタに名前を付けて保存する
+ */
+function handleSaveFilter() {
+    const state = getFilterState();
+    if (Object.keys(state).length === 0) {
+        alert('保存するフィルタの条件を指定してください。');
+        return;
+    }
+    const name = prompt('フィルタの名前を入力してください（同じ名前のフィルタは上書きされます）。');
+    if (name === null) {
+        return;
+    }
+    
+    const result = addSavedFilter(name, state);
+    if (!result.valid) {
+        alert(result.errors.join('\n'));
+        return;
+    }
+    renderSavedFilters();
+}
+
+/**
+ * 保存したフィルタの一覧のクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleSavedFilterClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const filter = loadSavedFilters().find(item => item.id === button.dataset.id);
+    if (!filter) {
+        return;
+    }
+    
+    if (button.dataset.action === 'apply') {
+        applyFilterState(filter.state);
+        handleFilterChange();
+    } else if (button.dataset.action === 'delete' && confirm(`保存したフィルタ「${filter.name}」を削除しますか？`)) {
+        deleteSavedFilter(filter.id);
+        renderSavedFilters();
+    }
+}
+
+// ========================================
+// グラフ描画機能
+// ========================================
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * カテゴリのグラフ表示色を取得する（カテゴリ管理で設定した色を優先）
+ * @param {string} category - カテゴリ名
+ * @param {number} index - 表示順
+ * @param {Object} styles - カテゴリスタイル
+ * @returns {string} 色
+ */
+function getCategoryColor(category, index, styles) {
+    return (styles[category] && styles[category].color) || CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * 集計期間のキーをグラフ用の短いラベルに変換する
+ * @param {string} key - 期間のキー
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {string} 表示用ラベル
+ */
+function formatPeriodLabel(key, unit) {
+    switch (unit) {
+        case 'week':
+            return `${formatDate(getPeriodRange(key, unit).start)}〜`;
+        case 'month':
+            return key.replace('-', '/');
+        case 'year':
+            return key;
+        default:
+            return formatDate(key);
+    }
+}
+
+/**
+ * 集計期間のキーを期間セレクタ用の見出しに変換する
+ * @param {string} key - 期間のキー
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month' | 'year'）
+ * @returns {string} 見出し（例: 2024年5月、2024年 第18週（4/29〜5/5））
+ */
+function formatPeriodTitle(key, unit) {
+    const range = getPeriodRange(key, unit);
+    const start = parseDateString(range.start);
+    const end = parseDateString(range.end);
+    
+    switch (unit) {
+        case 'week':
+            return `${key.slice(0, 4)}年 第${Number(key.slice(6))}週` +
+                   `（${start.getMonth() + 1}/${start.getDate()}〜${end.getMonth() + 1}/${end.getDate()}）`;
+        case 'month':
+            return `${start.getFullYear()}年${start.getMonth() + 1}月`;
+        case 'year':
+            return `${key}年`;
+        default:
+            return `${formatDate(key)}（${WEEKDAY_NAMES[start.getDay()]}）`;
+    }
+}
+
+/**
+ * グラフを更新する（支出一覧と同じフィルタ条件を使用）
+ * @param {Array} [expenses] - 支出データ（省略時は保存データを読み込む）
+ */
+function renderCharts(expenses = loadExpenses()) {
+    const filters = { ...getFilterConditions(), type: 'expense' };
+    
+    // 円グラフはカテゴリ別統計と同じくカテゴリフィルタを適用しない
+    renderCategoryChart(calculateCategoryStats(filterExpenses(expenses, { ...filters, category: null }), null,
+        { myShareOnly: loadSettings().myShareOnly }));
+    renderTrendChart(
+        calculatePeriodTotals(filterExpenses(expenses, filters), document.getElementById('trendUnit').value),
+        document.getElementById('trendUnit').value
+    );
+}
+
+/**
+ * カテゴリ別支出のドーナツグラフを描画する
+ * @param {Array} stats - calculateCategoryStatsの結果
+ */
+function renderCategoryChart(stats) {
+    const container = document.getElementById('categoryChart');
+    const legend = document.getElementById('categoryChartLegend');
+    const total = stats.reduce((sum, stat) => sum + stat.amount, 0);
+    
+    if (total === 0) {
+        container.innerHTML = '<p class="chart-empty">データがありません</p>';
+        legend.innerHTML = '';
+        return;
+    }
+    
+    const styles = loadCategoryStyles();
+    const radius = 80;
+    const circumference = 2 * Math.PI * radius;
+    const selected = document.getElementById('categoryFilter').value;
+    let offset = 0;
+    
+    // 円周に沿った破線で各セグメントを描く（12時の位置から時計回り）
+    const segments = stats.filter(stat => stat.amount > 0).map((stat, index) => {
+        const length = (stat.amount / total) * circumference;
+        const color = getCategoryColor(stat.category, index, styles);
+        const segment = `
+            <circle class="chart-segment${selected && selected !== stat.category ? ' chart-segment--dimmed' : ''}"
+                cx="100" cy="100" r="${radius}" fill="none" stroke="${escapeHtml(color)}" stroke-width="36"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                transform="rotate(-90 100 100)" data-category="${escapeHtml(stat.category)}"
+                data-tooltip="${escapeHtml(`${stat.category}: ${formatAmount(stat.amount)}（${stat.percentage}%）`)}"></circle>
+        `;
+        offset += length;
+        return segment;
+    }).join('');
+    
+    container.innerHTML = `
+        <svg xmlns="${SVG_NAMESPACE}" viewBox="0 0 200 200" class="donut-chart" role="img" aria-label="カテゴリ別支出の円グラフ">
+            ${segments}
+            <text x="100" y="96" text-anchor="middle" class="donut-chart__label">合計</text>
+            <text x="100" y="116" text-anchor="middle" class="donut-chart__total">${escapeHtml(formatAmount(total))}</text>
+        </svg>
+    `;
+    legend.innerHTML = stats.filter(stat => stat.amount > 0).map((stat, index) => `
+        <li class="chart-legend__item" data-category="${escapeHtml(stat.category)}">
+            <span class="chart-legend__color" style="background-color: ${escapeHtml(getCategoryColor(stat.category, index, styles))};"></span>
+            ${escapeHtml(stat.category)} ${stat.percentage}%
+        </li>
+    `).join('');
+}
+
+/**
+ * 期間別支出の推移グラフ（折れ線）を描画する
+ * @param {Array} totals - calculatePeriodTotalsの結果
+ * @param {string} unit - 集計単位（'day' | 'week' | 'month'）
+ */
+function renderTrendChart(totals, unit) {
+    const container = document.getElementById('trendChart');
+    
+    if (totals.length === 0) {
+        container.innerHTML = '<p class="chart-empty">データがありません</p>';
+        return;
+    }
+    
+    const width = 600;
+    const height = 240;
+    const padding = { top: 16, right: 16, bottom: 32, left: 72 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const maxAmount = Math.max(...totals.map(item => item.amount), 1);
+    const step = totals.length > 1 ? plotWidth / (totals.length - 1) : 0;
+    const x = index => padding.left + (totals.length > 1 ? step * index : plotWidth / 2);
+    const y = amount => padding.top + plotHeight - (amount / maxAmount) * plotHeight;
+    
+    // 目盛り線（0・25・50・75・100%）
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(ratio => {
+        const gridY = y(maxAmount * ratio);
+        return `
+            <line x1="${padding.left}" y1="${gridY}" x2="${width - padding.right}" y2="${gridY}" class="trend-chart__grid"></line>
+            <text x="${padding.left - 8}" y="${gridY + 4}" text-anchor="end" class="trend-chart__axis">${escapeHtml(formatAmount(Math.round(maxAmount * ratio)))}</text>
+        `;
+    }).join('');
+    
+    // 横軸のラベル（最大6個程度に間引く）
+    const labelInterval = Math.ceil(totals.length / 6);
+    const xLabels = totals.map((item, index) => {
+        if (index % labelInterval !== 0 && index !== totals.length - 1) {
+            return '';
+        }
+        return `<text x="${x(index)}" y="${height - 8}" text-anchor="middle" class="trend-chart__axis">${escapeHtml(formatPeriodLabel(item.key, unit))}</text>`;
+    }).join('');
+    
+    const points = totals.map((item, index) => `${x(index)},${y(item.amount)}`).join(' ');
+    const areaPoints = `${x(0)},${y(0)} ${points} ${x(totals.length - 1)},${y(0)}`;
+    
+    // ツールチップ用の当たり判定領域（各点を中心とした縦帯）
+    const hitWidth = Math.max(step, 4);
+    const hitAreas = totals.map((item, index) => `
+        <rect x="${x(index) - hitWidth / 2}" y="${padding.top}" width="${hitWidth}" height="${plotHeight}" class="trend-chart__hit"
+            data-tooltip="${escapeHtml(`${formatPeriodLabel(item.key, unit)}: ${formatAmount(item.amount)}（${item.count}件）`)}"></rect>
+    `).join('');
+    
+    container.innerHTML = `
+        <svg xmlns="${SVG_NAMESPACE}" viewBox="0 0 ${width} ${height}" class="trend-chart" role="img" aria-label="支出の推移グラフ">
+            ${gridLines}
+            <polygon points="${areaPoints}" class="trend-chart__area"></polygon>
+            <polyline points="${points}" class="trend-chart__line"></polyline>
+            ${totals.length <= 62 ? totals.map((item, index) => 
+                `<circle cx="${x(index)}" cy="${y(item.amount)}" r="3" class="trend-chart__point"></circle>`
+            ).join('') : ''}
+            ${xLabels}
+            ${hitAreas}
+        </svg>
+    `;
+}
+
+/**
+ * グラフ上のツールチップを表示する（イベントデリゲーション）
+ * @param {MouseEvent} event - マウスイベント
+ */
+function handleChartHover(event) {
+    const tooltip = document.getElementById('chartTooltip');
+    const target = event.target.closest('[data-tooltip]');
+    
+    if (!target) {
+        tooltip.style.display = 'none';
+        return;
+    }
+    tooltip.textContent = target.dataset.tooltip;
+    tooltip.style.display = 'block';
+    tooltip.style.left = `${event.clientX + 12}px`;
+    tooltip.style.top = `${event.clientY + 12}px`;
+}
+
+/**
+ * 円グラフ・凡例のクリックでカテゴリフィルタを切り替える
+ * @param {MouseEvent} event - クリックイベント
+ */
+function handleChartClick(event) {
+    const target = event.target.closest('[data-category]');
+    if (!target) {
+        return;
+    }
+    const categoryFilter = document.getElementById('categoryFilter');
+    // 選択中のカテゴリを再度クリックした場合はフィルタを解除
+    categoryFilter.value = categoryFilter.value === target.dataset.category ? '' : target.dataset.category;
+    handleFilterChange();
+}
+
+// ========================================
+// モーダル管理機能
+// ========================================
+
+let editingExpenseId = null; // 編集中の支出ID
+let editingTags = []; // 支出フォームで入力中のタグ
+
+/**
+ * モーダルを開く
+ * @param {string} modalId - モーダルのID
+ */
+function openModal(modalId) {
+    const modal = document.getElementById(modalId);
+    modal.setAttribute('aria-hidden', 'false');
+    modal.style.display = 'flex';
+}
+
+/**
+ * モーダルを閉じる
+ * @param {string} modalId - モーダルのID
+ */
+function closeModal(modalId) {
+    const modal = document.getElementById(modalId);
+    modal.setAttribute('aria-hidden', 'true');
+    modal.style.display = 'none';
+}
+
+/**
+ * 支出追加モーダルを開く
+ */
+function openAddExpenseModal() {
+    editingExpenseId = null;
+    document.getElementById('expenseForm').reset();
+    setExpenseFormType('expense');
+    document.getElementById('expenseDate').value = toDateString(new Date()); // 今日の日付を設定
+    // 設定のデフォルトカテゴリを選択（カテゴリ一覧にない場合は未選択のまま）
+    const settings = loadSettings();
+    if (loadCategories().includes(settings.defaultCategory)) {
+        document.getElementById('expenseCategory').value = settings.defaultCategory;
+    }
+    document.getElementById('expenseAccount').value = settings.defaultAccountId;
+    setExpenseCurrency(loadSettings().baseCurrency);
+    setEditingTags([]);
+    setSplitForm(null);
+    setEditingAttachments([]);
+    prepareCategorySuggestion();
+    document.getElementById('formError').classList.remove('show');
+    openModal('expenseModal');
+}
+
+/**
+ * 支出フォームの種別を設定し、カテゴリの選択肢とタイトルを種別に合わせる
+ * @param {string} type - 記録の種別（'expense' | 'income'）
+ */
+function setExpenseFormType(type) {
+    document.getElementById('expenseType').value = type;
+    populateFormCategories('expenseCategory', type);
+    document.getElementById('modalTitle').textContent =
+        `${ENTRY_TYPES[type]}を${editingExpenseId ? '編集' : '追加'}`;
+}
+
+/**
+ * 支出フォームの通貨を設定し、金額の入力単位を通貨の補助単位に合わせる
+ * @param {string} currency - 通貨コード
+ */
+function setExpenseCurrency(currency) {
+    document.getElementById('expenseCurrency').value = currency;
+    updateExpenseAmountStep();
+}
+
+/**
+ * 選択中の通貨に合わせて金額入力欄の刻み幅を更新する
+ */
+function updateExpenseAmountStep() {
+    setAmountInputStep('expenseAmount', document.getElementById('expenseCurrency').value);
+}
+
+/**
+ * 金額入力欄の刻み幅を通貨の補助単位に合わせる
+ * @param {string} inputId - 金額入力欄のID
+ * @param {string} currency - 通貨コード
+ */
+function setAmountInputStep(inputId, currency) {
+    const decimals = getCurrencyInfo(currency).decimals;
+    const step = decimals > 0 ? (1 / Math.pow(10, decimals)).toFixed(decimals) : '1';
+    const amountInput = document.getElementById(inputId);
+    amountInput.step = step;
+    amountInput.min = step;
+}
+
+/**
+ * 支出フォームのタグを設定する
+ * @param {Array} tags - タグの配列
+ */
+function setEditingTags(tags) {
+    editingTags = normalizeTags(tags);
+    document.getElementById('expenseTagInput').value = '';
+    renderTagEditor();
+}
+
+/**
+ * 支出フォームのタグのチップを描画する
+ */
+function renderTagEditor() {
+    document.getElementById('expenseTagChips').innerHTML = editingTags.map(tag => `
+        <span class="tag-chip tag-chip--editable">
+            #${escapeHtml(tag)}
+            <button type="button" class="tag-chip__remove" data-remove-tag="${escapeHtml(tag)}" aria-label="${escapeHtml(tag)}を外す">&times;</button>
+        </span>
+    `).join('');
+}
+
+/**
+ * タグの入力欄の文字列をタグとして追加する（カンマ・空白区切りで複数追加できる）
+ */
+function commitTagInput() {
+    const input = document.getElementById('expenseTagInput');
+    const added = normalizeTags(input.value);
+    input.value = '';
+    if (added.length > 0) {
+        editingTags = normalizeTags([...editingTags, ...added]);
+        renderTagEditor();
+    }
+}
+
+/**
+ * タグの入力欄のキー操作（Enter・カンマで追加、空欄でBackspaceを押すと最後のタグを外す）
+ * @param {KeyboardEvent} event - キーイベント
+ */
+function handleTagInputKeydown(event) {
+    const input = event.target;
+    if ((event.key === 'Enter' || event.key === ',' || event.key === '、') && input.value.trim()) {
+        event.preventDefault();
+        commitTagInput();
+    } else if (event.key === 'Backspace' && input.value === '' && editingTags.length > 0) {
+        editingTags = editingTags.slice(0, -1);
+        renderTagEditor();
+    }
+}
+
+/**
+ * タグのチップの「×」のクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleTagEditorClick(event) {
+    const button = event.target.closest('[data-remove-tag]');
+    if (button) {
+        editingTags = editingTags.filter(tag => tag !== button.dataset.removeTag);
+        renderTagEditor();
+    }
+    document.getElementById('expenseTagInput').focus();
+}
+
+// ========================================
+// カテゴリの提案（支出フォーム）
+// ========================================
+
+let categorySuggestionContext = null; // 提案に使うルールと学習結果 { compiledRules, learned }
+let currentCategorySuggestion = null; // 表示中の提案 { category, tags }
+
+/**
+ * 支出フォームを開くときに、提案に使うルールと過去の記録の学習結果を準備する
+ */
+function prepareCategorySuggestion() {
+    categorySuggestionContext = {
+        compiledRules: compileRules(),
+        learned: learnMemoCategories(loadExpenses())
+    };
+    updateCategorySuggestion();
+}
+
+/**
+ * 支出フォームの入力内容から、カテゴリとタグの提案を表示する
+ * 一致するルールがあればルールの結果を、なければ同じメモの過去の記録で多いカテゴリを提案する
+ */
+function updateCategorySuggestion() {
+    const element = document.getElementById('categorySuggestion');
+    currentCategorySuggestion = null;
+    element.style.display = 'none';
+    if (!categorySuggestionContext) {
+        return;
+    }
+    
+    const entry = {
+        type: document.getElementById('expenseType').value,
+        date: document.getElementById('expenseDate').value,
+        category: document.getElementById('expenseCategory').value,
+        accountId: document.getElementById('expenseAccount').value,
+        amount: parseFloat(document.getElementById('expenseAmount').value),
+        currency: document.getElementById('expenseCurrency').value,
+        memo: document.getElementById('expenseMemo').value.trim(),
+        tags: editingTags
+    };
+    
+    let text = '';
+    const result = evaluateRules(entry, categorySuggestionContext.compiledRules);
+    const newTags = result.tags.filter(tag => !editingTags.includes(tag));
+    const newCategory = result.category !== null && result.category !== entry.category ? result.category : null;
+    if (newCategory || newTags.length > 0) {
+        const rule = result.categoryRule || result.rules[0];
+        currentCategorySuggestion = { category: newCategory, tags: newTags };
+        text = `ルール「${rule.query}」: `;
+    } else if (entry.memo) {
+        const learned = suggestCategoryFromHistory(entry.memo, entry.type, categorySuggestionContext.learned);
+        if (learned && learned.category !== entry.category) {
+            currentCategorySuggestion = { category: learned.category, tags: [] };
+            text = `過去の記録（${learned.count}件）から: `;
+        }
+    }
+    if (!currentCategorySuggestion) {
+        return;
+    }
+    
+    const { category, tags } = currentCategorySuggestion;
+    element.innerHTML = `
+        <span>${escapeHtml(text)}${category ? `<strong>${escapeHtml(category)}</strong>` : ''}
+            ${tags.map(tag => `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}</span>
+        <button type="button" class="btn btn--secondary btn--small" id="applyCategorySuggestionBtn">適用</button>
+    `;
+    element.style.display = 'flex';
+}
+
+/**
+ * 表示中の提案を支出フォームに反映する
+ */
+function applyCategorySuggestion() {
+    if (!currentCategorySuggestion) {
+        return;
+    }
+    const { category, tags } = currentCategorySuggestion;
+    if (category) {
+        document.getElementById('expenseCategory').value = category;
+    }
+    if (tags.length > 0) {
+        editingTags = normalizeTags([...editingTags, ...tags]);
+        renderTagEditor();
+    }
+    updateCategorySuggestion();
+}
+
+/**
+ * 支出編集モーダルを開く
+ * @param {string} id - 支出のID
+ */
+function editExpense(id) {
+    const expense = getExpenseById(id);
+    if (!expense) {
+        alert('支出が見つかりませんでした。');
+        return;
+    }
+    
+    editingExpenseId = id;
+    setExpenseFormType(getEntryType(expense));
+    document.getElementById('expenseDate').value = expense.date;
+    document.getElementById('expenseCategory').value = expense.category;
+    document.getElementById('expenseAccount').value = getEntryAccountId(expense);
+    setExpenseCurrency(getExpenseCurrency(expense));
+    document.getElementById('expenseAmount').value = expense.amount;
+    document.getElementById('expenseMemo').value = expense.memo || '';
+    setEditingTags(getExpenseTags(expense));
+    setSplitForm(expense.split || null);
+    setEditingAttachments(getExpenseAttachments(id));
+    prepareCategorySuggestion();
+    document.getElementById('formError').classList.remove('show');
+    openModal('expenseModal');
+}
+
+/**
+ * 支出削除確認モーダルを開く
+ * @param {string} id - 支出のID
+ */
+function confirmDeleteExpense(id) {
+    const expense = getExpenseById(id);
+    if (!expense) {
+        alert('支出が見つかりませんでした。');
+        return;
+    }
+    
+    document.getElementById('deleteInfo').textContent = 
+        `${formatDate(expense.date)} - ${expense.category} - ${formatAmount(expense.amount)}`;
+    
+    // 削除確認ボタンにIDを保存
+    document.getElementById('confirmDeleteBtn').dataset.expenseId = id;
+    openModal('deleteModal');
+}
+
+/**
+ * 支出を削除する（確認後）
+ */
+function handleDeleteExpense() {
+    const id = document.getElementById('confirmDeleteBtn').dataset.expenseId;
+    if (id && deleteExpense(id)) {
+        closeModal('deleteModal');
+        refreshUI();
+        showOperationToast('支出をゴミ箱に移動しました。');
+    } else {
+        alert('削除に失敗しました。');
+    }
+}
+
+/**
+ * 予算設定モーダルを開く
+ */
+function openBudgetModal() {
+    const budgets = loadBudgets();
+    const categories = loadCategories();
+    
+    document.getElementById('budgetFields').innerHTML = categories.map((category, index) => {
+        return `
+            <div class="budget-field">
+                <label for="budget-${index}" class="form-label">${escapeHtml(category)}</label>
+                <input 
+                    type="number" 
+                    id="budget-${index}" 
+                    class="form-input" 
+                    data-category="${escapeHtml(category)}" 
+                    min="0" 
+                    step="1" 
+                    placeholder="未設定"
+                    value="${budgets[category] || ''}"
+                >
+            </div>
+        `;
+    }).join('');
+    openModal('budgetModal');
+}
+
+/**
+ * 予算設定フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleBudgetFormSubmit(event) {
+    event.preventDefault();
+    
+    const budgets = {};
+    document.querySelectorAll('#budgetFields input').forEach(input => {
+        const amount = parseInt(input.value, 10);
+        if (amount > 0) {
+            budgets[input.dataset.category] = amount;
+        }
+    });
+    
+    saveBudgets(budgets);
+    closeModal('budgetModal');
+    refreshUI();
+}
+
+// ========================================
+// フォーム処理
+// ========================================
+
+/**
+ * フォームのバリデーション
+ * @param {Object} formData - フォームデータ
+ * @returns {Object} { valid: boolean, errors: Array<string> }
+ */
+function validateForm(formData) {
+    const errors = [];
+    
+    if (formData.type && !ENTRY_TYPES[formData.type]) {
+        errors.push('種別は支出または収入を選択してください。');
+    }
+    
+    if (!formData.date) {
+        errors.push('日付を入力してください。');
+    }
+    
+    if (!formData.category) {
+        errors.push('カテゴリを選択してください。');
+    }
+    
+    if (formData.accountId && !loadAccounts().some(account => account.id === formData.accountId)) {
+        errors.push('口座を選択してください。');
+    }
+    
+    if (!formData.amount || formData.amount <= 0) {
+        errors.push('金額を正の数値で入力してください。');
+    } else if (formData.currency &&
+               roundAmount(formData.amount, formData.currency) !== Number(formData.amount)) {
+        const decimals = getCurrencyInfo(formData.currency).decimals;
+        errors.push(decimals > 0
+            ? `${formData.currency}の金額は小数点以下${decimals}桁までで入力してください。`
+            : `${formData.currency}の金額は整数で入力してください。`);
+    }
+    
+    if (formData.memo && formData.memo.length > 200) {
+        errors.push('メモは200文字以内で入力してください。');
+    }
+    
+    if (formData.tags) {
+        errors.push(...validateTags(normalizeTags(formData.tags)));
+    }
+    
+    if (formData.split) {
+        errors.push(...validateSplit(formData.split, formData.amount));
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * 保存すると月間予算を超える場合に、保存してよいか確認する
+ * @param {Object} formData - フォームデータ
+ * @param {string|null} excludeId - 集計から除外する支出ID（編集中の支出）
+ * @returns {boolean} 保存する場合true（予算を超えない場合もtrue）
+ */
+function confirmBudgetOverrun(formData, excludeId) {
+    const overrun = checkBudgetOverrun(formData, excludeId);
+    return !overrun || confirm(
+        `${formData.category}の今月の予算（${formatAmount(overrun.budget)}）を` +
+        `${formatAmount(-overrun.remaining)}超過します。保存しますか？`
+    );
+}
+
+/**
+ * フォーム送信処理
+ */
+function handleFormSubmit(event) {
+    event.preventDefault();
+    
+    // フォームデータを取得（タグの入力欄に残っている文字列もタグとして扱う）
+    commitTagInput();
+    const formData = {
+        type: document.getElementById('expenseType').value,
+        date: document.getElementById('expenseDate').value,
+        category: document.getElementById('expenseCategory').value,
+        accountId: document.getElementById('expenseAccount').value,
+        amount: document.getElementById('expenseAmount').value,
+        currency: document.getElementById('expenseCurrency').value,
+        memo: document.getElementById('expenseMemo').value.trim(),
+        tags: editingTags,
+        split: getSplitFormData()
+    };
+    
+    // バリデーション
+    const validation = validateForm(formData);
+    const errorElement = document.getElementById('formError');
+    if (processingAttachmentCount > 0) {
+        validation.valid = false;
+        validation.errors.push('レシートの処理中です。処理が終わってから保存してください。');
+    }
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    errorElement.classList.remove('show');
+    
+    // 予算超過の警告
+    if (!confirmBudgetOverrun(formData, editingExpenseId)) {
+        return;
+    }
+    
+    // 追加または更新（添付ファイルは支出のIDに紐付けて別に保存する）
+    let success = false;
+    if (editingExpenseId) {
+        success = updateExpense(editingExpenseId, formData);
+        if (success) {
+            saveEditingAttachments(editingExpenseId);
+        }
+    } else {
+        const added = addExpense(formData);
+        success = Boolean(added);
+        if (success) {
+            saveEditingAttachments(added.id);
+        }
+    }
+    
+    if (success) {
+        closeModal('expenseModal');
+        refreshUI();
+        showOperationToast(`${ENTRY_TYPES[formData.type]}を${editingExpenseId ? '更新' : '追加'}しました。`);
+    } else {
+        alert('保存に失敗しました。');
+    }
+}
+
+// ========================================
+// クイック入力
+// ========================================
+
+/**
+ * クイック入力の解析結果をプレビューとして表示する
+ */
+function renderQuickEntryPreview() {
+    const text = document.getElementById('quickEntryInput').value;
+    const preview = document.getElementById('quickEntryPreview');
+    if (!text.trim()) {
+        preview.innerHTML = '<span class="form-hint">金額・日付（昨日、5/3など）・カテゴリ名・#タグを空白で区切って入力します。残りはメモになります。</span>';
+        return;
+    }
+    
+    const { formData, errors, defaultCategory } = parseQuickEntry(text);
+    // 解析時のエラーがある場合は、バリデーションのエラーを重ねて表示しない
+    const allErrors = errors.length > 0 ? errors : validateForm(formData).errors;
+    const isIncome = formData.type === 'income';
+    preview.innerHTML = `
+        ${formData.date ? `<span class="quick-entry__item">${formatDate(formData.date)}</span>` : ''}
+        ${isIncome ? '<span class="entry-type-mark">収入</span>' : ''}
+        ${formData.category ? renderCategoryBadge(formData.category) : ''}
+        ${defaultCategory ? '<span class="form-hint">（デフォルト）</span>' : ''}
+        <strong class="quick-entry__item${isIncome ? ' amount--income' : ''}">
+            ${formData.amount !== '' ? `${isIncome ? '+' : ''}${formatAmount(formData.amount, formData.currency)}` : '金額なし'}
+        </strong>
+        ${formData.memo ? `<span class="quick-entry__item">${escapeHtml(formData.memo)}</span>` : ''}
+        ${renderTagChips(normalizeTags(formData.tags))}
+        ${allErrors.length > 0 ? `<span class="filter-error">${allErrors.map(escapeHtml).join(' ')}</span>` : ''}
+    `;
+}
+
+/**
+ * クイック入力の送信処理（支出フォームと同じバリデーションを行って追加する）
+ * @param {Event} event - 送信イベント
+ */
+function handleQuickEntrySubmit(event) {
+    event.preventDefault();
+    
+    const input = document.getElementById('quickEntryInput');
+    const { formData, errors } = parseQuickEntry(input.value);
+    const validation = validateForm(formData);
+    if (errors.length > 0 || !validation.valid) {
+        renderQuickEntryPreview();
+        return;
+    }
+    if (!confirmBudgetOverrun(formData, null)) {
+        return;
+    }
+    
+    addExpense(formData);
+    input.value = '';
+    renderQuickEntryPreview();
+    refreshUI();
+    showOperationToast(`${ENTRY_TYPES[formData.type]}を追加しました。`);
+    input.focus(); // 続けて入力できるようにする
+}
+
+// ========================================
+// 定期支出の管理画面
+// ========================================
+
+let editingRecurringId = null; // 編集中の定期支出テンプレートID
+
+/**
+ * 定期支出モーダルを開く
+ */
+function openRecurringModal() {
+    resetRecurringForm();
+    renderRecurringList();
+    openModal('recurringModal');
+}
+
+/**
+ * 定期支出フォームを初期状態に戻す
+ */
+function resetRecurringForm() {
+    editingRecurringId = null;
+    document.getElementById('recurringForm').reset();
+    populateFormCategories('recurringCategory', document.getElementById('recurringType').value);
+    document.getElementById('recurringAccount').value = loadSettings().defaultAccountId;
+    document.getElementById('recurringStartDate').value = toDateString(new Date());
+    document.getElementById('recurringFormError').classList.remove('show');
+    document.getElementById('recurringSubmitBtn').textContent = '追加';
+    setRecurringCurrency(loadSettings().baseCurrency);
+    updateRecurringDayField();
+}
+
+/**
+ * 定期支出フォームの通貨を設定し、金額の入力単位を通貨の補助単位に合わせる
+ * @param {string} currency - 通貨コード
+ */
+function setRecurringCurrency(currency) {
+    document.getElementById('recurringCurrency').value = currency;
+    setAmountInputStep('recurringAmount', currency);
+}
+
+/**
+ * 周期に応じて「日」の入力欄の表示を切り替える（毎月・毎年のみ）
+ */
+function updateRecurringDayField() {
+    const frequency = document.getElementById('recurringFrequency').value;
+    document.getElementById('recurringDayGroup').style.display =
+        frequency === 'monthly' || frequency === 'yearly' ? 'block' : 'none';
+}
+
+/**
+ * 定期支出テンプレートの一覧を表示する
+ */
+function renderRecurringList() {
+    const templates = loadRecurringTemplates();
+    const listElement = document.getElementById('recurringList');
+    
+    if (templates.length === 0) {
+        listElement.innerHTML = '<p class="form-hint">定期支出は登録されていません。</p>';
+        return;
+    }
+    
+    listElement.innerHTML = templates.map(template => {
+        const nextDate = getNextRecurringDate(template);
+        const dayText = template.dayOfMonth && (template.frequency === 'monthly' || template.frequency === 'yearly')
+            ? ` ${template.dayOfMonth}日`
+            : '';
+        return `
+            <div class="recurring-item${nextDate ? '' : ' recurring-item--ended'}" data-template-id="${escapeHtml(template.id)}">
+                <div class="recurring-item__info">
+                    <div>
+                        ${getEntryType(template) === 'income' ? '<span class="entry-type-mark">収入</span>' : ''}
+                        ${renderCategoryBadge(template.category)}
+                        <span class="account-mark">${escapeHtml(getAccountName(getEntryAccountId(template)))}</span>
+                        <strong>${formatAmount(template.amount, getExpenseCurrency(template))}</strong>
+                        ${escapeHtml(template.memo || '')}
+                    </div>
+                    <div class="recurring-item__schedule">
+                        ${RECURRING_FREQUENCIES[template.frequency]}${dayText}・
+                        ${formatDate(template.startDate)}〜${template.endDate ? formatDate(template.endDate) : ''}・
+                        ${nextDate ? `次回 ${formatDate(nextDate)}` : '終了'}
+                    </div>
+                </div>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--primary btn--small" data-action="edit">編集</button>
+                    ${nextDate ? '<button type="button" class="btn btn--secondary btn--small" data-action="stop">停止</button>' : ''}
+                    <button type="button" class="btn btn--danger btn--small" data-action="delete">削除</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * 定期支出テンプレートを編集フォームに読み込む
+ * @param {string} id - テンプレートID
+ */
+function editRecurringTemplate(id) {
+    const template = loadRecurringTemplates().find(t => t.id === id);
+    if (!template) {
+        alert('定期支出が見つかりませんでした。');
+        return;
+    }
+    
+    editingRecurringId = id;
+    document.getElementById('recurringType').value = getEntryType(template);
+    populateFormCategories('recurringCategory', getEntryType(template));
+    document.getElementById('recurringCategory').value = template.category;
+    document.getElementById('recurringAccount').value = getEntryAccountId(template);
+    setRecurringCurrency(getExpenseCurrency(template));
+    document.getElementById('recurringAmount').value = template.amount;
+    document.getElementById('recurringMemo').value = template.memo || '';
+    document.getElementById('recurringFrequency').value = template.frequency;
+    document.getElementById('recurringStartDate').value = template.startDate;
+    document.getElementById('recurringEndDate').value = template.endDate || '';
+    document.getElementById('recurringDayOfMonth').value = template.dayOfMonth || '';
+    document.getElementById('recurringFormError').classList.remove('show');
+    document.getElementById('recurringSubmitBtn').textContent = '更新';
+    updateRecurringDayField();
+}
+
+/**
+ * 定期支出フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleRecurringFormSubmit(event) {
+    event.preventDefault();
+    
+    const templateData = {
+        type: document.getElementById('recurringType').value,
+        category: document.getElementById('recurringCategory').value,
+        accountId: document.getElementById('recurringAccount').value,
+        amount: document.getElementById('recurringAmount').value,
+        currency: document.getElementById('recurringCurrency').value,
+        memo: document.getElementById('recurringMemo').value.trim(),
+        frequency: document.getElementById('recurringFrequency').value,
+        startDate: document.getElementById('recurringStartDate').value,
+        endDate: document.getElementById('recurringEndDate').value,
+        dayOfMonth: document.getElementById('recurringDayOfMonth').value
+    };
+    
+    // 支出と共通の項目はvalidateFormで検証する
+    const errors = validateForm({ ...templateData, date: templateData.startDate }).errors;
+    if (templateData.endDate && templateData.endDate < templateData.startDate) {
+        errors.push('終了日は開始日以降の日付を入力してください。');
+    }
+    if (templateData.dayOfMonth) {
+        const day = parseInt(templateData.dayOfMonth, 10);
+        if (!(day >= 1 && day <= 31)) {
+            errors.push('日は1〜31の範囲で入力してください。');
+        }
+    }
+    
+    const errorElement = document.getElementById('recurringFormError');
+    if (errors.length > 0) {
+        errorElement.textContent = errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    saveRecurringTemplate(templateData, editingRecurringId);
+    
+    // 開始日が過去の場合は未生成分をすぐに登録する
+    generateRecurringExpenses();
+    resetRecurringForm();
+    renderRecurringList();
+    refreshUI();
+}
+
+/**
+ * 定期支出一覧のボタン操作を処理する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleRecurringListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const id = button.closest('.recurring-item').dataset.templateId;
+    
+    switch (button.dataset.action) {
+        case 'edit':
+            editRecurringTemplate(id);
+            break;
+        case 'stop':
+            handleStopRecurring(id);
+            break;
+        case 'delete':
+            handleDeleteRecurring(id);
+            break;
+    }
+}
+
+/**
+ * 定期支出の停止処理
+ * @param {string} id - テンプレートID
+ */
+function handleStopRecurring(id) {
+    if (!confirm('この定期支出を停止しますか？登録済みの支出は残ります。')) {
+        return;
+    }
+    stopRecurringTemplate(id);
+    renderRecurringList();
+}
+
+/**
+ * 定期支出の削除処理
+ * @param {string} id - テンプレートID
+ */
+function handleDeleteRecurring(id) {
+    if (!confirm('この定期支出を削除しますか？登録済みの支出は残ります。')) {
+        return;
+    }
+    deleteRecurringTemplate(id);
+    if (editingRecurringId === id) {
+        resetRecurringForm();
+    }
+    renderRecurringList();
+}
+
+// ========================================
+// カテゴリ管理画面
+// ========================================
+
+let categoryAction = null; // 置き換え先を選択中の操作 { type: 'merge' | 'delete', name }
+let categoryManagerType = 'expense'; // 管理対象のカテゴリの種別（'expense' | 'income'）
+
+/**
+ * カテゴリ管理モーダルを開く
+ */
+function openCategoryModal() {
+    document.getElementById('categoryManagerType').value = categoryManagerType;
+    document.getElementById('newCategoryName').value = '';
+    document.getElementById('categoryFormError').classList.remove('show');
+    closeCategoryAction();
+    renderCategoryManager();
+    openModal('categoryModal');
+}
+
+/**
+ * カテゴリ管理の一覧を表示する
+ */
+function renderCategoryManager() {
+    const categories = loadCategoriesByType(categoryManagerType);
+    const styles = loadCategoryStyles();
+    const usage = {};
+    filterByEntryType(loadExpenses(), categoryManagerType).forEach(expense => {
+        usage[expense.category] = (usage[expense.category] || 0) + 1;
+    });
+    
+    document.getElementById('categoryManagerList').innerHTML = categories.map((category, index) => {
+        const style = styles[category] || {};
+        const name = escapeHtml(category);
+        return `
+            <li class="category-manager-item" data-category="${name}">
+                <input type="text" class="form-input category-manager-item__icon" data-field="icon"
+                    value="${escapeHtml(style.icon || '')}" maxlength="2" placeholder="🏷" aria-label="${name}のアイコン">
+                <input type="color" class="category-manager-item__color" data-field="color"
+                    value="${escapeHtml(style.color || '#6ba3e7')}" aria-label="${name}の色">
+                <span class="category-manager-item__name">
+                    ${renderCategoryBadge(category, styles)}
+                    <span class="form-hint">${usage[category] || 0}件</span>
+                </span>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--secondary btn--small" data-action="up" ${index === 0 ? 'disabled' : ''} aria-label="上へ">↑</button>
+                    <button type="button" class="btn btn--secondary btn--small" data-action="down" ${index === categories.length - 1 ? 'disabled' : ''} aria-label="下へ">↓</button>
+                    <button type="button" class="btn btn--primary btn--small" data-action="rename">名前変更</button>
+                    <button type="button" class="btn btn--primary btn--small" data-action="merge" ${categories.length < 2 ? 'disabled' : ''}>統合</button>
+                    <button type="button" class="btn btn--danger btn--small" data-action="delete" ${categories.length < 2 ? 'disabled' : ''}>削除</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * 管理対象のカテゴリの種別を切り替える
+ */
+function handleCategoryManagerTypeChange() {
+    categoryManagerType = document.getElementById('categoryManagerType').value;
+    document.getElementById('categoryFormError').classList.remove('show');
+    closeCategoryAction();
+    renderCategoryManager();
+}
+
+/**
+ * カテゴリ変更後に関連する画面を更新する
+ */
+function refreshAfterCategoryChange() {
+    populateCategories();
+    renderCategoryManager();
+    refreshUI();
+}
+
+/**
+ * カテゴリ追加フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleAddCategory(event) {
+    event.preventDefault();
+    
+    const input = document.getElementById('newCategoryName');
+    const name = input.value.trim();
+    const validation = validateCategoryName(name, loadCategoriesByType(categoryManagerType));
+    const errorElement = document.getElementById('categoryFormError');
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    errorElement.classList.remove('show');
+    addCategory(name, categoryManagerType);
+    input.value = '';
+    refreshAfterCategoryChange();
+}
+
+/**
+ * カテゴリ一覧のボタン操作を処理する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleCategoryManagerClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const name = button.closest('.category-manager-item').dataset.category;
+    
+    switch (button.dataset.action) {
+        case 'up':
+            moveCategory(name, -1, categoryManagerType);
+            refreshAfterCategoryChange();
+            break;
+        case 'down':
+            moveCategory(name, 1, categoryManagerType);
+            refreshAfterCategoryChange();
+            break;
+        case 'rename': {
+            const newName = (prompt(`「${name}」の新しい名前を入力してください。`, name) || '').trim();
+            if (!newName || newName === name) {
+                return;
+            }
+            const validation = validateCategoryName(newName, loadCategoriesByType(categoryManagerType));
+            if (!validation.valid) {
+                alert(validation.errors.join('\n'));
+                return;
+            }
+            renameCategory(name, newName, categoryManagerType);
+            refreshAfterCategoryChange();
+            break;
+        }
+        case 'merge':
+            openCategoryAction('merge', name);
+            break;
+        case 'delete':
+            if (countCategoryUsage(name, categoryManagerType) > 0 || 
+                isCategoryUsedByRecurring(name, categoryManagerType)) {
+                // 使用中のカテゴリは置き換え先を選択させる
+                openCategoryAction('delete', name);
+            } else if (confirm(`「${name}」を削除しますか？`)) {
+                deleteCategory(name, null, categoryManagerType);
+                refreshAfterCategoryChange();
+            }
+            break;
+    }
+}
+
+/**
+ * カテゴリの色・アイコンの変更を保存する
+ * @param {Event} event - 変更イベント
+ */
+function handleCategoryStyleChange(event) {
+    const field = event.target.dataset.field;
+    if (!field) {
+        return;
+    }
+    const name = event.target.closest('.category-manager-item').dataset.category;
+    setCategoryStyle(name, { [field]: event.target.value.trim() });
+    renderCategoryManager();
+    refreshUI();
+}
+
+/**
+ * 統合先・置き換え先の選択欄を表示する
+ * @param {string} type - 'merge' または 'delete'
+ * @param {string} name - 対象のカテゴリ名
+ */
+function openCategoryAction(type, name) {
+    categoryAction = { type, name };
+    const count = countCategoryUsage(name, categoryManagerType);
+    const label = ENTRY_TYPES[categoryManagerType];
+    
+    document.getElementById('categoryActionText').textContent = type === 'merge'
+        ? `「${name}」の${label}${count}件を統合先に付け替え、「${name}」を削除します。`
+        : `「${name}」は${count}件の${label}で使用されています。置き換え先のカテゴリを選択してください。`;
+    document.getElementById('categoryActionTarget').innerHTML = loadCategoriesByType(categoryManagerType)
+        .filter(category => category !== name)
+        .map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`)
+        .join('');
+    document.getElementById('confirmCategoryActionBtn').textContent = type === 'merge' ? '統合' : '置き換えて削除';
+    document.getElementById('categoryActionPanel').style.display = 'block';
+}
+
+/**
+ * 統合先・置き換え先の選択欄を閉じる
+ */
+function closeCategoryAction() {
+    categoryAction = null;
+    document.getElementById('categoryActionPanel').style.display = 'none';
+}
+
+/**
+ * 統合・置き換え削除を実行する
+ */
+function handleCategoryAction() {
+    if (!categoryAction) {
+        return;
+    }
+    const target = document.getElementById('categoryActionTarget').value;
+    const success = categoryAction.type === 'merge'
+        ? mergeCategory(categoryAction.name, target, categoryManagerType)
+        : deleteCategory(categoryAction.name, target, categoryManagerType);
+    
+    if (!success) {
+        alert('カテゴリの変更に失敗しました。');
+    }
+    closeCategoryAction();
+    refreshAfterCategoryChange();
+}
+
+// ========================================
+// タグ管理画面
+// ========================================
+
+/**
+ * タグ管理モーダルを開く
+ */
+function openTagModal() {
+    renderTagManager();
+    openModal('tagModal');
+}
+
+/**
+ * タグ管理の一覧を表示する
+ */
+function renderTagManager() {
+    const tags = collectTags(loadExpenses());
+    const list = document.getElementById('tagManagerList');
+    if (tags.length === 0) {
+        list.innerHTML = '<li class="form-hint">タグの付いた支出はありません。</li>';
+        return;
+    }
+    
+    list.innerHTML = tags.map(({ tag, count }) => `
+        <li class="category-manager-item" data-tag-name="${escapeHtml(tag)}">
+            <span class="category-manager-item__name">
+                <span class="tag-chip">#${escapeHtml(tag)}</span>
+                <span class="form-hint">${count}件</span>
+            </span>
+            <div class="action-buttons">
+                <button type="button" class="btn btn--primary btn--small" data-action="rename">名前変更・統合</button>
+                <button type="button" class="btn btn--danger btn--small" data-action="delete">削除</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * タグ一覧のボタン操作を処理する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleTagManagerClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const name = button.closest('.category-manager-item').dataset.tagName;
+    
+    if (button.dataset.action === 'rename') {
+        const input = prompt(`「${name}」の新しい名前を入力してください。\n既存のタグ名を入力すると、そのタグに統合します。`, name);
+        const newName = normalizeTags([input || ''])[0];
+        if (!newName || newName === name) {
+            return;
+        }
+        const errors = validateTags([newName]);
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+        const exists = collectTags(loadExpenses()).some(item => item.tag === newName);
+        if (exists && !confirm(`「${name}」を「${newName}」に統合しますか？`)) {
+            return;
+        }
+        renameTag(name, newName);
+        if (document.getElementById('tagFilter').value === name) {
+            document.getElementById('tagFilter').value = '';
+        }
+    } else if (button.dataset.action === 'delete') {
+        if (!confirm(`タグ「${name}」をすべての支出から外しますか？`)) {
+            return;
+        }
+        deleteTag(name);
+        if (document.getElementById('tagFilter').value === name) {
+            document.getElementById('tagFilter').value = '';
+        }
+    }
+    renderTagManager();
+    handleFilterChange();
+}
+
+// ========================================
+// 自動分類ルール画面
+// ========================================
+
+let editingRuleId = null; // 編集中のルールID
+let ruleCandidates = []; // 表示中のルールの候補
+let pendingRuleReapply = []; // 確認中の既存の記録への適用結果
+
+/**
+ * 自動分類ルールのモーダルを開く
+ */
+function openRuleModal() {
+    resetRuleForm();
+    closeRuleReapply();
+    renderRuleManager();
+    openModal('ruleModal');
+}
+
+/**
+ * ルールの一覧と候補を描画し直す
+ */
+function renderRuleManager() {
+    renderRuleList();
+    renderRuleCandidates();
+    renderRuleStatus();
+}
+
+/**
+ * ルールの問題（条件を解析できない・設定するカテゴリが削除されている）を取得する
+ * @param {Object} rule - ルール
+ * @returns {Array<string>} 警告メッセージの配列
+ */
+function getRuleWarnings(rule) {
+    const warnings = [...parseQuery(rule.query).errors];
+    if (rule.category && !loadCategoriesByType(rule.type).includes(rule.category)) {
+        warnings.push(`カテゴリ「${rule.category}」は削除されています。`);
+    }
+    return warnings;
+}
+
+/**
+ * 問題のある有効なルールの件数をヘッダーのボタンに表示する
+ * 同期・インポートで口座やカテゴリが変わった場合も、ルールの画面を開かずに気付けるようにする
+ */
+function renderRuleStatus() {
+    const count = loadRules().filter(rule => rule.enabled && getRuleWarnings(rule).length > 0).length;
+    document.getElementById('ruleStatus').textContent = count > 0 ? `⚠ ${count}件に問題があります` : '';
+}
+
+/**
+ * ルールの一覧を優先順位順に表示する
+ * 条件を解析できないルールや、削除されたカテゴリを設定するルールには警告を表示する
+ */
+function renderRuleList() {
+    const rules = loadRules();
+    const list = document.getElementById('ruleList');
+    if (rules.length === 0) {
+        list.innerHTML = '<li class="form-hint">ルールはありません。下のフォームから追加してください。</li>';
+        return;
+    }
+    
+    list.innerHTML = rules.map((rule, index) => {
+        const warnings = getRuleWarnings(rule);
+        const actions = [
+            rule.category ? `カテゴリ → <strong>${escapeHtml(rule.category)}</strong>` : '',
+            rule.tags.length > 0 ? renderTagChips(rule.tags) : ''
+        ].filter(Boolean).join(' ');
+        return `
+            <li class="category-manager-item rule-item${rule.enabled ? '' : ' rule-item--disabled'}" data-rule-id="${escapeHtml(rule.id)}">
+                <span class="category-manager-item__name">
+                    <span class="rule-item__priority">${index + 1}</span>
+                    <span>
+                        <span class="form-hint">${ENTRY_TYPES[rule.type]}</span>
+                        <code class="rule-item__query">${escapeHtml(rule.query)}</code>
+                        ${actions}
+                        ${warnings.length > 0 ? `<span class="form-hint rule-item__warning">⚠ ${escapeHtml(warnings.join(' '))}</span>` : ''}
+                    </span>
+                </span>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--secondary btn--small" data-action="up" aria-label="優先順位を上げる" ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button type="button" class="btn btn--secondary btn--small" data-action="down" aria-label="優先順位を下げる" ${index === rules.length - 1 ? 'disabled' : ''}>▼</button>
+                    <button type="button" class="btn btn--secondary btn--small" data-action="toggle">${rule.enabled ? '無効にする' : '有効にする'}</button>
+                    <button type="button" class="btn btn--primary btn--small" data-action="edit">編集</button>
+                    <button type="button" class="btn btn--danger btn--small" data-action="delete">削除</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * 過去の記録から求めたルールの候補を表示する
+ */
+function renderRuleCandidates() {
+    ruleCandidates = findRuleCandidates(loadExpenses(), compileRules());
+    const list = document.getElementById('ruleCandidateList');
+    if (ruleCandidates.length === 0) {
+        list.innerHTML = '<li class="form-hint">候補はありません。</li>';
+        return;
+    }
+    
+    list.innerHTML = ruleCandidates.map((candidate, index) => `
+        <li class="category-manager-item">
+            <span class="category-manager-item__name">
+                <span>メモ「${escapeHtml(candidate.memo)}」→ <strong>${escapeHtml(candidate.category)}</strong></span>
+                <span class="form-hint">${ENTRY_TYPES[candidate.type]}・${candidate.count}件</span>
+            </span>
+            <div class="action-buttons">
+                <button type="button" class="btn btn--primary btn--small" data-candidate-index="${index}">ルールにする</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * ルールの候補からルールを追加する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleRuleCandidateClick(event) {
+    const button = event.target.closest('button[data-candidate-index]');
+    if (!button) {
+        return;
+    }
+    const candidate = ruleCandidates[button.dataset.candidateIndex];
+    saveRule({
+        type: candidate.type,
+        query: `memo:"${candidate.memo}"`,
+        category: candidate.category,
+        tags: []
+    });
+    renderRuleManager();
+}
+
+/**
+ * ルールの種別に合わせてカテゴリの選択肢を更新する（未選択は「変更しない」）
+ */
+function populateRuleCategories() {
+    const select = document.getElementById('ruleCategory');
+    const selected = select.value;
+    select.innerHTML = '<option value="">（変更しない）</option>' +
+        loadCategoriesByType(document.getElementById('ruleType').value)
+            .map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`)
+            .join('');
+    select.value = selected;
+    if (select.value !== selected) {
+        select.value = '';
+    }
+}
+
+/**
+ * ルールのフォームを初期状態に戻す
+ */
+function resetRuleForm() {
+    editingRuleId = null;
+    document.getElementById('ruleForm').reset();
+    populateRuleCategories();
+    document.getElementById('ruleFormError').classList.remove('show');
+    document.getElementById('ruleFormTitle').textContent = 'ルールを追加';
+    document.getElementById('ruleSubmitBtn').textContent = '追加';
+}
+
+/**
+ * ルールを編集フォームに読み込む
+ * @param {string} id - ルールのID
+ */
+function editRule(id) {
+    const rule = loadRules().find(item => item.id === id);
+    if (!rule) {
+        alert('ルールが見つかりませんでした。');
+        return;
+    }
+    
+    editingRuleId = id;
+    document.getElementById('ruleType').value = rule.type;
+    populateRuleCategories();
+    document.getElementById('ruleQuery').value = rule.query;
+    document.getElementById('ruleCategory').value = rule.category;
+    document.getElementById('ruleTags').value = rule.tags.join(' ');
+    document.getElementById('ruleFormError').classList.remove('show');
+    document.getElementById('ruleFormTitle').textContent = 'ルールを編集';
+    document.getElementById('ruleSubmitBtn').textContent = '更新';
+}
+
+/**
+ * ルールのフォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleRuleFormSubmit(event) {
+    event.preventDefault();
+    
+    const data = {
+        type: document.getElementById('ruleType').value,
+        query: document.getElementById('ruleQuery').value.trim(),
+        category: document.getElementById('ruleCategory').value,
+        tags: normalizeTags(document.getElementById('ruleTags').value)
+    };
+    const validation = validateRule(data);
+    const errorElement = document.getElementById('ruleFormError');
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    saveRule(data, editingRuleId);
+    resetRuleForm();
+    renderRuleManager();
+}
+
+/**
+ * ルール一覧のボタン操作を処理する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleRuleListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const id = button.closest('.category-manager-item').dataset.ruleId;
+    
+    switch (button.dataset.action) {
+        case 'up':
+            moveRule(id, -1);
+            break;
+        case 'down':
+            moveRule(id, 1);
+            break;
+        case 'toggle':
+            toggleRule(id);
+            break;
+        case 'edit':
+            editRule(id);
+            return;
+        case 'delete':
+            if (!confirm('このルールを削除しますか？')) {
+                return;
+            }
+            deleteRule(id);
+            if (editingRuleId === id) {
+                resetRuleForm();
+            }
+            break;
+    }
+    renderRuleManager();
+}
+
+/**
+ * 既存の記録にルールを適用した場合の変更を表示する
+ */
+function openRuleReapply() {
+    pendingRuleReapply = previewRuleReapply(loadExpenses(), compileRules());
+    const panel = document.getElementById('ruleReapplyPanel');
+    document.getElementById('ruleReapplySummary').textContent = pendingRuleReapply.length === 0
+        ? 'ルールを適用して変わる記録はありません。'
+        : `${pendingRuleReapply.length}件の記録が変わります。適用する記録を選択してください。`;
+    
+    document.getElementById('ruleReapplyList').innerHTML = pendingRuleReapply.map(({ before, after }, index) => {
+        const addedTags = getExpenseTags(after).filter(tag => !getExpenseTags(before).includes(tag));
+        const changes = [
+            after.category !== before.category
+                ? `${escapeHtml(before.category)} → <strong>${escapeHtml(after.category)}</strong>`
+                : '',
+            addedTags.length > 0 ? `+ ${renderTagChips(addedTags)}` : ''
+        ].filter(Boolean).join(' ');
+        return `
+            <li class="rule-reapply-item">
+                <label class="form-label">
+                    <input type="checkbox" data-reapply-index="${index}" checked>
+                    <span>${formatDate(before.date)} ${escapeHtml(before.memo || '-')}
+                        ${formatAmount(Number(before.amount), getExpenseCurrency(before))}</span>
+                </label>
+                <span class="rule-reapply-item__change">${changes}</span>
+            </li>
+        `;
+    }).join('');
+    document.getElementById('confirmRuleReapplyBtn').disabled = pendingRuleReapply.length === 0;
+    panel.style.display = 'block';
+}
+
+/**
+ * 既存の記録への適用結果の表示を閉じる
+ */
+function closeRuleReapply() {
+    pendingRuleReapply = [];
+    document.getElementById('ruleReapplyPanel').style.display = 'none';
+    document.getElementById('ruleReapplyList').innerHTML = '';
+}
+
+/**
+ * 選択した記録にルールの適用結果を保存する
+ */
+function handleRuleReapplyConfirm() {
+    const selected = [...document.querySelectorAll('#ruleReapplyList input[data-reapply-index]:checked')]
+        .map(input => pendingRuleReapply[input.dataset.reapplyIndex]);
+    if (selected.length === 0) {
+        alert('適用する記録を選択してください。');
+        return;
+    }
+    if (!confirm(`${selected.length}件の記録のカテゴリ・タグを変更します。よろしいですか？`)) {
+        return;
+    }
+    
+    const count = applyRuleReapply(selected);
+    closeRuleReapply();
+    renderRuleManager();
+    alert(`${count}件の記録にルールを適用しました。`);
+    refreshUI();
+}
+
+// ========================================
+// 口座管理画面
+// ========================================
+
+let editingAccountId = null; // 編集中の口座ID
+let deletingAccountId = null; // 置き換え先を選択中の削除対象の口座ID
+
+/**
+ * 口座管理モーダルを開く
+ */
+function openAccountModal() {
+    resetAccountForm();
+    resetTransferForm();
+    closeAccountAction();
+    renderAccountManager();
+    openModal('accountModal');
+}
+
+/**
+ * 口座の一覧・選択肢・明細を描画し直す
+ */
+function renderAccountManager() {
+    populateAccounts();
+    renderAccountList();
+    renderLedger();
+}
+
+/**
+ * 口座の一覧を残高付きで表示する
+ */
+function renderAccountList() {
+    const accounts = loadAccounts();
+    const expenses = loadExpenses();
+    const transfers = loadTransfers();
+    
+    document.getElementById('accountList').innerHTML = accounts.map(account => {
+        const { balance } = calculateAccountLedger(account, expenses, transfers);
+        const cardText = account.kind === 'credit'
+            ? `・${account.closingDay >= 31 ? '末日' : `${account.closingDay}日`}締め 翌月${account.paymentDay}日払い`
+            : '';
+        return `
+            <li class="category-manager-item" data-account-id="${escapeHtml(account.id)}">
+                <span class="category-manager-item__name">
+                    <strong>${escapeHtml(account.name)}</strong>
+                    <span class="form-hint">${ACCOUNT_KINDS[account.kind]}${cardText}</span>
+                </span>
+                <span class="account-balance${balance < 0 ? ' amount--deficit' : ''}">${formatSignedAmount(balance)}</span>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--secondary btn--small" data-action="ledger">明細</button>
+                    <button type="button" class="btn btn--primary btn--small" data-action="edit">編集</button>
+                    <button type="button" class="btn btn--danger btn--small" data-action="delete" ${accounts.length < 2 ? 'disabled' : ''}>削除</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * 口座フォームを初期状態に戻す
+ */
+function resetAccountForm() {
+    editingAccountId = null;
+    document.getElementById('accountForm').reset();
+    document.getElementById('accountFormError').classList.remove('show');
+    document.getElementById('accountFormTitle').textContent = '口座を追加';
+    document.getElementById('accountSubmitBtn').textContent = '追加';
+    updateAccountCardFields();
+}
+
+/**
+ * 口座の種類に応じて締め日・支払日の入力欄の表示を切り替える（クレジットカードのみ）
+ */
+function updateAccountCardFields() {
+    document.getElementById('accountCardFields').style.display =
+        document.getElementById('accountKind').value === 'credit' ? 'flex' : 'none';
+}
+
+/**
+ * 口座を編集フォームに読み込む
+ * @param {string} id - 口座ID
+ */
+function editAccount(id) {
+    const account = loadAccounts().find(item => item.id === id);
+    if (!account) {
+        alert('口座が見つかりませんでした。');
+        return;
+    }
+    
+    editingAccountId = id;
+    document.getElementById('accountName').value = account.name;
+    document.getElementById('accountKind').value = account.kind;
+    document.getElementById('accountInitialBalance').value = account.initialBalance || '';
+    document.getElementById('accountClosingDay').value = account.closingDay || '';
+    document.getElementById('accountPaymentDay').value = account.paymentDay || '';
+    document.getElementById('accountFormError').classList.remove('show');
+    document.getElementById('accountFormTitle').textContent = `「${account.name}」を編集`;
+    document.getElementById('accountSubmitBtn').textContent = '更新';
+    updateAccountCardFields();
+}
+
+/**
+ * 口座フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleAccountFormSubmit(event) {
+    event.preventDefault();
+    
+    const data = {
+        name: document.getElementById('accountName').value,
+        kind: document.getElementById('accountKind').value,
+        initialBalance: document.getElementById('accountInitialBalance').value,
+        closingDay: document.getElementById('accountClosingDay').value,
+        paymentDay: document.getElementById('accountPaymentDay').value
+    };
+    const validation = validateAccount(data, loadAccounts(), editingAccountId);
+    const errorElement = document.getElementById('accountFormError');
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    saveAccount(data, editingAccountId);
+    resetAccountForm();
+    renderAccountManager();
+    refreshUI();
+}
+
+/**
+ * 口座一覧のボタン操作を処理する（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleAccountListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const id = button.closest('.category-manager-item').dataset.accountId;
+    
+    switch (button.dataset.action) {
+        case 'ledger':
+            document.getElementById('ledgerAccount').value = id;
+            renderLedger();
+            document.getElementById('ledgerContent').scrollIntoView({ block: 'nearest' });
+            break;
+        case 'edit':
+            editAccount(id);
+            break;
+        case 'delete':
+            if (countAccountUsage(id) > 0) {
+                // 使用中の口座は置き換え先を選択させる
+                openAccountAction(id);
+            } else if (confirm(`「${getAccountName(id)}」を削除しますか？`)) {
+                deleteAccount(id, null);
+                renderAccountManager();
+                refreshUI();
+            }
+            break;
+    }
+}
+
+/**
+ * 使用中の口座を削除するための置き換え先の選択欄を表示する
+ * @param {string} id - 削除する口座ID
+ */
+function openAccountAction(id) {
+    deletingAccountId = id;
+    document.getElementById('accountActionText').textContent =
+        `「${getAccountName(id)}」は${countAccountUsage(id)}件の記録・振替で使用されています。置き換え先の口座を選択してください。`;
+    document.getElementById('accountReplacement').innerHTML = loadAccounts()
+        .filter(account => account.id !== id)
+        .map(account => `<option value="${escapeHtml(account.id)}">${escapeHtml(account.name)}</option>`)
+        .join('');
+    document.getElementById('accountActionPanel').style.display = 'block';
+}
+
+/**
+ * 置き換え先の選択欄を閉じる
+ */
+function closeAccountAction() {
+    deletingAccountId = null;
+    document.getElementById('accountActionPanel').style.display = 'none';
+}
+
+/**
+ * 置き換え先を指定して口座を削除する
+ */
+function handleAccountAction() {
+    if (!deletingAccountId) {
+        return;
+    }
+    if (!deleteAccount(deletingAccountId, document.getElementById('accountReplacement').value)) {
+        alert('口座の削除に失敗しました。');
+    }
+    closeAccountAction();
+    renderAccountManager();
+    refreshUI();
+}
+
+/**
+ * 振替フォームを初期状態に戻す
+ */
+function resetTransferForm() {
+    document.getElementById('transferForm').reset();
+    document.getElementById('transferDate').value = toDateString(new Date());
+    document.getElementById('transferFormError').classList.remove('show');
+}
+
+/**
+ * 振替フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleTransferFormSubmit(event) {
+    event.preventDefault();
+    
+    const data = {
+        date: document.getElementById('transferDate').value,
+        fromAccountId: document.getElementById('transferFrom').value,
+        toAccountId: document.getElementById('transferTo').value,
+        amount: parseAmountValue(document.getElementById('transferAmount').value),
+        memo: document.getElementById('transferMemo').value.trim()
+    };
+    const validation = validateTransfer(data);
+    const errorElement = document.getElementById('transferFormError');
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    addTransfer(data);
+    resetTransferForm();
+    renderAccountList();
+    renderLedger();
+}
+
+/**
+ * 選択中の口座の明細を表示する
+ * クレジットカードは締め日ごとの請求にまとめて表示できる
+ */
+function renderLedger() {
+    const account = loadAccounts().find(item => item.id === document.getElementById('ledgerAccount').value);
+    const content = document.getElementById('ledgerContent');
+    const viewSelect = document.getElementById('ledgerView');
+    if (!account) {
+        content.innerHTML = '';
+        return;
+    }
+    
+    const isCredit = account.kind === 'credit';
+    viewSelect.style.display = isCredit ? '' : 'none';
+    const expenses = loadExpenses();
+    const ledger = calculateAccountLedger(account, expenses, loadTransfers());
+    document.getElementById('ledgerBalance').textContent = `残高 ${formatSignedAmount(ledger.balance)}`;
+    
+    if (isCredit && viewSelect.value === 'statement') {
+        content.innerHTML = renderStatements(calculateStatements(account, expenses));
+        return;
+    }
+    
+    if (ledger.rows.length === 0) {
+        content.innerHTML = '<p class="form-hint">入出金はありません。</p>';
+        return;
+    }
+    // 新しい入出金を上に表示する
+    content.innerHTML = `
+        <table class="expense-table ledger-table">
+            <thead>
+                <tr>
+                    <th>日付</th>
+                    <th>内容</th>
+                    <th>入金</th>
+                    <th>出金</th>
+                    <th>残高</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${[...ledger.rows].reverse().map(row => `
+                    <tr>
+                        <td>${formatDate(row.date)}</td>
+                        <td>
+                            ${row.kind === 'transfer' ? escapeHtml(row.label) : renderCategoryBadge(row.label)}
+                            <span class="form-hint">${escapeHtml(row.memo)}</span>
+                        </td>
+                        <td class="amount-cell amount--income">${row.amount > 0 ? formatAmount(row.amount) : ''}</td>
+                        <td class="amount-cell">${row.amount < 0 ? formatAmount(-row.amount) : ''}</td>
+                        <td class="amount-cell">${formatSignedAmount(row.balance)}</td>
+                        <td>
+                            ${row.kind === 'transfer'
+                                ? `<button type="button" class="btn btn--danger btn--small" data-transfer-id="${escapeHtml(row.id)}" aria-label="振替を削除">削除</button>`
+                                : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * クレジットカードの請求ごとの明細のHTMLを生成する
+ * @param {Array} statements - calculateStatementsの結果
+ * @returns {string} HTML文字列
+ */
+function renderStatements(statements) {
+    if (statements.length === 0) {
+        return '<p class="form-hint">利用はありません。</p>';
+    }
+    return statements.map(statement => `
+        <details class="statement">
+            <summary class="statement__summary">
+                <span>${formatDate(statement.range.start)}〜${formatDate(statement.range.end)}利用分（${formatDate(statement.paymentDate)}支払）</span>
+                <strong>${formatAmount(statement.total)}</strong>
+            </summary>
+            <ul class="statement__entries">
+                ${statement.entries.map(expense => `
+                    <li>
+                        <span>${formatDate(expense.date)} ${escapeHtml(expense.category)} ${escapeHtml(expense.memo || '')}</span>
+                        <span class="amount-cell${getEntryType(expense) === 'income' ? ' amount--income' : ''}">
+                            ${getEntryType(expense) === 'income' ? '−' : ''}${formatAmount(getBaseAmount(expense))}
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `).join('');
+}
+
+/**
+ * 明細の振替の削除ボタンの処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleLedgerClick(event) {
+    const button = event.target.closest('button[data-transfer-id]');
+    if (!button || !confirm('この振替を削除しますか？')) {
+        return;
+    }
+    deleteTransfer(button.dataset.transferId);
+    renderAccountList();
+    renderLedger();
+}
+
+// ========================================
+// 割り勘画面
+// ========================================
+
+/**
+ * 割り勘モーダルを開く
+ */
+function openSplitModal() {
+    resetSettlementForm();
+    document.getElementById('personForm').reset();
+    document.getElementById('personFormError').classList.remove('show');
+    renderSplitManager();
+    openModal('splitModal');
+}
+
+/**
+ * 残高・精算方法・精算の履歴・メンバーの一覧を描画し直す
+ */
+function renderSplitManager() {
+    populatePeople();
+    renderBalances();
+    renderSettlementList();
+    renderPersonList();
+}
+
+/**
+ * 各人の残高と、残高を清算する送金の組み合わせを表示する
+ */
+function renderBalances() {
+    const people = loadPeople();
+    const balances = calculateBalances(loadExpenses(), loadSettlements());
+    const transfers = calculateSettleUp(balances);
+    
+    document.getElementById('balanceList').innerHTML = people.map(person => {
+        const balance = balances[person.id] || 0;
+        return `
+            <li class="category-manager-item">
+                <span class="category-manager-item__name">${escapeHtml(person.name)}</span>
+                <span class="account-balance${balance < 0 ? ' amount--deficit' : ''}">${formatSignedAmount(balance)}</span>
+            </li>
+        `;
+    }).join('');
+    
+    document.getElementById('settleUpList').innerHTML = transfers.length === 0
+        ? '<li class="form-hint">精算が必要な貸し借りはありません。</li>'
+        : transfers.map((transfer, index) => `
+            <li class="category-manager-item" data-settle-index="${index}">
+                <span class="category-manager-item__name">
+                    ${escapeHtml(getPersonName(transfer.fromPersonId, people))} → ${escapeHtml(getPersonName(transfer.toPersonId, people))}
+                </span>
+                <strong>${formatAmount(transfer.amount)}</strong>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--primary btn--small" data-action="settle">精算を記録</button>
+                </div>
+            </li>
+        `).join('');
+    document.getElementById('settleAllBtn').disabled = transfers.length === 0;
+}
+
+/**
+ * 精算方法の「精算を記録」のクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleSettleUpClick(event) {
+    const button = event.target.closest('button[data-action="settle"]');
+    if (!button) {
+        return;
+    }
+    const index = Number(button.closest('[data-settle-index]').dataset.settleIndex);
+    const transfer = calculateSettleUp(calculateBalances(loadExpenses(), loadSettlements()))[index];
+    if (transfer) {
+        addSettlement({ ...transfer, date: toDateString(new Date()) });
+        renderSplitManager();
+    }
+}
+
+/**
+ * 提案された精算をすべて記録し、残高を0にする
+ */
+function handleSettleAll() {
+    const transfers = calculateSettleUp(calculateBalances(loadExpenses(), loadSettlements()));
+    if (transfers.length === 0 || !confirm(`${transfers.length}件の精算を記録して、すべての残高を0にしますか？`)) {
+        return;
+    }
+    const date = toDateString(new Date());
+    transfers.forEach(transfer => addSettlement({ ...transfer, date }));
+    renderSplitManager();
+}
+
+/**
+ * 精算の履歴を新しい順に表示する
+ */
+function renderSettlementList() {
+    const people = loadPeople();
+    const settlements = loadSettlements().sort((a, b) => 
+        b.date.localeCompare(a.date) || b.createdAt - a.createdAt
+    );
+    
+    document.getElementById('settlementList').innerHTML = settlements.length === 0
+        ? '<li class="form-hint">精算の記録はありません。</li>'
+        : settlements.map(settlement => `
+            <li class="category-manager-item" data-settlement-id="${escapeHtml(settlement.id)}">
+                <span class="category-manager-item__name">
+                    ${formatDate(settlement.date)}
+                    ${escapeHtml(getPersonName(settlement.fromPersonId, people))} → ${escapeHtml(getPersonName(settlement.toPersonId, people))}
+                    ${settlement.memo ? `<span class="form-hint">${escapeHtml(settlement.memo)}</span>` : ''}
+                </span>
+                <strong>${formatAmount(settlement.amount)}</strong>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--danger btn--small" data-action="delete">削除</button>
+                </div>
+            </li>
+        `).join('');
+}
+
+/**
+ * 精算の履歴の削除ボタンのクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleSettlementListClick(event) {
+    const button = event.target.closest('button[data-action="delete"]');
+    if (button && confirm('この精算の記録を削除しますか？')) {
+        deleteSettlement(button.closest('[data-settlement-id]').dataset.settlementId);
+        renderSplitManager();
+    }
+}
+
+/**
+ * 精算フォームを初期状態に戻す
+ */
+function resetSettlementForm() {
+    document.getElementById('settlementForm').reset();
+    document.getElementById('settlementDate').value = toDateString(new Date());
+    document.getElementById('settlementFormError').classList.remove('show');
+}
+
+/**
+ * 精算フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handleSettlementFormSubmit(event) {
+    event.preventDefault();
+    
+    const data = {
+        date: document.getElementById('settlementDate').value,
+        fromPersonId: document.getElementById('settlementFrom').value,
+        toPersonId: document.getElementById('settlementTo').value,
+        amount: parseAmountValue(document.getElementById('settlementAmount').value),
+        memo: document.getElementById('settlementMemo').value.trim()
+    };
+    const validation = validateSettlement(data);
+    const errorElement = document.getElementById('settlementFormError');
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    addSettlement(data);
+    resetSettlementForm();
+    renderSplitManager();
+}
+
+/**
+ * メンバーの一覧を表示する
+ */
+function renderPersonList() {
+    document.getElementById('personList').innerHTML = loadPeople().map(person => `
+        <li class="category-manager-item" data-person-id="${escapeHtml(person.id)}">
+            <span class="category-manager-item__name">${escapeHtml(person.name)}</span>
+            <div class="action-buttons">
+                <button type="button" class="btn btn--primary btn--small" data-action="rename">名前を変更</button>
+                <button type="button" class="btn btn--danger btn--small" data-action="delete" ${person.id === SELF_PERSON_ID ? 'disabled' : ''}>削除</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * メンバーの追加フォームの送信処理
+ * @param {Event} event - 送信イベント
+ */
+function handlePersonFormSubmit(event) {
+    event.preventDefault();
+    
+    const name = document.getElementById('personName').value.trim();
+    const validation = validatePersonName(name, loadPeople());
+    const errorElement = document.getElementById('personFormError');
+    
+    if (!validation.valid) {
+        errorElement.textContent = validation.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    errorElement.classList.remove('show');
+    addPerson(name);
+    document.getElementById('personForm').reset();
+    renderSplitManager();
+}
+
+/**
+ * メンバーの一覧のボタンのクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handlePersonListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+        return;
+    }
+    const id = button.closest('[data-person-id]').dataset.personId;
+    const name = getPersonName(id);
+    
+    if (button.dataset.action === 'rename') {
+        const newName = prompt('新しい名前を入力してください', name);
+        if (newName === null || newName.trim() === name) {
+            return;
+        }
+        const validation = validatePersonName(newName.trim(), loadPeople(), id);
+        if (!validation.valid) {
+            alert(validation.errors.join('\n'));
+            return;
+        }
+        renamePerson(id, newName.trim());
+    } else if (button.dataset.action === 'delete') {
+        if (isPersonUsed(id)) {
+            alert(`「${name}」は割り勘・精算で使われているため削除できません。`);
+            return;
+        }
+        if (!confirm(`「${name}」を削除しますか？`)) {
+            return;
+        }
+        deletePerson(id);
+    }
+    renderSplitManager();
+    refreshUI();
+}
+
+// ========================================
+// 割り勘の入力欄（支出フォーム）
+// ========================================
+
+/**
+ * 支出フォームの割り勘の入力欄を設定する
+ * @param {Object|null} split - 割り勘の設定（nullの場合は割り勘にしない）
+ */
+function setSplitForm(split) {
+    const payer = document.getElementById('splitPayer');
+    populatePeople();
+    // 同期がまだ届いていない人が支払った場合は、変更せずに保存できるよう選択肢に残す
+    if (split && !loadPeople().some(person => person.id === split.payerId)) {
+        payer.insertAdjacentHTML('beforeend',
+            `<option value="${escapeHtml(split.payerId)}">${escapeHtml(getPersonName(split.payerId))}</option>`);
+    }
+    document.getElementById('splitEnabled').checked = Boolean(split);
+    payer.value = split ? split.payerId : SELF_PERSON_ID;
+    document.getElementById('splitMethod').value = split ? split.method : 'equal';
+    renderSplitPeople(split ? split.shares : [{ personId: SELF_PERSON_ID, value: '' }]);
+    updateSplitFields();
+}
+
+/**
+ * 割り勘の負担する人の入力欄を描画する
+ * @param {Array} shares - { personId, value } の配列（含まれる人にチェックを付ける）
+ */
+function renderSplitPeople(shares) {
+    const people = loadPeople();
+    // 一覧にない人（同期がまだ届いていない人など）の負担も、保存時に失われないよう行を表示する
+    const unknown = shares
+        .filter(share => !people.some(person => person.id === share.personId))
+        .map(share => ({ id: share.personId, name: getPersonName(share.personId, people) }));
+    document.getElementById('splitPeople').innerHTML = [...people, ...unknown].map(person => {
+        const share = shares.find(item => item.personId === person.id);
+        return `
+            <li class="split-person" data-person-id="${escapeHtml(person.id)}">
+                <label>
+                    <input type="checkbox" data-split-check ${share ? 'checked' : ''}>
+                    ${escapeHtml(person.name)}
+                </label>
+                <input type="number" class="form-input" data-split-value min="0" step="any"
+                    value="${share && share.value !== '' ? escapeHtml(String(share.value)) : ''}"
+                    aria-label="${escapeHtml(person.name)}の負担">
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * 割り勘の入力欄の表示と合計の表示を更新する
+ * 収入には割り勘を設定できない。均等に分ける場合は割合・金額の入力欄を使わない
+ */
+function updateSplitFields() {
+    const isExpense = document.getElementById('expenseType').value === 'expense';
+    const enabled = document.getElementById('splitEnabled').checked;
+    const method = document.getElementById('splitMethod').value;
+    document.getElementById('splitGroup').style.display = isExpense ? '' : 'none';
+    document.getElementById('splitFields').style.display = enabled ? '' : 'none';
+    
+    document.querySelectorAll('#splitPeople .split-person').forEach(row => {
+        const valueInput = row.querySelector('[data-split-value]');
+        valueInput.style.display = method === 'equal' ? 'none' : '';
+        valueInput.disabled = !row.querySelector('[data-split-check]').checked;
+        valueInput.placeholder = method === 'percent' ? '%' : '金額';
+    });
+    
+    const split = getSplitFormData();
+    const summary = document.getElementById('splitSummary');
+    if (!split || split.shares.length === 0) {
+        summary.textContent = '';
+    } else if (method === 'equal') {
+        summary.textContent = `${split.shares.length}人で均等に分けます。`;
+    } else {
+        const sum = split.shares.reduce((total, share) => total + (Number(share.value) || 0), 0);
+        const target = method === 'percent' ? '100%' : `${Number(document.getElementById('expenseAmount').value) || 0}`;
+        summary.textContent = `合計 ${Math.round(sum * 100) / 100}${method === 'percent' ? '%' : ''} / ${target}`;
+    }
+}
+
+/**
+ * 支出フォームの割り勘の入力内容を取得する
+ * @returns {Object|null} 割り勘の設定（割り勘にしない場合はnull）
+ */
+function getSplitFormData() {
+    if (document.getElementById('expenseType').value !== 'expense' ||
+        !document.getElementById('splitEnabled').checked) {
+        return null;
+    }
+    const method = document.getElementById('splitMethod').value;
+    const shares = [...document.querySelectorAll('#splitPeople .split-person')]
+        .filter(row => row.querySelector('[data-split-check]').checked)
+        .map(row => ({
+            personId: row.dataset.personId,
+            value: method === 'equal' ? 1 : parseAmountValue(row.querySelector('[data-split-value]').value)
+        }));
+    return {
+        payerId: document.getElementById('splitPayer').value,
+        method,
+        shares
+    };
+}
+
+// ========================================
+// レシートの添付（支出フォーム）
+// ========================================
+
+let editingAttachments = []; // 支出フォームの添付ファイル（新しく追加したものはファイル本体を持つ）
+let processingAttachmentCount = 0; // 圧縮などの処理中の添付ファイルの数
+let attachmentFormSession = 0; // 支出フォームを開くたびに増やす（閉じた後に終わった処理の結果を破棄するため）
+
+/**
+ * 支出フォームの添付ファイルを設定する
+ * @param {Array} attachments - 添付ファイルの情報の配列
+ */
+function setEditingAttachments(attachments) {
+    editingAttachments = [...attachments];
+    processingAttachmentCount = 0;
+    attachmentFormSession++;
+    document.getElementById('attachmentGroup').style.display = isAttachmentStoreAvailable() ? '' : 'none';
+    renderAttachmentEditor();
+}
+
+/**
+ * 支出フォームの添付ファイルの一覧を描画する
+ */
+function renderAttachmentEditor() {
+    document.getElementById('expenseAttachmentList').innerHTML = editingAttachments.map((attachment, index) => `
+        <li class="attachment-item">
+            <button type="button" class="attachment-thumb" data-view-attachment="${index}" title="${escapeHtml(attachment.name)}">
+                ${renderAttachmentThumbnail(attachment)}
+            </button>
+            <button type="button" class="tag-chip__remove" data-remove-attachment="${index}" aria-label="${escapeHtml(attachment.name)}を外す">&times;</button>
+        </li>
+    `).join('');
+    document.getElementById('attachmentStatus').textContent = processingAttachmentCount > 0
+        ? `${processingAttachmentCount}件のファイルを処理中…`
+        : `${editingAttachments.length} / ${ATTACHMENT_MAX_COUNT}件`;
+}
+
+/**
+ * 添付ファイルのサムネイルのHTMLを生成する（PDFなどサムネイルがない場合はアイコン）
+ * @param {Object} attachment - 添付ファイルの情報
+ * @returns {string} HTML文字列
+ */
+function renderAttachmentThumbnail(attachment) {
+    return attachment.thumbnail
+        ? `<img src="${escapeHtml(attachment.thumbnail)}" alt="${escapeHtml(attachment.name)}">`
+        : `<span class="attachment-thumb__icon" aria-label="${escapeHtml(attachment.name)}">📄</span>`;
+}
+
+/**
+ * ファイル選択・カメラ撮影で選ばれたファイルを添付する
+ * @param {Event} event - 変更イベント
+ */
+async function handleAttachmentInput(event) {
+    const input = event.target;
+    const files = [...input.files];
+    input.value = ''; // 同じファイルを続けて選べるようにする
+    const errorElement = document.getElementById('formError');
+    
+    const available = ATTACHMENT_MAX_COUNT - editingAttachments.length - processingAttachmentCount;
+    if (files.length > available) {
+        errorElement.textContent = `レシートは1件の支出に${ATTACHMENT_MAX_COUNT}件まで添付できます。`;
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    processingAttachmentCount += files.length;
+    renderAttachmentEditor();
+    const session = attachmentFormSession;
+    const errors = [];
+    for (const file of files) {
+        let attachment = null;
+        try {
+            attachment = await prepareAttachment(file);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        // 処理中にフォームを閉じた（別の支出を開いた）場合は、残りのファイルも含めて破棄する
+        if (session !== attachmentFormSession) {
+            return;
+        }
+        if (attachment) {
+            editingAttachments.push(attachment);
+        }
+        processingAttachmentCount--;
+        renderAttachmentEditor();
+    }
+    
+    if (errors.length > 0) {
+        errorElement.textContent = errors.join('\n');
+        errorElement.classList.add('show');
+    }
+}
+
+/**
+ * ファイルを添付できる形に変換する（画像は縮小・圧縮し、サムネイルを作成する）
+ * @param {File} file - 選択されたファイル
+ * @returns {Promise<Object>} { id, name, type, size, thumbnail, blob }
+ */
+async function prepareAttachment(file) {
+    if (!ATTACHMENT_ACCEPT_TYPES.includes(file.type)) {
+        throw new Error(`「${file.name}」は添付できない形式です（画像・PDFのみ）。`);
+    }
+    
+    const isImage = file.type.startsWith('image/');
+    const blob = isImage ? await compressImage(file) : file;
+    if (blob.size > ATTACHMENT_MAX_SIZE) {
+        throw new Error(`「${file.name}」は大きすぎます（最大${ATTACHMENT_MAX_SIZE / 1024 / 1024}MB）。`);
+    }
+    // JPEGに変換した場合は拡張子を合わせる
+    const name = blob === file ? file.name : file.name.replace(/\.[^.]+$/, '') + '.jpg';
+    
+    return {
+        id: generateId(),
+        name,
+        type: blob.type || file.type,
+        size: blob.size,
+        thumbnail: isImage ? await createThumbnail(blob) : '',
+        blob
+    };
+}
+
+/**
+ * 画像ファイルを画像要素として読み込む
+ * @param {Blob} blob - 画像ファイル
+ * @returns {Promise<HTMLImageElement>} 読み込んだ画像
+ */
+function loadImageElement(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('画像を読み込めませんでした。'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 画像を長辺が指定のピクセル数以下になるよう縮小したキャンバスを作成する
+ * JPEGには透過がないため、背景は白で塗りつぶす
+ * @param {HTMLImageElement} image - 画像
+ * @param {number} maxSize - 長辺の最大ピクセル数
+ * @returns {HTMLCanvasElement} キャンバス
+ */
+function drawScaledImage(image, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * 画像を縮小してJPEGで圧縮する
+ * アニメーションGIF・ブラウザが読み込めない形式（HEICなど）や、圧縮で大きくなる場合は元のファイルを返す
+ * @param {File} file - 画像ファイル
+ * @returns {Promise<Blob>} 圧縮後の画像
+ */
+async function compressImage(file) {
+    if (file.type === 'image/gif') {
+        return file;
+    }
+    try {
+        const canvas = drawScaledImage(await loadImageElement(file), ATTACHMENT_IMAGE_MAX_SIZE);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', ATTACHMENT_IMAGE_QUALITY));
+        return blob && blob.size < file.size ? blob : file;
+    } catch (error) {
+        console.error('画像を圧縮できないため、元のファイルを保存します:', error);
+        return file;
+    }
+}
+
+/**
+ * 一覧に表示するサムネイルを作成する
+ * @param {Blob} blob - 画像ファイル
+ * @returns {Promise<string>} サムネイルのデータURL（作成できない場合は空文字列）
+ */
+async function createThumbnail(blob) {
+    try {
+        return drawScaledImage(await loadImageElement(blob), ATTACHMENT_THUMBNAIL_SIZE).toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * 支出フォームの添付ファイルのクリック処理（表示・取り外し、イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleAttachmentEditorClick(event) {
+    const removeButton = event.target.closest('[data-remove-attachment]');
+    if (removeButton) {
+        editingAttachments.splice(Number(removeButton.dataset.removeAttachment), 1);
+        renderAttachmentEditor();
+        return;
+    }
+    const viewButton = event.target.closest('[data-view-attachment]');
+    if (viewButton) {
+        openLightbox(editingAttachments, Number(viewButton.dataset.viewAttachment));
+    }
+}
+
+/**
+ * 支出フォームの添付ファイルを保存する（追加したものを保存し、外したものを削除する）
+ * @param {string} expenseId - 支出のID
+ */
+function saveEditingAttachments(expenseId) {
+    if (!isAttachmentStoreAvailable()) {
+        return;
+    }
+    const keptIds = new Set(editingAttachments.map(attachment => attachment.id));
+    deleteAttachments(getExpenseAttachments(expenseId)
+        .filter(attachment => !keptIds.has(attachment.id))
+        .map(attachment => attachment.id));
+    const added = editingAttachments.filter(attachment => attachment.blob);
+    if (added.length > 0) {
+        addAttachments(expenseId, added);
+    }
+}
+
+// ========================================
+// レシートの表示（ライトボックス）
+// ========================================
+
+let lightboxAttachments = []; // 表示中の添付ファイルの一覧
+let lightboxIndex = 0; // 表示中の添付ファイルの位置
+let lightboxUrl = null; // 表示中のファイルのオブジェクトURL
+
+/**
+ * 支出の添付ファイルをライトボックスで表示する
+ * @param {string} expenseId - 支出のID
+ */
+function openExpenseAttachments(expenseId) {
+    const attachments = getExpenseAttachments(expenseId);
+    if (attachments.length > 0) {
+        openLightbox(attachments, 0);
+    }
+}
+
+/**
+ * 添付ファイルをライトボックスで表示する
+ * @param {Array} attachments - 添付ファイルの情報の配列（ファイル本体がないものは読み込んで表示する）
+ * @param {number} index - 最初に表示する位置
+ */
+function openLightbox(attachments, index) {
+    lightboxAttachments = attachments;
+    openModal('lightboxModal');
+    showLightboxAttachment(index);
+}
+
+/**
+ * ライトボックスに指定した位置の添付ファイルを表示する（前後の端では反対側に回り込む）
+ * @param {number} index - 表示する位置
+ */
+async function showLightboxAttachment(index) {
+    const count = lightboxAttachments.length;
+    lightboxIndex = (index + count) % count;
+    const attachment = lightboxAttachments[lightboxIndex];
+    const content = document.getElementById('lightboxContent');
+    document.getElementById('lightboxCaption').textContent =
+        `${attachment.name}（${lightboxIndex + 1} / ${count}）`;
+    document.getElementById('lightboxPrevBtn').disabled = count < 2;
+    document.getElementById('lightboxNextBtn').disabled = count < 2;
+    content.innerHTML = '<p class="form-hint">読み込み中…</p>';
+    
+    const blob = attachment.blob || await loadAttachmentBlob(attachment.id);
+    if (lightboxAttachments[lightboxIndex] !== attachment) {
+        return; // 読み込み中に別のファイルに切り替えられた
+    }
+    revokeLightboxUrl();
+    if (!blob) {
+        content.innerHTML = '<p class="form-hint">ファイルが見つかりませんでした。</p>';
+        return;
+    }
+    
+    lightboxUrl = URL.createObjectURL(blob);
+    content.innerHTML = attachment.type === 'application/pdf'
+        ? `<iframe class="lightbox__pdf" src="${lightboxUrl}" title="${escapeHtml(attachment.name)}"></iframe>`
+        : `<img class="lightbox__image" src="${lightboxUrl}" alt="${escapeHtml(attachment.name)}">`;
+    const download = document.getElementById('lightboxDownload');
+    download.href = lightboxUrl;
+    download.download = attachment.name;
+}
+
+/**
+ * 表示中のファイルのオブジェクトURLを解放する
+ */
+function revokeLightboxUrl() {
+    if (lightboxUrl) {
+        URL.revokeObjectURL(lightboxUrl);
+        lightboxUrl = null;
+    }
+}
+
+/**
+ * ライトボックスを閉じる
+ */
+function closeLightbox() {
+    closeModal('lightboxModal');
+    document.getElementById('lightboxContent').innerHTML = '';
+    revokeLightboxUrl();
+}
+
+/**
+ * ライトボックスのキー操作（左右キーで前後のファイル、Escapeで閉じる）
+ * @param {KeyboardEvent} event - キーイベント
+ */
+function handleLightboxKeydown(event) {
+    if (document.getElementById('lightboxModal').getAttribute('aria-hidden') !== 'false') {
+        return;
+    }
+    if (event.key === 'ArrowLeft') {
+        showLightboxAttachment(lightboxIndex - 1);
+    } else if (event.key === 'ArrowRight') {
+        showLightboxAttachment(lightboxIndex + 1);
+    } else if (event.key === 'Escape') {
+        closeLightbox();
+    }
+}
+
+// ========================================
+// 期間比較画面
+// ========================================
+
+let comparePeriod = null; // 比較画面の対象期間 { unit, key }
+
+/**
+ * 期間比較モーダルを開く（統計カードで選択中の期間を対象にする）
+ */
+function openCompareModal() {
+    comparePeriod = { ...selectedPeriod };
+    document.getElementById('compareUnit').value = comparePeriod.unit;
+    renderComparison();
+    openModal('compareModal');
+}
+
+/**
+ * 比較元の期間のキーを取得する
+ * @returns {string} 比較元の期間のキー
+ */
+function getCompareBaseKey() {
+    const { unit, key } = comparePeriod;
+    return document.getElementById('compareTarget').value === 'lastYear'
+        ? getSamePeriodLastYear(key, unit)
+        : getNextPeriodKey(key, unit, -1);
+}
+
+/**
+ * 増減額を符号付きでフォーマットする
+ * @param {number} diff - 増減額
+ * @returns {string} フォーマットされた増減額（例: +¥1,000）
+ */
+function formatSignedAmount(diff) {
+    if (diff === 0) {
+        return formatAmount(0);
+    }
+    return `${diff > 0 ? '+' : '−'}${formatAmount(Math.abs(diff))}`;
+}
+
+/**
+ * 増減率をフォーマットする
+ * @param {Object} row - compareCategoryStatsの行
+ * @returns {string} フォーマットされた増減率（例: +12.5%）
+ */
+function formatChangeRate(row) {
+    if (row.changeRate === null) {
+        return row.current > 0 ? '新規' : '-';
+    }
+    const percent = Math.round(row.changeRate * 1000) / 10;
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+/**
+ * 期間比較の結果を表示する
+ * 日付以外のフィルタ条件（カテゴリ・金額・メモ）は支出一覧と同じものを適用する
+ */
+function renderComparison() {
+    const { unit, key } = comparePeriod;
+    const baseKey = getCompareBaseKey();
+    const expenses = loadExpenses();
+    const filtersFor = periodKey => {
+        const range = getPeriodRange(periodKey, unit);
+        return { ...getFilterConditions(), dateFrom: range.start, dateTo: range.end, type: 'expense' };
+    };
+    const { rows, total } = compareCategoryStats(
+        filterExpenses(expenses, filtersFor(key)),
+        filterExpenses(expenses, filtersFor(baseKey))
+    );
+    
+    const currentTitle = formatPeriodTitle(key, unit);
+    const baseTitle = formatPeriodTitle(baseKey, unit);
+    document.getElementById('comparePeriodLabel').textContent = currentTitle;
+    document.getElementById('compareCurrentHeader').textContent = currentTitle;
+    document.getElementById('compareBaseHeader').textContent = baseTitle;
+    
+    const changeClass = diff => (diff > 0 ? 'change--up' : diff < 0 ? 'change--down' : '');
+    const renderRow = (row, className = '') => `
+        <tr class="${className}">
+            <td>${escapeHtml(row.category)}</td>
+            <td class="amount-cell">${formatAmount(row.base)}</td>
+            <td class="amount-cell">${formatAmount(row.current)}</td>
+            <td class="${changeClass(row.diff)}">${formatSignedAmount(row.diff)}</td>
+            <td class="${changeClass(row.diff)}">${formatChangeRate(row)}</td>
+        </tr>
+    `;
+    document.getElementById('compareTableBody').innerHTML = rows.length > 0
+        ? rows.map(row => renderRow(row)).join('') + renderRow(total, 'compare-table__total')
+        : '<tr><td colspan="5" class="empty-message">データがありません</td></tr>';
+    
+    // 増加額の大きいカテゴリ（上位3件）
+    const growing = rows.filter(row => row.diff > 0).slice(0, 3);
+    document.getElementById('compareHighlights').innerHTML = growing.length > 0
+        ? `増加が大きいカテゴリ: ${growing.map(row => 
+            `<strong>${escapeHtml(row.category)}</strong>（${formatSignedAmount(row.diff)}）`
+          ).join('、')}`
+        : '増加したカテゴリはありません。';
+}
+
+// ========================================
+// 設定画面
+// ========================================
+
+/**
+ * 設定モーダルを開く
+ */
+function openSettingsModal() {
+    const settings = loadSettings();
+    
+    document.getElementById('settingDateFormat').innerHTML = DATE_FORMATS.map(format => 
+        `<option value="${format}">${format}（${formatDate('2024-01-05', format)}）</option>`
+    ).join('');
+    document.getElementById('settingLocale').innerHTML = Object.entries(LOCALES).map(([locale, label]) => 
+        `<option value="${locale}">${label}</option>`
+    ).join('');
+    document.getElementById('settingDefaultCategory').innerHTML = loadCategories().map(category => 
+        `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`
+    ).join('');
+    
+    document.getElementById('settingBaseCurrency').value = settings.baseCurrency;
+    document.getElementById('settingCurrency').value = settings.currency;
+    document.getElementById('settingDateFormat').value = settings.dateFormat;
+    document.getElementById('settingDefaultCategory').value = settings.defaultCategory;
+    document.getElementById('settingDefaultAccount').innerHTML = loadAccounts().map(account => 
+        `<option value="${escapeHtml(account.id)}">${escapeHtml(account.name)}</option>`
+    ).join('');
+    document.getElementById('settingDefaultAccount').value = settings.defaultAccountId;
+    document.getElementById('settingWeekStart').value = String(settings.weekStart);
+    document.getElementById('settingLocale').value = settings.locale;
+    document.getElementById('settingTrashRetentionDays').value = settings.trashRetentionDays;
+    document.getElementById('settingShowRunningBalance').checked = settings.showRunningBalance;
+    const syncConfig = loadSyncConfig();
+    document.getElementById('syncEndpoint').value = syncConfig.endpoint;
+    document.getElementById('syncSecret').value = syncConfig.secret;
+    document.getElementById('exchangeRateForm').reset();
+    document.getElementById('exchangeRateFormError').classList.remove('show');
+    renderExchangeRateList();
+    openModal('settingsModal');
+}
+
+/**
+ * 設定の変更を保存し、画面に即座に反映する
+ * @param {Event} event - changeイベント
+ */
+function handleSettingsChange(event) {
+    const baseCurrency = document.getElementById('settingBaseCurrency').value;
+    // 基準通貨を変更した場合は通貨記号も合わせて切り替える
+    if (event && event.target.id === 'settingBaseCurrency') {
+        const currentBaseCurrency = loadSettings().baseCurrency;
+        if (baseCurrency !== currentBaseCurrency && !canChangeBaseCurrency()) {
+            alert('為替レートや記録が登録されているため、基準通貨は変更できません。\n' +
+                '登録済みのレートや基準通貨で保存した金額（口座の初期残高・振替・精算・予算）は変更後の通貨に換算されません。');
+            event.target.value = currentBaseCurrency;
+            return;
+        }
+        document.getElementById('settingCurrency').value = getCurrencyInfo(baseCurrency).symbol;
+    }
+    const currency = document.getElementById('settingCurrency').value.trim();
+    // 週の開始曜日が変わっても同じ週を表示し続けるよう、変更前の期間の開始日を控えておく
+    const periodStart = getPeriodRange(selectedPeriod.key, selectedPeriod.unit).start;
+    
+    saveSettings({
+        ...loadSettings(),
+        baseCurrency,
+        currency: currency || DEFAULT_SETTINGS.currency,
+        dateFormat: document.getElementById('settingDateFormat').value,
+        defaultCategory: document.getElementById('settingDefaultCategory').value,
+        defaultAccountId: document.getElementById('settingDefaultAccount').value,
+        weekStart: Number(document.getElementById('settingWeekStart').value),
+        locale: document.getElementById('settingLocale').value,
+        trashRetentionDays: Math.min(365, Math.max(1, 
+            parseInt(document.getElementById('settingTrashRetentionDays').value, 10) || DEFAULT_SETTINGS.trashRetentionDays
+        )),
+        showRunningBalance: document.getElementById('settingShowRunningBalance').checked
+    });
+    
+    selectedPeriod.key = getPeriodKey(periodStart, selectedPeriod.unit);
+    renderExchangeRateList();
+    refreshUI();
+}
+
+/**
+ * 為替レート表を描画する
+ */
+function renderExchangeRateList() {
+    const settings = loadSettings();
+    const listElement = document.getElementById('exchangeRateList');
+    const rates = [...settings.exchangeRates].sort((a, b) => 
+        a.currency.localeCompare(b.currency) || (b.from || '').localeCompare(a.from || '')
+    );
+    
+    if (rates.length === 0) {
+        listElement.innerHTML = '<li class="form-hint">為替レートは登録されていません。</li>';
+        return;
+    }
+    
+    listElement.innerHTML = rates.map(rate => `
+        <li class="exchange-rate-item${rate.currency === settings.baseCurrency ? ' exchange-rate-item--unused' : ''}">
+            <span>
+                <strong>${formatAmount(1, rate.currency)} = ${settings.currency}${rate.rate.toLocaleString(settings.locale, { maximumFractionDigits: 6 })}</strong>
+                <span class="exchange-rate-item__period">
+                    ${rate.from ? formatDate(rate.from) : ''}〜${rate.to ? formatDate(rate.to) : ''}
+                </span>
+            </span>
+            <button type="button" class="btn btn--danger btn--small" data-id="${rate.id}">削除</button>
+        </li>
+    `).join('');
+}
+
+/**
+ * 為替レートの追加フォーム送信処理
+ * @param {Event} event - submitイベント
+ */
+function handleExchangeRateSubmit(event) {
+    event.preventDefault();
+    
+    const result = addExchangeRate({
+        currency: document.getElementById('rateCurrency').value,
+        rate: document.getElementById('rateValue').value,
+        from: document.getElementById('rateFrom').value,
+        to: document.getElementById('rateTo').value
+    });
+    const errorElement = document.getElementById('exchangeRateFormError');
+    
+    if (!result.valid) {
+        errorElement.textContent = result.errors.join('\n');
+        errorElement.classList.add('show');
+        return;
+    }
+    
+    errorElement.classList.remove('show');
+    document.getElementById('rateValue').value = '';
+    renderExchangeRateList();
+    refreshUI();
+}
+
+/**
+ * 為替レート表のクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleExchangeRateListClick(event) {
+    const button = event.target.closest('button[data-id]');
+    if (!button) return;
+    
+    deleteExchangeRate(button.dataset.id);
+    renderExchangeRateList();
+    refreshUI();
+}
+
+// ========================================
+// 同期画面
+// ========================================
+
+let syncInProgress = false; // 同期処理の実行中はtrue
+let queuedSync = null; // オフライン中に要求され、再接続時に実行する同期のオプション
+
+/**
+ * ヘッダーの同期状態の表示を更新する
+ * @param {string} status - 'unconfigured', 'idle', 'syncing', 'retrying', 'offline', 'error'
+ * @param {string|number} [detail] - 再試行回数またはエラーメッセージ
+ */
+function renderSyncStatus(status, detail = '') {
+    const element = document.getElementById('syncStatus');
+    const { lastSyncAt } = loadSyncState();
+    const lastSyncDate = new Date(lastSyncAt);
+    const lastSyncText = `${formatDate(toDateString(lastSyncDate))} ` +
+        `${String(lastSyncDate.getHours()).padStart(2, '0')}:${String(lastSyncDate.getMinutes()).padStart(2, '0')}`;
+    const labels = {
+        unconfigured: '未設定',
+        idle: lastSyncAt ? `最終同期 ${lastSyncText}` : '未同期',
+        syncing: '同期中…',
+        retrying: `再試行中（${detail}/${SYNC_MAX_RETRIES}）`,
+        offline: 'オフライン（接続後に同期）',
+        error: '同期エラー'
+    };
+    element.dataset.status = status;
+    element.textContent = labels[status];
+    element.title = status === 'error' ? detail : '';
+}
+
+/**
+ * 同期の設定状況に応じて同期状態の表示を更新する
+ */
+function updateSyncStatus() {
+    renderSyncStatus(loadSyncConfig().endpoint ? 'idle' : 'unconfigured');
+}
+
+/**
+ * 同期を再接続時まで保留する
+ * 保留中に再度要求された場合は、トーストを表示する要求を優先する
+ * @param {Object} options - handleSyncのオプション
+ */
+function queueSync(options) {
+    queuedSync = queuedSync && !queuedSync.silent ? queuedSync : options;
+    renderSyncStatus('offline');
+}
+
+/**
+ * 再接続時に保留していた同期を実行する
+ */
+function handleOnline() {
+    if (!queuedSync) return;
+    const options = queuedSync;
+    queuedSync = null;
+    handleSync(options);
+}
+
+/**
+ * 同期を実行し、結果を表示する
+ * 同期先が未設定の場合は設定画面を開き、オフラインの場合は再接続時まで保留する
+ * @param {Object} [options] - { silent: trueの場合は成功時にトーストを表示しない }
+ */
+async function handleSync(options = {}) {
+    if (syncInProgress) return;
+    if (!loadSyncConfig().endpoint) {
+        if (!options.silent) {
+            openSettingsModal();
+            document.getElementById('syncEndpoint').focus();
+        }
+        return;
+    }
+    if (!navigator.onLine) {
+        queueSync(options);
+        return;
+    }
+    
+    syncInProgress = true;
+    renderSyncStatus('syncing');
+    try {
+        const result = await syncExpenses(attempt => renderSyncStatus('retrying', attempt));
+        if (result.received > 0) {
+            populateCategories();
+            refreshUI();
+        }
+        updateSyncStatus();
+        if (!options.silent) {
+            showToast(`同期しました（送信 ${result.sent}件・受信 ${result.received}件）`);
+        }
+    } catch (error) {
+        // 同期中に接続が切れた場合は、エラーにせず再接続時に同期し直す
+        if (error.retryable && !navigator.onLine) {
+            queueSync(options);
+            return;
+        }
+        console.error('同期に失敗しました:', error);
+        renderSyncStatus('error', error.message);
+        showToast(`同期に失敗しました: ${error.message}`);
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+/**
+ * 同期先の設定を保存する
+ * 同期先が変わった場合は、次回の同期で新しい同期先にすべての支出を送信する
+ */
+function handleSyncConfigChange() {
+    const previous = loadSyncConfig();
+    const endpoint = document.getElementById('syncEndpoint').value.trim();
+    
+    saveSyncConfig({ endpoint, secret: document.getElementById('syncSecret').value });
+    if (endpoint !== previous.endpoint) {
+        saveSyncState({ ...loadSyncState(), cursor: 0, lastSyncAt: 0, fullPushRequired: false });
+        saveTombstones([]);
+    }
+    updateSyncStatus();
+}
+
+// ========================================
+// オフライン対応（Service Worker）
+// ========================================
+
+let waitingWorker = null; // 有効化を待っている新しいバージョンのService Worker
+let updateRequested = false; // 「更新する」が選ばれ、新しいバージョンへの切り替えを待っている場合true
+
+/**
+ * Service Workerを登録し、新しいバージョンの検出時に通知を表示する
+ * file:// で開いた場合など、Service Workerを利用できない環境では何もしない
+ */
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+        console.error('Service Workerの登録に失敗しました:', error);
+        return;
+    }
+    
+    // 前回の起動時に見つかり、待機したままの新しいバージョン
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            // 初回のインストール時（まだ制御されていない状態）は通知しない
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateRequested) {
+            window.location.reload();
+        }
+    });
+}
+
+/**
+ * 新しいバージョンの通知を表示する
+ * @param {ServiceWorker} worker - 待機中の新しいService Worker
+ */
+function showUpdatePrompt(worker) {
+    const prompt = document.getElementById('updatePrompt');
+    waitingWorker = worker;
+    prompt.setAttribute('aria-hidden', 'false');
+    prompt.classList.add('show');
+}
+
+/**
+ * 新しいバージョンの通知を閉じる（次回の起動時に再度通知する）
+ */
+function hideUpdatePrompt() {
+    const prompt = document.getElementById('updatePrompt');
+    prompt.setAttribute('aria-hidden', 'true');
+    prompt.classList.remove('show');
+}
+
+/**
+ * 新しいバージョンに切り替える（切り替わったら画面を再読み込みする）
+ */
+function handleApplyUpdate() {
+    if (!waitingWorker) return;
+    updateRequested = true;
+    hideUpdatePrompt();
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+// ========================================
+// 元に戻す・ゴミ箱画面
+// ========================================
+
+let toastTimerId = null; // トーストを自動で閉じるタイマー
+let toastAction = null; // トーストのボタンで実行する処理
+
+/**
+ * トーストを表示する
+ * @param {string} message - 表示するメッセージ
+ * @param {Object} [action] - ボタンの表示名と処理 { label, handler }
+ */
+function showToast(message, action = null) {
+    const actionButton = document.getElementById('toastActionBtn');
+    document.getElementById('toastMessage').textContent = message;
+    actionButton.textContent = action ? action.label : '';
+    actionButton.style.display = action ? 'inline-block' : 'none';
+    toastAction = action ? action.handler : null;
+    
+    document.getElementById('toast').classList.add('show');
+    clearTimeout(toastTimerId);
+    toastTimerId = setTimeout(hideToast, TOAST_DURATION);
+}
+
+/**
+ * トーストを閉じる
+ */
+function hideToast() {
+    document.getElementById('toast').classList.remove('show');
+    toastAction = null;
+}
+
+/**
+ * トーストのボタンのクリック処理
+ */
+function handleToastAction() {
+    const action = toastAction;
+    hideToast();
+    if (action) {
+        action();
+    }
+}
+
+/**
+ * 操作の対象となった支出の説明文を生成する
+ * @param {Object} operation - 操作履歴の項目
+ * @returns {string} 説明文
+ */
+function describeOperation(operation) {
+    const expense = operation.after || operation.before;
+    return `${formatDate(expense.date)} ${expense.category} ${formatAmount(expense.amount, getExpenseCurrency(expense))}`;
+}
+
+/**
+ * 支出の操作結果を「元に戻す」ボタン付きのトーストで表示する
+ * @param {string} message - 表示するメッセージ
+ */
+function showOperationToast(message) {
+    showToast(message, { label: '元に戻す', handler: handleUndo });
+}
+
+/**
+ * 直前の操作を元に戻し、結果を表示する
+ */
+function handleUndo() {
+    const operation = undoOperation();
+    if (!operation) {
+        showToast('元に戻す操作はありません。');
+        return;
+    }
+    refreshUI();
+    showToast(
+        `${OPERATION_LABELS[operation.type]}を取り消しました（${describeOperation(operation)}）`,
+        { label: 'やり直す', handler: handleRedo }
+    );
+}
+
+/**
+ * 元に戻した操作をやり直し、結果を表示する
+ */
+function handleRedo() {
+    const operation = redoOperation();
+    if (!operation) {
+        showToast('やり直す操作はありません。');
+        return;
+    }
+    refreshUI();
+    showOperationToast(`${OPERATION_LABELS[operation.type]}をやり直しました（${describeOperation(operation)}）`);
+}
+
+/**
+ * 元に戻す（Ctrl+Z）・やり直す（Ctrl+Shift+Z / Ctrl+Y）のショートカット処理
+ * 入力欄ではブラウザ標準の取り消しを優先し、モーダル表示中は何もしない
+ * @param {KeyboardEvent} event - キーボードイベント
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const key = event.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    
+    const target = event.target;
+    if ((target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) ||
+        document.querySelector('.modal[aria-hidden="false"]')) {
+        return;
+    }
+    
+    event.preventDefault();
+    if (key === 'y' || event.shiftKey) {
+        handleRedo();
+    } else {
+        handleUndo();
+    }
+}
+
+/**
+ * ゴミ箱モーダルを開く
+ */
+function openTrashModal() {
+    renderTrashList();
+    openModal('trashModal');
+}
+
+/**
+ * ゴミ箱の支出一覧を描画する（削除日時の新しい順）
+ */
+function renderTrashList() {
+    const trash = loadTrash().sort((a, b) => b.deletedAt - a.deletedAt);
+    const listElement = document.getElementById('trashList');
+    
+    document.getElementById('trashRetentionHint').textContent = 
+        `削除から${loadSettings().trashRetentionDays}日が経過した支出は自動的に完全削除されます。`;
+    document.getElementById('emptyTrashBtn').disabled = trash.length === 0;
+    
+    if (trash.length === 0) {
+        listElement.innerHTML = '<li class="form-hint">ゴミ箱は空です。</li>';
+        return;
+    }
+    
+    const categoryStyles = loadCategoryStyles();
+    listElement.innerHTML = trash.map(item => {
+        const daysLeft = Math.max(0, Math.ceil((getTrashExpiry(item) - Date.now()) / DAY_MS));
+        return `
+            <li class="trash-item">
+                <div class="trash-item__info">
+                    <div>
+                        ${formatDate(item.date)}
+                        ${renderCategoryBadge(item.category, categoryStyles)}
+                        <strong>${renderExpenseAmount(item)}</strong>
+                        ${item.memo ? escapeHtml(item.memo) : ''}
+                    </div>
+                    <div class="trash-item__meta">
+                        ${formatDate(toDateString(new Date(item.deletedAt)))}に削除・あと${daysLeft}日で完全削除
+                    </div>
+                </div>
+                <div class="action-buttons">
+                    <button type="button" class="btn btn--primary btn--small" data-action="restore" data-id="${escapeHtml(item.id)}">復元</button>
+                    <button type="button" class="btn btn--danger btn--small" data-action="purge" data-id="${escapeHtml(item.id)}">完全に削除</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * ゴミ箱の一覧のクリック処理（イベントデリゲーション）
+ * @param {Event} event - クリックイベント
+ */
+function handleTrashListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const id = button.dataset.id;
+    if (button.dataset.action === 'restore') {
+        if (!restoreFromTrash(id)) {
+            alert('支出が見つかりませんでした。');
+        }
+        refreshUI();
+    } else if (button.dataset.action === 'purge') {
+        if (!confirm('この支出を完全に削除します。元に戻すことはできません。よろしいですか？')) {
+            return;
+        }
+        purgeTrash([id]);
+    }
+    renderTrashList();
+}
+
+/**
+ * ゴミ箱を空にする
+ */
+function handleEmptyTrash() {
+    const trash = loadTrash();
+    if (trash.length === 0 ||
+        !confirm(`ゴミ箱の${trash.length}件の支出を完全に削除します。元に戻すことはできません。よろしいですか？`)) {
+        return;
+    }
+    purgeTrash(trash.map(item => item.id));
+    renderTrashList();
+}
+
+// ========================================
+// データエクスポート・インポート機能
+// ========================================
+
+/**
+ * データをエクスポートする（JSON形式）
+ * 「レシートを含める」を選択した場合は、添付ファイルをデータURLにして同じファイルにまとめる
+ */
+async function exportData() {
+    const expenses = loadExpenses();
+    const categories = loadCategories();
+    const incomeCategories = loadIncomeCategories();
+    const settings = loadSettings();
+    const budgets = loadBudgets();
+    const recurring = loadRecurringTemplates();
+    const categoryStyles = loadCategoryStyles();
+    const accounts = loadAccounts();
+    const transfers = loadTransfers();
+    const people = loadPeople();
+    const settlements = loadSettlements();
+    const rules = loadRules();
+    
+    const data = {
+        expenses,
+        categories,
+        incomeCategories,
+        categoryStyles,
+        settings,
+        budgets,
+        recurring,
+        accounts,
+        transfers,
+        people,
+        settlements,
+        rules,
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: new Date().toISOString()
+    };
+    // クリックのイベントから呼ばれるため、レシートの読み込みなどの失敗はここで知らせる
+    try {
+        if (document.getElementById('exportIncludeAttachments').checked && isAttachmentStoreAvailable()) {
+            data.attachments = await exportAttachments();
+        }
+        
+        const json = JSON.stringify(data, null, 2);
+        downloadFile(json, `expense-tracker-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    } catch (error) {
+        console.error('データのエクスポートに失敗しました:', error);
+        alert('データのエクスポートに失敗しました。レシートを含めている場合は、含めずにもう一度お試しください。');
+    }
+}
+
+/**
+ * 文字列をファイルとしてダウンロードさせる
+ * @param {string} content - ファイルの内容
+ * @param {string} fileName - ファイル名
+ * @param {string} mimeType - MIMEタイプ
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * CSVの値をエスケープする（カンマ・改行・ダブルクォートを含む場合はクォートで囲む）
+ * @param {*} value - 値
+ * @returns {string} エスケープされた値
+ */
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 支出データをCSV文字列に変換する
  * @param {Array} expenses - 支出データの配列
- * @returns {number} 合計金額
+ * @returns {string} CSV文字列（CRLF区切り）
+ */
+function expensesToCsv(expenses) {
+    const header = ['日付', 'カテゴリ', '金額', '通貨', 'メモ', '種別', '口座'];
+    const accounts = loadAccounts();
+    const rows = expenses.map(expense => [
+        expense.date,
+        expense.category,
+        expense.amount,
+        getExpenseCurrency(expense),
+        expense.memo,
+        ENTRY_TYPES[getEntryType(expense)],
+        getAccountName(getEntryAccountId(expense), accounts)
+    ]);
+    return [header, ...rows]
+        .map(row => row.map(escapeCsvValue).join(','))
+        .join('\r\n');
+}
+
+/**
+ * 表示中の支出一覧（フィルタ・並び順を適用済み）をCSV形式でエクスポートする
+ * Excelで文字化けしないようにUTF-8のBOMを付与する
+ */
+function exportCsv() {
+    const csv = expensesToCsv(getDisplayedExpenses());
+    downloadFile(`\uFEFF${csv}`, `expense-tracker-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8');
+}
+
+/**
+ * CSV文字列を行・列の二次元配列に変換する
+ * @param {string} text - CSV文字列
+ * @returns {Array<Array<string>>} 行の配列（空行は除外）
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    row.push(value);
+    rows.push(row);
+    
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * 指定した形式の日付文字列をYYYY-MM-DD形式に変換する
+ * @param {string} value - 日付文字列
+ * @param {string} format - 日付形式（CSV_DATE_FORMATSのいずれか）
+ * @returns {string|null} YYYY-MM-DD形式の日付、解釈できない場合はnull
+ */
+function parseDateWithFormat(value, format) {
+    const text = (value || '').trim();
+    let parts = null;
+    
+    if (format === 'YYYYMMDD') {
+        const match = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+        parts = match ? [match[1], match[2], match[3]] : null;
+    } else {
+        const numbers = text.split(/[-/.]/);
+        if (numbers.length === 3) {
+            if (format === 'MM/DD/YYYY') {
+                parts = [numbers[2], numbers[0], numbers[1]];
+            } else if (format === 'DD/MM/YYYY') {
+                parts = [numbers[2], numbers[1], numbers[0]];
+            } else {
+                parts = numbers;
+            }
+        }
+    }
+    if (!parts) {
+        return null;
+    }
+    
+    const [year, month, day] = parts.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (String(year).length !== 4 || date.getFullYear() !== year || 
+        date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return toDateString(date);
+}
+
+/**
+ * 金額の文字列を数値に変換する（通貨記号・円・桁区切りを除去）
+ * @param {string} value - 金額文字列
+ * @returns {number} 金額、解釈できない場合はNaN
+ */
+function parseAmountValue(value) {
+    const text = (value || '').replace(/[¥￥円,\s]/g, '');
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * ヘッダー行から各項目の列を推測する
+ * @param {Array<string>} header - ヘッダー行
+ * @returns {Object} { date, amount, category, memo } 列番号（見つからない場合は-1）
+ */
+function guessCsvMapping(header) {
+    const mapping = {};
+    Object.entries(CSV_COLUMN_KEYWORDS).forEach(([field, keywords]) => {
+        mapping[field] = header.findIndex(cell => 
+            keywords.some(keyword => cell.trim().toLowerCase().includes(keyword.toLowerCase()))
+        );
+    });
+    return mapping;
+}
+
+/**
+ * CSVの種別の値（「支出」「収入」または'expense'・'income'）を種別に変換する
+ * @param {string} value - 種別の値（空欄は支出とみなす）
+ * @returns {string|null} 'expense' | 'income'、解釈できない場合はnull
+ */
+function parseCsvEntryType(value) {
+    if (!value) {
+        return 'expense';
+    }
+    const type = Object.keys(ENTRY_TYPES).find(key => key === value.toLowerCase() || ENTRY_TYPES[key] === value);
+    return type || null;
+}
+
+/**
+ * CSVの行を列の対応付けに従って支出データに変換する
+ * 種別・口座・通貨の列はエクスポートしたCSVと同じ形式（種別名・口座名・通貨コード）で読み込む
+ * @param {Array<Array<string>>} rows - CSVの行（ヘッダーを除く）
+ * @param {Object} mapping - { date, amount, category, memo, type, account, currency, dateFormat, defaultCategory, rules }
+ *   type・account・currencyは省略可（省略時は支出・デフォルトの口座・基準通貨）
+ *   rulesを指定した場合は、変換した支出に自動分類ルール（compileRulesの結果）を適用する
+ * @returns {Array<Object>} { data, errors } の配列
+ */
+function mapCsvRows(rows, mapping) {
+    const cell = (row, index) => (index >= 0 && row[index] !== undefined ? row[index].trim() : '');
+    const settings = loadSettings();
+    const accounts = loadAccounts();
+    
+    return rows.map(row => {
+        const rawDate = cell(row, mapping.date);
+        const rawType = cell(row, mapping.type);
+        const rawAccount = cell(row, mapping.account);
+        const rawCurrency = cell(row, mapping.currency).toUpperCase();
+        const type = parseCsvEntryType(rawType) || 'expense';
+        const account = rawAccount ? accounts.find(item => item.name === rawAccount) : null;
+        // カテゴリが空欄の場合、支出はデフォルトカテゴリとし、収入は未選択のままとする
+        const mapped = {
+            type,
+            date: parseDateWithFormat(rawDate, mapping.dateFormat),
+            category: cell(row, mapping.category) || (type === 'expense' ? mapping.defaultCategory : ''),
+            accountId: account ? account.id : settings.defaultAccountId,
+            amount: parseAmountValue(cell(row, mapping.amount)),
+            currency: CURRENCIES[rawCurrency] ? rawCurrency : settings.baseCurrency,
+            memo: cell(row, mapping.memo),
+            tags: []
+        };
+        const data = mapping.rules ? applyRules(mapped, mapping.rules) : mapped;
+        // 日付が入力済みで解釈できない場合は、必須エラーではなく形式エラーとする
+        const errors = validateForm({ ...data, date: data.date || rawDate }).errors;
+        if (rawDate && !data.date) {
+            errors.unshift(`日付「${rawDate}」を解釈できません。`);
+        }
+        if (!parseCsvEntryType(rawType)) {
+            errors.unshift(`種別「${rawType}」を解釈できません。`);
+        }
+        if (rawAccount && !account) {
+            errors.push(`口座「${rawAccount}」は登録されていません。`);
+        }
+        if (rawCurrency && !CURRENCIES[rawCurrency]) {
+            errors.push(`通貨「${rawCurrency}」には対応していません。`);
+        }
+        // 未登録のカテゴリは取り込み時に追加するが、もう一方の種別のカテゴリは使えない
+        const otherType = type === 'expense' ? 'income' : 'expense';
+        if (data.category && !loadCategoriesByType(type).includes(data.category) &&
+            loadCategoriesByType(otherType).includes(data.category)) {
+            errors.push(`「${data.category}」は${ENTRY_TYPES[type]}のカテゴリではありません。`);
+        }
+        return { data, errors };
+    });
+}
+
+// ========================================
+// 明細インポート機能
+// ========================================
+
+/**
+ * ファイルの内容を文字列に変換する
+ * 自動判定ではUTF-8として読めない場合にShift_JISとして読む（国内の銀行・カード会社の明細に多いため）
+ * @param {ArrayBuffer} buffer - ファイルの内容
+ * @param {string} [encoding] - 文字コード（'auto' | 'utf-8' | 'shift_jis'）
+ * @returns {string} 文字列（BOMは除く）
+ */
+function decodeText(buffer, encoding = 'auto') {
+    if (encoding !== 'auto') {
+        return new TextDecoder(encoding).decode(buffer);
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('shift_jis').decode(buffer);
+    }
+}
+
+/**
+ * 明細の日付（年が先頭の形式）をYYYY-MM-DD形式に変換する
+ * @param {string} value - 日付文字列（2024/01/05、2024-1-5、20240105など）
+ * @returns {string|null} YYYY-MM-DD形式の日付、解釈できない場合はnull
+ */
+function parseStatementDate(value) {
+    return parseDateWithFormat(value, 'YYYY/MM/DD') || parseDateWithFormat(value, 'YYYYMMDD');
+}
+
+/**
+ * OFX（QFX）の要素の値を取得する
+ * SGML形式（OFX 1.x、終了タグなし）とXML形式（OFX 2.x）の両方に対応する
+ * @param {string} text - OFXの文字列
+ * @param {string} tag - 要素名
+ * @returns {string} 値（要素がない場合は空文字列）
+ */
+function getOfxValue(text, tag) {
+    const match = text.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) {
+        return '';
+    }
+    return match[1].trim()
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * OFX（QFX）形式の明細を解析する
+ * @param {string} text - OFXの文字列
+ * @returns {Object|null} { transactions, currency }、OFXでない場合はnull
+ *   transactionsは { date, rawDate, amount, memo } の配列（amountは出金が負の数）
+ */
+function parseOfx(text) {
+    const start = text.search(/<OFX>/i);
+    if (start === -1) {
+        return null;
+    }
+    const body = text.slice(start);
+    const transactions = body.split(/<STMTTRN>/i).slice(1).map(block => {
+        const transaction = block.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+        const rawDate = getOfxValue(transaction, 'DTPOSTED');
+        const rawAmount = getOfxValue(transaction, 'TRNAMT');
+        const name = getOfxValue(transaction, 'NAME');
+        const memo = getOfxValue(transaction, 'MEMO');
+        return {
+            date: parseStatementDate(rawDate.slice(0, 8)),
+            rawDate,
+            // 小数点にカンマを使うファイルにも対応する
+            amount: parseAmountValue(rawAmount.includes('.') ? rawAmount : rawAmount.replace(',', '.')),
+            memo: [name, memo].filter((value, index, values) => value && values.indexOf(value) === index).join(' ')
+        };
+    });
+    return {
+        transactions,
+        currency: getOfxValue(body, 'CURDEF').toUpperCase()
+    };
+}
+
+/**
+ * QIFの日付をYYYY-MM-DD形式に変換する
+ * 年が先頭でない場合は月/日/年（米国式）とみなし、2桁の年は2000年代とする
+ * @param {string} value - 日付文字列（01/05/2024、1/5'24、2024-01-05など）
+ * @returns {string|null} YYYY-MM-DD形式の日付、解釈できない場合はnull
+ */
+function parseQifDate(value) {
+    const text = (value || '').replace(/'/g, '/').replace(/\s/g, '');
+    if (/^\d{4}[-/.]/.test(text)) {
+        return parseStatementDate(text);
+    }
+    const numbers = text.split(/[-/.]/);
+    if (numbers.length !== 3) {
+        return null;
+    }
+    const year = numbers[2].length <= 2 ? String(2000 + Number(numbers[2])) : numbers[2];
+    return parseDateWithFormat(`${year}/${numbers[0]}/${numbers[1]}`, 'YYYY/MM/DD');
+}
+
+/**
+ * QIF形式の明細を解析する
+ * 銀行・現金・クレジットカードなどの取引のみを読み、口座・カテゴリの一覧や投資の取引は読み飛ばす
+ * @param {string} text - QIFの文字列
+ * @returns {Object|null} { transactions, currency }、QIFでない場合はnull
+ *   transactionsは { date, rawDate, amount, memo, category } の配列（amountは出金が負の数）
+ */
+function parseQif(text) {
+    if (!/^\s*!(Type|Account|Option)/i.test(text)) {
+        return null;
+    }
+    
+    const transactions = [];
+    let collecting = false;
+    let record = {};
+    text.split(/\r?\n/).forEach(line => {
+        const code = line.charAt(0);
+        const value = line.slice(1).trim();
+        if (code === '!') {
+            collecting = /^!Type:(Bank|Cash|CCard|Oth A|Oth L)\s*$/i.test(line.trim());
+            record = {};
+        } else if (!collecting) {
+            return;
+        } else if (code === '^') {
+            if (record.D !== undefined || record.T !== undefined) {
+                transactions.push({
+                    date: parseQifDate(record.D),
+                    rawDate: record.D || '',
+                    amount: parseAmountValue(record.T),
+                    memo: [record.P, record.M].filter(Boolean).join(' '),
+                    // 「食費:外食」のようなサブカテゴリは親カテゴリを使う
+                    category: (record.L || '').split(':')[0]
+                });
+            }
+            record = {};
+        } else if (code === 'U') {
+            // 金額はTとU（同じ値）のどちらかがあればよい
+            record.T = record.T !== undefined ? record.T : value;
+        } else if ('DTPML'.includes(code) && code !== '') {
+            record[code] = value;
+        }
+    });
+    return { transactions, currency: '' };
+}
+
+/**
+ * CSVの行から、カード会社の明細の形式を判定する（ヘッダーのある形式のみ）
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @returns {string|null} CARD_CSV_PRESETSのキー、判定できない場合はnull
+ */
+function detectCardCsvPreset(rows) {
+    const presetId = Object.keys(CARD_CSV_PRESETS).find(id => findCardCsvHeader(rows, CARD_CSV_PRESETS[id]) !== null);
+    return presetId || null;
+}
+
+/**
+ * カード会社の明細のヘッダー行を探し、各項目の列番号を求める
+ * 明細の前に会員情報などの行がある形式に対応するため、先頭から数行を探す
+ * @param {Array<Array<string>>} rows - CSVの行
+ * @param {Object} preset - CARD_CSV_PRESETSの値
+ * @returns {Object|null} { index: ヘッダー行の番号, columns: { date, memo, amount } }、見つからない場合はnull
+ */
+function findCardCsvHeader(rows, preset) {
+    const labels = Object.values(preset.columns);
+    if (labels.every(label => typeof label === 'number')) {
+        return null;
+    }
+    for (let index = 0; index < Math.min(rows.length, CARD_CSV_HEADER_SEARCH_ROWS); index++) {
+        const cells = rows[index].map(cell => cell.normalize('NFKC').trim());
+        const columns = {};
+        Object.entries(preset.columns).forEach(([field, label]) => {
+            columns[field] = cells.findIndex(cell => cell.includes(label.normalize('NFKC')));
+        });
+        if (Object.values(columns).every(column => column >= 0)) {
+            return { index, columns };
+        }
+    }
+    return null;
+}
+
+/**
+ * カード会社のCSV明細を解析する
+ * 日付を解釈できない行（会員情報・合計などの行）は読み飛ばす
+ * @param {string} text - CSVの文字列
+ * @param {string} presetId - CARD_CSV_PRESETSのキー
+ * @returns {Object|null} { transactions, currency }、形式が一致しない場合はnull
+ *   transactionsは { date, rawDate, amount, memo } の配列（利用額は負の数、返金は正の数にする）
  */
-function calculateMonthlyTotal(expenses) {
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
+function parseCardCsv(text, presetId) {
+    const preset = CARD_CSV_PRESETS[presetId];
+    const rows = parseCsv(text);
+    let columns = preset.columns;
+    let dataRows = rows;
+    if (!Object.values(columns).every(column => typeof column === 'number')) {
+        const header = findCardCsvHeader(rows, preset);
+        if (!header) {
+            return null;
+        }
+        columns = header.columns;
+        dataRows = rows.slice(header.index + 1);
+    }
     
-    return expenses
-        .filter(expense => {
-            const expenseDate = new Date(expense.date);
-            return expenseDate.getMonth() === currentMonth && 
-                   expenseDate.getFullYear() === currentYear;
-        })
-        .reduce((sum, expense) => sum + expense.amount, 0);
+    const cell = (row, index) => (row[index] || '').trim();
+    const transactions = dataRows
+        .filter(row => parseStatementDate(cell(row, columns.date)))
+        .map(row => ({
+            date: parseStatementDate(cell(row, columns.date)),
+            rawDate: cell(row, columns.date),
+            amount: -parseAmountValue(cell(row, columns.amount)),
+            memo: cell(row, columns.memo)
+        }));
+    return { transactions, currency: '' };
 }
 
 /**
- * 今年の合計支出を計算する
- * @param {Array} expenses - 支出データの配列
- * @returns {number} 合計金額
+ * 明細ファイルの形式を判定する
+ * @param {string} fileName - ファイル名
+ * @param {string} text - ファイルの内容
+ * @returns {string|null} 'ofx' | 'qif' | CARD_CSV_PRESETSのキー、判定できない場合はnull
  */
-function calculateYearlyTotal(expenses) {
-    const currentYear = new Date().getFullYear();
-    
-    return expenses
-        .filter(expense => {
-            const expenseDate = new Date(expense.date);
-            return expenseDate.getFullYear() === currentYear;
-        })
-        .reduce((sum, expense) => sum + expense.amount, 0);
+function detectStatementFormat(fileName, text) {
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+    if (extension === 'ofx' || extension === 'qfx' || /^\s*(OFXHEADER|<\?xml[\s\S]*?<OFX>|<OFX>)/i.test(text)) {
+        return 'ofx';
+    }
+    if (extension === 'qif' || /^\s*!(Type|Account|Option)/i.test(text)) {
+        return 'qif';
+    }
+    return detectCardCsvPreset(parseCsv(text));
 }
 
 /**
- * 平均日次支出を計算する
- * @param {Array} expenses - 支出データの配列
- * @returns {number} 平均金額
+ * 明細ファイルを解析する
+ * @param {string} text - ファイルの内容
+ * @param {string} format - 'ofx' | 'qif' | CARD_CSV_PRESETSのキー
+ * @returns {Object|null} { transactions, currency }、解析できない場合はnull
  */
-function calculateAverageDaily(expenses) {
-    if (expenses.length === 0) return 0;
-    
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
-    const firstDayOfMonth = new Date(currentYear, currentMonth, 1);
-    const daysPassed = Math.ceil((now - firstDayOfMonth) / (1000 * 60 * 60 * 24));
-    
-    const monthlyTotal = calculateMonthlyTotal(expenses);
-    return daysPassed > 0 ? Math.round(monthlyTotal / daysPassed) : 0;
+function parseStatement(text, format) {
+    if (format === 'ofx') {
+        return parseOfx(text);
+    }
+    if (format === 'qif') {
+        return parseQif(text);
+    }
+    return CARD_CSV_PRESETS[format] ? parseCardCsv(text, format) : null;
 }
 
 /**
- * カテゴリ別の集計を計算する
- * @param {Array} expenses - 支出データの配列
- * @returns {Array} カテゴリ別集計データ
+ * 明細の取引と同じ記録を既存の記録から探す
+ * 種別・日付・金額・通貨が一致し、メモが一致するか一方が他方を含む記録を重複とみなす
+ * 既存の1件の記録は、明細の1件の取引にのみ対応させる（同じ日に同じ店で2回使った場合など）
+ * @param {Array} entries - 取り込む記録の配列
+ * @param {Array} expenses - 既存の記録の配列
+ * @returns {Array} 各記録に対応する既存の記録（重複がない場合はnull）の配列
  */
-function calculateCategoryStats(expenses) {
-    const categoryMap = {};
-    let total = 0;
-    
-    // カテゴリ別に合計を計算
-    expenses.forEach(expense => {
-        if (!categoryMap[expense.category]) {
-            categoryMap[expense.category] = 0;
+function findStatementDuplicates(entries, expenses) {
+    const used = new Set();
+    return entries.map(entry => {
+        const memo = normalizeMemoKey(entry.memo);
+        const duplicate = expenses.find(expense => {
+            if (used.has(expense.id) || getEntryType(expense) !== entry.type || expense.date !== entry.date ||
+                Number(expense.amount) !== entry.amount || getExpenseCurrency(expense) !== entry.currency) {
+                return false;
+            }
+            const expenseMemo = normalizeMemoKey(expense.memo);
+            return !memo || !expenseMemo || memo.includes(expenseMemo) || expenseMemo.includes(memo);
+        });
+        if (!duplicate) {
+            return null;
         }
-        categoryMap[expense.category] += expense.amount;
-        total += expense.amount;
+        used.add(duplicate.id);
+        return duplicate;
     });
-    
-    // 配列に変換してソート
-    const stats = Object.entries(categoryMap)
-        .map(([category, amount]) => ({
-            category,
-            amount,
-            percentage: total > 0 ? Math.round((amount / total) * 100) : 0
-        }))
-        .sort((a, b) => b.amount - a.amount);
-    
-    return stats;
 }
 
-// ========================================
-// DOM操作・UI更新機能
-// ========================================
-
 /**
- * カテゴリ選択肢を設定する
+ * 明細の取引から、確認待ちの記録の一覧を作成する
+ * カテゴリは自動分類ルール、明細のカテゴリ（登録済みの場合）、同じメモの過去の記録、デフォルトカテゴリの順に決める
+ * 既存の記録と重複する取引・日付を解釈できない取引・金額が0の取引は、取り込まない状態にする
+ * @param {Array} transactions - parseStatementの結果の取引の配列
+ * @param {Object} options - { currency: 明細の通貨, accountId: 口座ID }
+ * @returns {Array} { data, duplicate, include } の配列
  */
-function populateCategories() {
-    const categories = loadCategories();
-    const categorySelect = document.getElementById('expenseCategory');
-    const categoryFilter = document.getElementById('categoryFilter');
+function buildStatementQueue(transactions, options) {
+    const settings = loadSettings();
+    const currency = CURRENCIES[options.currency] ? options.currency : settings.baseCurrency;
+    const expenses = loadExpenses();
+    const compiledRules = compileRules();
+    const learned = learnMemoCategories(expenses);
     
-    // フォームのカテゴリ選択肢を更新
-    categorySelect.innerHTML = '<option value="">選択してください</option>';
-    categories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categorySelect.appendChild(option);
+    const entries = transactions.map(transaction => {
+        const type = transaction.amount < 0 ? 'expense' : 'income';
+        const categories = loadCategoriesByType(type);
+        const entry = {
+            type,
+            date: transaction.date || '',
+            category: '',
+            accountId: options.accountId,
+            amount: isNaN(transaction.amount) ? NaN : roundAmount(Math.abs(transaction.amount), currency),
+            currency,
+            memo: transaction.memo.replace(/\s+/g, ' ').trim().slice(0, 200),
+            tags: []
+        };
+        const learnedCategory = suggestCategoryFromHistory(entry.memo, type, learned);
+        entry.category = [
+            transaction.category,
+            learnedCategory ? learnedCategory.category : null,
+            type === 'expense' ? settings.defaultCategory : null
+        ].find(category => category && categories.includes(category)) || '';
+        // 一致するルールがあれば、ルールのカテゴリを優先する
+        return applyRules(entry, compiledRules);
     });
     
-    // フィルタのカテゴリ選択肢を更新
-    categoryFilter.innerHTML = '<option value="">すべて</option>';
-    categories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categoryFilter.appendChild(option);
-    });
+    const duplicates = findStatementDuplicates(entries, expenses);
+    return entries.map((data, index) => ({
+        data,
+        duplicate: duplicates[index],
+        include: !duplicates[index] && Boolean(data.date) && data.amount > 0
+    }));
 }
 
 /**
- * 統計情報を更新する
+ * データをインポートする（JSON形式）
+ * 古い形式のデータは最新の形式に変換し、既存データとの差分を表示して取り込み方法を選択させる
+ * @param {File} file - インポートするJSONファイル
  */
-function updateStatistics() {
-    const expenses = loadExpenses();
-    const monthlyTotal = calculateMonthlyTotal(expenses);
-    const yearlyTotal = calculateYearlyTotal(expenses);
-    const averageDaily = calculateAverageDaily(expenses);
-    
-    document.getElementById('monthlyTotal').textContent = formatAmount(monthlyTotal);
-    document.getElementById('yearlyTotal').textContent = formatAmount(yearlyTotal);
-    document.getElementById('averageDaily').textContent = formatAmount(averageDaily);
+function importData(file) {
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const data = JSON.parse(e.target.result);
+            if (!data || typeof data !== 'object' || (data.expenses && !Array.isArray(data.expenses)) ||
+                (data.attachments && !Array.isArray(data.attachments))) {
+                throw new Error('不正なデータ形式です');
+            }
+            // 古いバージョンのファイルは現在の形式に変換してから取り込む
+            const version = Number(data.schemaVersion) || 0;
+            if (version > SCHEMA_VERSION) {
+                alert('このファイルは新しいバージョンのアプリで作成されているため読み込めません。');
+                return;
+            }
+            openImportModal(migrateData(data, version));
+        } catch (error) {
+            console.error('インポートエラー:', error);
+            alert('ファイルの読み込みに失敗しました。正しいJSON形式のファイルを選択してください。');
+        }
+    };
+    reader.readAsText(file);
 }
 
 /**
- * 支出一覧を表示する
+ * 内容が同一かの判定に使う支出のキーを生成する（種別・日付・金額・通貨・カテゴリ・メモ・タグ）
+ * @param {Object} expense - 支出データ
+ * @returns {string} 比較用のキー
  */
-function renderExpenseList() {
-    const expenses = loadExpenses();
-    
-    // フィルタ条件を取得
-    const filters = {
-        dateFrom: document.getElementById('dateFrom').value || null,
-        dateTo: document.getElementById('dateTo').value || null,
-        category: document.getElementById('categoryFilter').value || null,
-        amountMin: document.getElementById('amountMin').value ? 
-                   parseInt(document.getElementById('amountMin').value, 10) : null,
-        amountMax: document.getElementById('amountMax').value ? 
-                   parseInt(document.getElementById('amountMax').value, 10) : null,
-        searchMemo: document.getElementById('searchMemo').value || null
-    };
-    
-    // ソート方法を取得
-    const sortBy = document.getElementById('sortBy').value;
-    
-    // フィルタリングとソートを実行
-    let filteredExpenses = filterExpenses(expenses, filters);
-    filteredExpenses = sortExpenses(filteredExpenses, sortBy);
-    
-    // テーブルボディを取得
-    const tableBody = document.getElementById('expenseTableBody');
-    const emptyMessage = document.getElementById('emptyMessage');
-    
-    // 空の場合はメッセージを表示
-    if (filteredExpenses.length === 0) {
-        tableBody.innerHTML = '';
-        emptyMessage.style.display = 'block';
-        document.getElementById('expenseCount').textContent = '0件の支出';
-        document.getElementById('filteredTotal').textContent = '合計: ¥0';
-        return;
-    }
-    
-    emptyMessage.style.display = 'none';
-    
-    // テーブル行を生成
-    tableBody.innerHTML = filteredExpenses.map(expense => {
-        return `
-            <tr>
-                <td>${formatDate(expense.date)}</td>
-                <td><span class="category-badge">${expense.category}</span></td>
-                <td class="amount-cell">${formatAmount(expense.amount)}</td>
-                <td class="memo-cell" title="${expense.memo}">${expense.memo || '-'}</td>
-                <td>
-                    <div class="action-buttons">
-                        <button class="btn btn--primary btn--small" onclick="editExpense('${expense.id}')" aria-label="編集">
-                            編集
-                        </button>
-                        <button class="btn btn--danger btn--small" onclick="confirmDeleteExpense('${expense.id}')" aria-label="削除">
-                            削除
-                        </button>
-                    </div>
-                </td>
-            </tr>
-        `;
-    }).join('');
-    
-    // 件数と合計を更新
-    const total = filteredExpenses.reduce((sum, e) => sum + e.amount, 0);
-    document.getElementById('expenseCount').textContent = `${filteredExpenses.length}件の支出`;
-    document.getElementById('filteredTotal').textContent = `合計: ${formatAmount(total)}`;
+function getExpenseSignature(expense) {
+    return [
+        getEntryType(expense),
+        expense.date,
+        Number(expense.amount),
+        getExpenseCurrency(expense),
+        expense.category,
+        expense.memo || '',
+        [...getExpenseTags(expense)].sort().join(',')
+    ].join('|');
 }
 
 /**
- * カテゴリ別統計を表示する
+ * 支出の最終更新日時を取得する
+ * @param {Object} expense - 支出データ
+ * @returns {number} 更新日時（未更新の場合は作成日時）
  */
-function renderCategoryStats() {
-    const expenses = loadExpenses();
-    
-    // フィルタ条件を取得（支出一覧と同じ条件を使用）
-    const filters = {
-        dateFrom: document.getElementById('dateFrom').value || null,
-        dateTo: document.getElementById('dateTo').value || null,
-        category: null, // カテゴリ別統計ではカテゴリフィルタは適用しない
-        amountMin: document.getElementById('amountMin').value ? 
-                   parseInt(document.getElementById('amountMin').value, 10) : null,
-        amountMax: document.getElementById('amountMax').value ? 
-                   parseInt(document.getElementById('amountMax').value, 10) : null,
-        searchMemo: document.getElementById('searchMemo').value || null
-    };
-    
-    let filteredExpenses = filterExpenses(expenses, filters);
-    const stats = calculateCategoryStats(filteredExpenses);
-    
-    const categoryStatsContainer = document.getElementById('categoryStats');
+function getExpenseTimestamp(expense) {
+    return expense.updatedAt || expense.createdAt || 0;
+}
+
+/**
+ * インポートする支出と既存の支出を照合する
+ * IDが一致するものを同一レコードとし、IDが一致しない場合は日付・金額・カテゴリ・メモで照合する
+ * @param {Array} localExpenses - 既存の支出データ
+ * @param {Array} importedExpenses - インポートする支出データ
+ * @returns {Object} { added, identical, conflicts }
+ *   conflictsは { local, imported, winner } の配列（winnerは更新日時が新しい方、同じなら'local'）
+ */
+function diffImportedExpenses(localExpenses, importedExpenses) {
+    const localById = new Map(localExpenses.map(expense => [expense.id, expense]));
+    const localSignatures = new Set(localExpenses.map(getExpenseSignature));
+    const result = { added: [], identical: [], conflicts: [] };
     
-    if (stats.length === 0) {
-        categoryStatsContainer.innerHTML = '<p style="text-align: center; color: var(--color-text-light);">データがありません</p>';
-        return;
-    }
+    importedExpenses.forEach(imported => {
+        const local = imported.id ? localById.get(imported.id) : null;
+        if (local) {
+            if (getExpenseSignature(local) === getExpenseSignature(imported)) {
+                result.identical.push(imported);
+            } else {
+                result.conflicts.push({
+                    local,
+                    imported,
+                    winner: getExpenseTimestamp(imported) > getExpenseTimestamp(local) ? 'imported' : 'local'
+                });
+            }
+        } else if (localSignatures.has(getExpenseSignature(imported))) {
+            result.identical.push(imported);
+        } else {
+            result.added.push(imported);
+        }
+    });
     
-    categoryStatsContainer.innerHTML = stats.map(stat => {
-        return `
-            <div class="category-stat-item">
-                <div class="category-stat-item__name">${stat.category}</div>
-                <div class="category-stat-item__amount">${formatAmount(stat.amount)}</div>
-                <div class="category-stat-item__percentage">${stat.percentage}%</div>
-            </div>
-        `;
-    }).join('');
+    return result;
 }
 
 /**
- * 画面全体を更新する
+ * 照合結果に従って支出データをマージする
+ * @param {Array} localExpenses - 既存の支出データ
+ * @param {Object} diff - diffImportedExpensesの結果（conflictsのwinnerを反映済み）
+ * @returns {Array} マージ後の支出データ
  */
-function refreshUI() {
-    updateStatistics();
-    renderExpenseList();
-    renderCategoryStats();
+function mergeImportedExpenses(localExpenses, diff) {
+    const replacements = new Map(
+        diff.conflicts
+            .filter(conflict => conflict.winner === 'imported')
+            .map(conflict => [conflict.local.id, conflict.imported])
+    );
+    const merged = localExpenses.map(expense => replacements.get(expense.id) || expense);
+    
+    diff.added.forEach(expense => {
+        merged.push({
+            ...expense,
+            id: expense.id || generateId(),
+            createdAt: expense.createdAt || Date.now()
+        });
+    });
+    return merged;
 }
 
-// ========================================
-// モーダル管理機能
-// ========================================
-
-let editingExpenseId = null; // 編集中の支出ID
-
 /**
- * モーダルを開く
- * @param {string} modalId - モーダルのID
+ * カテゴリリストに、インポートしたカテゴリと支出で使われている未登録のカテゴリを追加する
+ * @param {Array} categories - 既存のカテゴリ
+ * @param {Array} importedCategories - インポートしたカテゴリ
+ * @param {Array} expenses - 支出データ
+ * @returns {Array} 追加後のカテゴリ
  */
-function openModal(modalId) {
-    const modal = document.getElementById(modalId);
-    modal.setAttribute('aria-hidden', 'false');
-    modal.style.display = 'flex';
+function mergeCategories(categories, importedCategories, expenses) {
+    const merged = [...categories];
+    [...importedCategories, ...expenses.map(expense => expense.category)].forEach(category => {
+        if (category && !merged.includes(category)) {
+            merged.push(category);
+        }
+    });
+    return merged;
 }
 
 /**
- * モーダルを閉じる
- * @param {string} modalId - モーダルのID
+ * インポートデータで既存データを上書きする
+ * @param {Object} data - インポートデータ
  */
-function closeModal(modalId) {
-    const modal = document.getElementById(modalId);
-    modal.setAttribute('aria-hidden', 'true');
-    modal.style.display = 'none';
+function applyOverwriteImport(data) {
+    if (data.expenses) {
+        // 上書きで消える支出は、同期先でも削除されるよう削除記録を残す
+        const importedIds = new Set(data.expenses.map(expense => expense.id));
+        loadExpenses()
+            .filter(expense => !importedIds.has(expense.id))
+            .forEach(expense => recordTombstone(expense.id));
+        saveExpenses(data.expenses.map(expense => (
+            expense.id ? expense : { ...expense, id: generateId(), createdAt: expense.createdAt || Date.now() }
+        )));
+    }
+    if (data.categories || data.expenses) {
+        // 記録で使われているカテゴリが一覧から漏れないように補完する
+        saveCategories(mergeCategories([], data.categories || loadCategories(),
+            filterByEntryType(data.expenses || [], 'expense')));
+    }
+    if (data.incomeCategories || data.expenses) {
+        saveIncomeCategories(mergeCategories([], data.incomeCategories || loadIncomeCategories(),
+            filterByEntryType(data.expenses || [], 'income')));
+    }
+    if (data.settings) {
+        saveSettings(data.settings);
+    }
+    if (data.budgets) {
+        saveBudgets(data.budgets);
+    }
+    if (data.recurring) {
+        saveRecurringTemplates(data.recurring);
+    }
+    if (data.categoryStyles) {
+        saveCategoryStyles(data.categoryStyles);
+    }
+    // 上書きで消える口座・振替・割り勘の人・精算も、同期先で削除されるよう削除記録を残す
+    Object.entries(SYNC_RECORD_STORES).forEach(([name, store]) => {
+        if (data[name]) {
+            const importedIds = new Set(data[name].map(record => record.id));
+            store.load()
+                .filter(record => !importedIds.has(record.id))
+                .forEach(record => recordTombstone(record.id, name));
+        }
+    });
+    if (data.accounts) {
+        saveAccounts(data.accounts);
+    }
+    if (data.transfers) {
+        saveTransfers(data.transfers);
+    }
+    if (data.people) {
+        savePeople(data.people);
+    }
+    if (data.settlements) {
+        saveSettlements(data.settlements);
+    }
+    if (data.rules) {
+        saveRules(data.rules);
+    }
+    // レシートを含むファイルの場合は、既存の添付ファイルを置き換える
+    if (data.attachments && isAttachmentStoreAvailable()) {
+        deleteAttachments(attachmentCache.map(attachment => attachment.id));
+        importAttachments(data.attachments);
+    }
 }
 
 /**
- * 支出追加モーダルを開く
+ * インポートデータを既存データにマージする
+ * 設定は既存のものを優先し、予算・定期支出・口座・振替・割り勘の人・精算・自動分類ルール・レシートは未登録のもののみ追加する
+ * @param {Object} data - インポートデータ
+ * @param {Object} diff - diffImportedExpensesの結果（conflictsのwinnerを反映済み）
  */
-function openAddExpenseModal() {
-    editingExpenseId = null;
-    document.getElementById('modalTitle').textContent = '支出を追加';
-    document.getElementById('expenseForm').reset();
-    document.getElementById('expenseDate').valueAsDate = new Date(); // 今日の日付を設定
-    document.getElementById('formError').classList.remove('show');
-    openModal('expenseModal');
+function applyMergeImport(data, diff) {
+    const expenses = mergeImportedExpenses(loadExpenses(), diff);
+    saveExpenses(expenses);
+    saveCategories(mergeCategories(loadCategories(), data.categories || [], filterByEntryType(expenses, 'expense')));
+    saveIncomeCategories(mergeCategories(loadIncomeCategories(), data.incomeCategories || [],
+        filterByEntryType(expenses, 'income')));
+    
+    if (data.budgets) {
+        saveBudgets({ ...data.budgets, ...loadBudgets() });
+    }
+    if (data.categoryStyles) {
+        saveCategoryStyles({ ...data.categoryStyles, ...loadCategoryStyles() });
+    }
+    if (data.recurring) {
+        const templates = loadRecurringTemplates();
+        const templateIds = new Set(templates.map(template => template.id));
+        saveRecurringTemplates([
+            ...templates,
+            ...data.recurring.filter(template => !templateIds.has(template.id))
+        ]);
+    }
+    // 口座・振替・割り勘の人・精算・自動分類ルールも未登録のもののみ追加する（追加したルールは優先順位の最後になる）
+    [
+        [data.accounts, loadAccounts, saveAccounts],
+        [data.transfers, loadTransfers, saveTransfers],
+        [data.people, loadPeople, savePeople],
+        [data.settlements, loadSettlements, saveSettlements],
+        [data.rules, loadRules, saveRules]
+    ].forEach(([imported, load, save]) => {
+        if (!imported) {
+            return;
+        }
+        const current = load();
+        const ids = new Set(current.map(item => item.id));
+        save([...current, ...imported.filter(item => !ids.has(item.id))]);
+    });
+    importAttachments(data.attachments);
 }
 
+// ========================================
+// JSONインポート画面
+// ========================================
+
+let pendingImport = null; // 取り込み待ちのデータと照合結果 { data, diff }
+
 /**
- * 支出編集モーダルを開く
- * @param {string} id - 支出のID
+ * JSONインポートの確認モーダルを開く
+ * @param {Object} data - インポートデータ
  */
-function editExpense(id) {
-    const expense = getExpenseById(id);
-    if (!expense) {
-        alert('支出が見つかりませんでした。');
-        return;
-    }
-    
-    editingExpenseId = id;
-    document.getElementById('modalTitle').textContent = '支出を編集';
-    document.getElementById('expenseDate').value = expense.date;
-    document.getElementById('expenseCategory').value = expense.category;
-    document.getElementById('expenseAmount').value = expense.amount;
-    document.getElementById('expenseMemo').value = expense.memo || '';
-    document.getElementById('formError').classList.remove('show');
-    openModal('expenseModal');
+function openImportModal(data) {
+    pendingImport = {
+        data,
+        diff: diffImportedExpenses(loadExpenses(), data.expenses || [])
+    };
+    document.getElementById('importModeMerge').checked = true;
+    // バックアップの復元で手動で選んだカテゴリが変わらないよう、ルールの適用は選択した場合のみ行う
+    document.getElementById('importApplyRules').checked = false;
+    renderImportSummary();
+    openModal('importModal');
 }
 
 /**
- * 支出削除確認モーダルを開く
- * @param {string} id - 支出のID
+ * 照合結果（新規・同一・競合の件数と競合の一覧）を表示する
  */
-function confirmDeleteExpense(id) {
-    const expense = getExpenseById(id);
-    if (!expense) {
-        alert('支出が見つかりませんでした。');
+function renderImportSummary() {
+    const { diff } = pendingImport;
+    const isMerge = document.getElementById('importModeMerge').checked;
+    
+    document.getElementById('importSummary').innerHTML = `
+        <li>新規: <strong>${diff.added.length}</strong>件</li>
+        <li>同一（スキップ）: <strong>${diff.identical.length}</strong>件</li>
+        <li>競合: <strong>${diff.conflicts.length}</strong>件</li>
+        ${pendingImport.data.attachments ? `<li>レシート: <strong>${pendingImport.data.attachments.length}</strong>件</li>` : ''}
+    `;
+    document.getElementById('importOverwriteWarning').style.display = isMerge ? 'none' : 'block';
+    
+    const conflictSection = document.getElementById('importConflicts');
+    if (!isMerge || diff.conflicts.length === 0) {
+        conflictSection.innerHTML = '';
         return;
     }
     
-    document.getElementById('deleteInfo').textContent = 
-        `${formatDate(expense.date)} - ${expense.category} - ${formatAmount(expense.amount)}`;
+    const describe = expense => 
+        `${formatDate(expense.date)} ${escapeHtml(expense.category)} ${formatAmount(Number(expense.amount), getExpenseCurrency(expense))} ${escapeHtml(expense.memo || '')}`;
     
-    // 削除確認ボタンにIDを保存
-    document.getElementById('confirmDeleteBtn').dataset.expenseId = id;
-    openModal('deleteModal');
+    conflictSection.innerHTML = `
+        <h3 class="modal__subtitle">競合の解決（残す方を選択）</h3>
+        ${diff.conflicts.map((conflict, index) => `
+            <div class="conflict-item">
+                <label class="conflict-item__option">
+                    <input type="radio" name="conflict-${index}" value="local" data-index="${index}"
+                        ${conflict.winner === 'local' ? 'checked' : ''}>
+                    <span>既存: ${describe(conflict.local)}</span>
+                </label>
+                <label class="conflict-item__option">
+                    <input type="radio" name="conflict-${index}" value="imported" data-index="${index}"
+                        ${conflict.winner === 'imported' ? 'checked' : ''}>
+                    <span>インポート: ${describe(conflict.imported)}</span>
+                </label>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * 競合の解決方法の変更を照合結果に反映する
+ * @param {Event} event - 変更イベント
+ */
+function handleConflictChoice(event) {
+    if (event.target.matches('input[type="radio"][data-index]')) {
+        pendingImport.diff.conflicts[event.target.dataset.index].winner = event.target.value;
+    }
 }
 
 /**
- * 支出を削除する（確認後）
+ * 選択された方法でインポートを実行する
  */
-function handleDeleteExpense() {
-    const id = document.getElementById('confirmDeleteBtn').dataset.expenseId;
-    if (id && deleteExpense(id)) {
-        closeModal('deleteModal');
-        refreshUI();
+function handleImportConfirm() {
+    const { data, diff } = pendingImport;
+    const applyRulesOnImport = document.getElementById('importApplyRules').checked;
+    let ruleAppliedCount = 0;
+    
+    if (document.getElementById('importModeMerge').checked) {
+        // マージでは新しく追加される記録のみにルールを適用する
+        if (applyRulesOnImport) {
+            const compiledRules = compileRules();
+            const added = diff.added.map(expense => applyRules(expense, compiledRules));
+            ruleAppliedCount = added.filter((expense, index) => expense !== diff.added[index]).length;
+            diff.added = added;
+        }
+        applyMergeImport(data, diff);
     } else {
-        alert('削除に失敗しました。');
+        if (!confirm('既存のデータが上書きされます。よろしいですか？')) {
+            return;
+        }
+        applyOverwriteImport(data);
+        // 上書きではカテゴリとルールも置き換わるため、取り込み後のものを使って適用する
+        if (applyRulesOnImport) {
+            ruleAppliedCount = applyRuleReapply(previewRuleReapply(loadExpenses(), compileRules()));
+        }
     }
+    
+    pendingImport = null;
+    clearOperationHistory(); // インポート前の操作は取り消せないようにする
+    requireFullSync();
+    closeModal('importModal');
+    populateCategories();
+    populateAccounts();
+    populatePeople();
+    alert(ruleAppliedCount > 0
+        ? `データのインポートが完了しました。${ruleAppliedCount}件に自動分類ルールを適用しました。`
+        : 'データのインポートが完了しました。');
+    refreshUI();
 }
 
 // ========================================
-// フォーム処理
+// CSVインポート画面
 // ========================================
 
+let csvImportRows = []; // 読み込んだCSVの全行
+
 /**
- * フォームのバリデーション
- * @param {Object} formData - フォームデータ
- * @returns {Object} { valid: boolean, errors: Array<string> }
+ * CSVファイルを読み込み（文字コードはUTF-8・Shift_JISを自動判定）、列の対応付け画面を開く
+ * @param {File} file - インポートするCSVファイル
  */
-function validateForm(formData) {
-    const errors = [];
-    
-    if (!formData.date) {
-        errors.push('日付を入力してください。');
-    }
-    
-    if (!formData.category) {
-        errors.push('カテゴリを選択してください。');
-    }
-    
-    if (!formData.amount || formData.amount <= 0) {
-        errors.push('金額を正の数値で入力してください。');
-    }
-    
-    if (formData.memo && formData.memo.length > 200) {
-        errors.push('メモは200文字以内で入力してください。');
-    }
-    
-    return {
-        valid: errors.length === 0,
-        errors
+function openCsvImport(file) {
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        csvImportRows = parseCsv(decodeText(e.target.result));
+        if (csvImportRows.length === 0) {
+            alert('CSVファイルにデータがありません。');
+            return;
+        }
+        
+        // 列の選択肢を設定
+        const columnCount = Math.max(...csvImportRows.map(row => row.length));
+        const header = csvImportRows[0];
+        const options = Array.from({ length: columnCount }, (_, index) => 
+            `<option value="${index}">${index + 1}列目（${escapeHtml(header[index] || '')}）</option>`
+        ).join('');
+        ['csvDateColumn', 'csvAmountColumn', ...CSV_OPTIONAL_COLUMN_IDS].forEach(id => {
+            const optional = CSV_OPTIONAL_COLUMN_IDS.includes(id);
+            document.getElementById(id).innerHTML = 
+                (optional ? '<option value="-1">（使用しない）</option>' : '') + options;
+        });
+        
+        // ヘッダー名から対応付けを推測
+        const guessed = guessCsvMapping(header);
+        const hasHeader = guessed.date >= 0 || guessed.amount >= 0;
+        document.getElementById('csvHasHeader').checked = hasHeader;
+        document.getElementById('csvDateColumn').value = String(Math.max(guessed.date, 0));
+        document.getElementById('csvAmountColumn').value = String(guessed.amount >= 0 ? guessed.amount : Math.min(2, columnCount - 1));
+        document.getElementById('csvCategoryColumn').value = String(guessed.category);
+        document.getElementById('csvMemoColumn').value = String(guessed.memo);
+        document.getElementById('csvTypeColumn').value = String(guessed.type);
+        document.getElementById('csvAccountColumn').value = String(guessed.account);
+        document.getElementById('csvCurrencyColumn').value = String(guessed.currency);
+        document.getElementById('csvDateFormat').value = CSV_DATE_FORMATS.find(format => 
+            parseDateWithFormat((csvImportRows[hasHeader ? 1 : 0] || [])[Math.max(guessed.date, 0)], format)
+        ) || CSV_DATE_FORMATS[0];
+        
+        renderCsvPreview();
+        openModal('csvImportModal');
     };
+    reader.readAsArrayBuffer(file);
 }
 
 /**
- * フォーム送信処理
+ * 画面で選択された列の対応付けでCSVを変換する
+ * @returns {Array<Object>} { data, errors } の配列
  */
-function handleFormSubmit(event) {
-    event.preventDefault();
-    
-    // フォームデータを取得
-    const formData = {
-        date: document.getElementById('expenseDate').value,
-        category: document.getElementById('expenseCategory').value,
-        amount: document.getElementById('expenseAmount').value,
-        memo: document.getElementById('expenseMemo').value.trim()
+function getMappedCsvRows() {
+    const hasHeader = document.getElementById('csvHasHeader').checked;
+    const mapping = {
+        date: parseInt(document.getElementById('csvDateColumn').value, 10),
+        amount: parseInt(document.getElementById('csvAmountColumn').value, 10),
+        category: parseInt(document.getElementById('csvCategoryColumn').value, 10),
+        memo: parseInt(document.getElementById('csvMemoColumn').value, 10),
+        type: parseInt(document.getElementById('csvTypeColumn').value, 10),
+        account: parseInt(document.getElementById('csvAccountColumn').value, 10),
+        currency: parseInt(document.getElementById('csvCurrencyColumn').value, 10),
+        dateFormat: document.getElementById('csvDateFormat').value,
+        defaultCategory: loadSettings().defaultCategory,
+        rules: document.getElementById('csvApplyRules').checked ? compileRules() : null
     };
+    return mapCsvRows(hasHeader ? csvImportRows.slice(1) : csvImportRows, mapping);
+}
+
+/**
+ * CSVの変換結果をプレビュー表示する
+ */
+function renderCsvPreview() {
+    const mappedRows = getMappedCsvRows();
+    const validCount = mappedRows.filter(row => row.errors.length === 0).length;
     
-    // バリデーション
-    const validation = validateForm(formData);
-    const errorElement = document.getElementById('formError');
-    
-    if (!validation.valid) {
-        errorElement.textContent = validation.errors.join('\n');
-        errorElement.classList.add('show');
-        return;
-    }
+    document.getElementById('csvPreviewSummary').textContent = 
+        `取り込み可能: ${validCount}件 / エラー: ${mappedRows.length - validCount}件`;
+    document.getElementById('csvPreviewBody').innerHTML = mappedRows.slice(0, 20).map(row => {
+        const { data, errors } = row;
+        return `
+            <tr class="${errors.length > 0 ? 'preview-row--error' : ''}">
+                <td>${data.date ? formatDate(data.date) : '-'}</td>
+                <td>${ENTRY_TYPES[data.type]}</td>
+                <td>${escapeHtml(data.category || '-')}${data.tags.length > 0 ? renderTagChips(data.tags) : ''}</td>
+                <td>${escapeHtml(getAccountName(data.accountId))}</td>
+                <td class="amount-cell">${isNaN(data.amount) ? '-' : formatAmount(data.amount, data.currency)}</td>
+                <td class="memo-cell">${escapeHtml(data.memo || '-')}</td>
+                <td>${errors.length > 0 ? escapeHtml(errors.join(' ')) : 'OK'}</td>
+            </tr>
+        `;
+    }).join('');
+    document.getElementById('confirmCsvImportBtn').disabled = validCount === 0;
+}
+
+/**
+ * CSVの取り込みを実行する（エラーのある行はスキップ）
+ */
+function handleCsvImport() {
+    const validRows = getMappedCsvRows().filter(row => row.errors.length === 0);
     
-    errorElement.classList.remove('show');
+    // 未登録のカテゴリは種別ごとのカテゴリリストに追加する
+    Object.keys(ENTRY_TYPES).forEach(type => {
+        const categories = loadCategoriesByType(type);
+        const newCategories = [...new Set(filterByEntryType(validRows.map(row => row.data), type)
+            .map(data => data.category))]
+            .filter(category => !categories.includes(category));
+        if (newCategories.length > 0) {
+            saveCategoriesByType(type, [...categories, ...newCategories]);
+        }
+    });
+    populateCategories();
     
-    // 追加または更新
-    let success = false;
-    if (editingExpenseId) {
-        success = updateExpense(editingExpenseId, formData);
-    } else {
-        success = addExpense(formData);
-    }
+    validRows.forEach(row => addExpense(row.data, { recordHistory: false }));
     
-    if (success) {
-        closeModal('expenseModal');
-        refreshUI();
-    } else {
-        alert('保存に失敗しました。');
-    }
+    closeModal('csvImportModal');
+    csvImportRows = [];
+    alert(`${validRows.length}件の記録を取り込みました。`);
+    refreshUI();
 }
 
 // ========================================
-// データエクスポート・インポート機能
+// 明細インポート画面
 // ========================================
 
+let statementQueue = []; // 確認待ちの明細の記録（buildStatementQueueの結果）
+let statementFormatName = ''; // 読み込んだ明細の形式の名前
+
 /**
- * データをエクスポートする（JSON形式）
+ * 明細の形式の名前を取得する
+ * @param {string} format - 'ofx' | 'qif' | CARD_CSV_PRESETSのキー
+ * @returns {string} 形式の名前
  */
-function exportData() {
-    const expenses = loadExpenses();
-    const categories = loadCategories();
-    const settings = loadSettings();
-    
-    const data = {
-        expenses,
-        categories,
-        settings,
-        exportDate: new Date().toISOString()
-    };
-    
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `expense-tracker-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+function getStatementFormatName(format) {
+    return STATEMENT_FORMATS[format] || `${CARD_CSV_PRESETS[format].name}（CSV）`;
 }
 
 /**
- * データをインポートする（JSON形式）
- * @param {File} file - インポートするJSONファイル
+ * 明細ファイルを読み込み、取り込む記録の確認画面を開く
+ * @param {File} file - 明細ファイル（OFX・QFX・QIF・カード会社のCSV）
  */
-function importData(file) {
+function openStatementImport(file) {
     const reader = new FileReader();
     reader.onload = function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            
-            if (!confirm('インポートすると既存のデータが上書きされます。よろしいですか？')) {
-                return;
-            }
-            
-            // データを保存
-            if (data.expenses) {
-                saveExpenses(data.expenses);
-            }
-            if (data.categories) {
-                saveCategories(data.categories);
-                populateCategories();
-            }
-            if (data.settings) {
-                localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(data.settings));
-            }
-            
-            alert('データのインポートが完了しました。');
-            refreshUI();
-        } catch (error) {
-            console.error('インポートエラー:', error);
-            alert('ファイルの読み込みに失敗しました。正しいJSON形式のファイルを選択してください。');
+        const text = decodeText(e.target.result, document.getElementById('statementEncoding').value);
+        const selectedFormat = document.getElementById('statementFormat').value;
+        const format = selectedFormat === 'auto' ? detectStatementFormat(file.name, text) : selectedFormat;
+        if (!format) {
+            alert('明細の形式を判定できませんでした。形式を選択して読み込み直すか、CSVファイルの場合は「CSVファイルを選択」から列を指定して取り込んでください。');
+            return;
         }
+        const statement = parseStatement(text, format);
+        if (!statement) {
+            alert(`${getStatementFormatName(format)}の明細として読み込めませんでした。`);
+            return;
+        }
+        if (statement.transactions.length === 0) {
+            alert('明細に取引がありません。');
+            return;
+        }
+        
+        const accountSelect = document.getElementById('statementAccount');
+        accountSelect.value = loadSettings().defaultAccountId;
+        statementFormatName = getStatementFormatName(format);
+        statementQueue = buildStatementQueue(statement.transactions, {
+            currency: statement.currency,
+            accountId: accountSelect.value
+        });
+        renderStatementQueue();
+        openModal('statementModal');
     };
-    reader.readAsText(file);
+    reader.onerror = function() {
+        alert('ファイルの読み込みに失敗しました。');
+    };
+    reader.readAsArrayBuffer(file);
+}
+
+/**
+ * 取り込む記録の一覧を表示する
+ * 重複の可能性がある記録には対応する既存の記録を、エラーのある記録にはエラーを表示する
+ */
+function renderStatementQueue() {
+    const selectedCount = statementQueue.filter(item => item.include).length;
+    const duplicateCount = statementQueue.filter(item => item.duplicate).length;
+    document.getElementById('statementSummary').textContent = 
+        `形式: ${statementFormatName} / 取引: ${statementQueue.length}件 / 重複の可能性: ${duplicateCount}件 / 選択: ${selectedCount}件`;
+    
+    document.getElementById('statementQueueBody').innerHTML = statementQueue.map((item, index) => {
+        const { data, duplicate } = item;
+        const errors = validateForm(data).errors;
+        const categoryOptions = ['', ...loadCategoriesByType(data.type)].map(category => 
+            `<option value="${escapeHtml(category)}" ${category === data.category ? 'selected' : ''}>${escapeHtml(category || '選択してください')}</option>`
+        ).join('');
+        let status = 'OK';
+        if (duplicate) {
+            status = `重複の可能性: ${formatDate(duplicate.date)} ${escapeHtml(duplicate.category)} ${escapeHtml(duplicate.memo || '')}`;
+        } else if (errors.length > 0) {
+            status = escapeHtml(errors.join(' '));
+        }
+        return `
+            <tr class="${errors.length > 0 ? 'preview-row--error' : ''}${duplicate ? ' statement-row--duplicate' : ''}">
+                <td><input type="checkbox" data-index="${index}" data-field="include" aria-label="取り込む" ${item.include ? 'checked' : ''}></td>
+                <td>${data.date ? formatDate(data.date) : '-'}</td>
+                <td>
+                    <input type="text" class="form-input" data-index="${index}" data-field="memo" maxlength="200"
+                        value="${escapeHtml(data.memo)}" aria-label="メモ">
+                    ${data.tags.length > 0 ? renderTagChips(data.tags) : ''}
+                </td>
+                <td>${ENTRY_TYPES[data.type]}</td>
+                <td>
+                    <select class="form-select" data-index="${index}" data-field="category" aria-label="カテゴリ">${categoryOptions}</select>
+                </td>
+                <td class="amount-cell">${isNaN(data.amount) ? '-' : formatAmount(data.amount, data.currency)}</td>
+                <td>${status}</td>
+            </tr>
+        `;
+    }).join('');
+    document.getElementById('confirmStatementImportBtn').disabled = selectedCount === 0;
+}
+
+/**
+ * 取り込む記録の選択・メモ・カテゴリの変更を反映する（イベントデリゲーション）
+ * @param {Event} event - 変更イベント
+ */
+function handleStatementQueueChange(event) {
+    const { index, field } = event.target.dataset;
+    if (index === undefined) {
+        return;
+    }
+    const item = statementQueue[index];
+    if (field === 'include') {
+        item.include = event.target.checked;
+    } else {
+        item.data = { ...item.data, [field]: field === 'memo' ? event.target.value.trim() : event.target.value };
+    }
+    renderStatementQueue();
+}
+
+/**
+ * 取り込む記録の口座を変更する（すべての記録に反映する）
+ */
+function handleStatementAccountChange() {
+    const accountId = document.getElementById('statementAccount').value;
+    statementQueue.forEach(item => {
+        item.data = { ...item.data, accountId };
+    });
+    renderStatementQueue();
+}
+
+/**
+ * 選択した記録を取り込む
+ * エラーのある記録が選択されている場合は取り込まない
+ */
+function handleStatementImport() {
+    const selected = statementQueue.filter(item => item.include);
+    const invalidCount = selected.filter(item => !validateForm(item.data).valid).length;
+    if (invalidCount > 0) {
+        alert(`${invalidCount}件の記録にエラーがあります。カテゴリなどを修正するか、取り込まないように選択を外してください。`);
+        return;
+    }
+    
+    selected.forEach(item => addExpense(item.data, { recordHistory: false }));
+    
+    closeModal('statementModal');
+    statementQueue = [];
+    alert(`${selected.length}件の記録を取り込みました。`);
+    refreshUI();
 }
 
 // ========================================
@@ -758,12 +10178,31 @@ function importData(file) {
 /**
  * アプリケーションの初期化
  */
-function init() {
-    // データの初期化
-    initializeData();
+async function init() {
+    // 支出データを読み込み、データを初期化
+    await initExpenseStore();
+    await initializeData();
+    
+    // 保存期間を過ぎたゴミ箱の支出と、削除済みの支出の添付ファイルを完全に削除
+    purgeExpiredTrash();
+    purgeOrphanAttachments();
     
-    // カテゴリ選択肢を設定
+    // カテゴリ・口座・通貨・表示件数の選択肢を設定
     populateCategories();
+    populateAccounts();
+    populatePeople();
+    populateCurrencies();
+    populatePageSizes();
+    populateStatementFormats();
+    
+    // 未生成の定期支出を登録
+    generateRecurringExpenses();
+    
+    // URLハッシュで指定されたフィルタを反映（タグの選択肢を先に用意する）
+    populateTags();
+    applyFilterState(parseFilterHash(window.location.hash));
+    renderSearchQueryError();
+    renderSavedFilters();
     
     // UIを更新
     refreshUI();
@@ -794,6 +10233,286 @@ function init() {
     
     // フォーム送信
     document.getElementById('expenseForm').addEventListener('submit', handleFormSubmit);
+    document.getElementById('expenseTableBody').addEventListener('click', handleExpenseTableClick);
+    
+    // クイック入力
+    document.getElementById('quickEntryForm').addEventListener('submit', handleQuickEntrySubmit);
+    document.getElementById('quickEntryInput').addEventListener('input', renderQuickEntryPreview);
+    renderQuickEntryPreview();
+    document.getElementById('expenseCurrency').addEventListener('change', updateExpenseAmountStep);
+    document.getElementById('recurringCurrency').addEventListener('change', event => {
+        setAmountInputStep('recurringAmount', event.target.value);
+    });
+    document.getElementById('expenseType').addEventListener('change', event => {
+        setExpenseFormType(event.target.value);
+        updateSplitFields();
+        updateCategorySuggestion();
+    });
+    // カテゴリの提案（入力内容の変更時に更新）
+    ['expenseMemo', 'expenseAmount'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateCategorySuggestion);
+    });
+    ['expenseDate', 'expenseCategory', 'expenseAccount', 'expenseCurrency'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateCategorySuggestion);
+    });
+    document.getElementById('categorySuggestion').addEventListener('click', event => {
+        if (event.target.closest('#applyCategorySuggestionBtn')) {
+            applyCategorySuggestion();
+        }
+    });
+    
+    // 予算設定
+    document.getElementById('budgetButton').addEventListener('click', openBudgetModal);
+    document.getElementById('budgetForm').addEventListener('submit', handleBudgetFormSubmit);
+    document.getElementById('cancelBudgetBtn').addEventListener('click', () => {
+        closeModal('budgetModal');
+    });
+    document.getElementById('closeBudgetModalBtn').addEventListener('click', () => {
+        closeModal('budgetModal');
+    });
+    
+    // 定期支出
+    document.getElementById('recurringButton').addEventListener('click', openRecurringModal);
+    document.getElementById('recurringForm').addEventListener('submit', handleRecurringFormSubmit);
+    document.getElementById('recurringFrequency').addEventListener('change', updateRecurringDayField);
+    document.getElementById('recurringList').addEventListener('click', handleRecurringListClick);
+    document.getElementById('recurringType').addEventListener('change', event => {
+        populateFormCategories('recurringCategory', event.target.value);
+    });
+    document.getElementById('resetRecurringBtn').addEventListener('click', resetRecurringForm);
+    document.getElementById('closeRecurringModalBtn').addEventListener('click', () => {
+        closeModal('recurringModal');
+    });
+    
+    // カテゴリ管理
+    document.getElementById('categoryButton').addEventListener('click', openCategoryModal);
+    document.getElementById('categoryManagerType').addEventListener('change', handleCategoryManagerTypeChange);
+    document.getElementById('categoryForm').addEventListener('submit', handleAddCategory);
+    document.getElementById('categoryManagerList').addEventListener('click', handleCategoryManagerClick);
+    document.getElementById('categoryManagerList').addEventListener('change', handleCategoryStyleChange);
+    document.getElementById('confirmCategoryActionBtn').addEventListener('click', handleCategoryAction);
+    document.getElementById('cancelCategoryActionBtn').addEventListener('click', closeCategoryAction);
+    document.getElementById('closeCategoryModalBtn').addEventListener('click', () => {
+        closeModal('categoryModal');
+    });
+    
+    // タグ
+    document.getElementById('tagButton').addEventListener('click', openTagModal);
+    document.getElementById('tagManagerList').addEventListener('click', handleTagManagerClick);
+    document.getElementById('closeTagModalBtn').addEventListener('click', () => {
+        closeModal('tagModal');
+    });
+    document.getElementById('expenseTagInput').addEventListener('keydown', handleTagInputKeydown);
+    document.getElementById('expenseTagInput').addEventListener('change', commitTagInput);
+    document.getElementById('tagEditor').addEventListener('click', handleTagEditorClick);
+    
+    // レシート
+    document.getElementById('attachmentFileInput').addEventListener('change', handleAttachmentInput);
+    document.getElementById('attachmentCameraInput').addEventListener('change', handleAttachmentInput);
+    document.getElementById('expenseAttachmentList').addEventListener('click', handleAttachmentEditorClick);
+    document.getElementById('lightboxPrevBtn').addEventListener('click', () => showLightboxAttachment(lightboxIndex - 1));
+    document.getElementById('lightboxNextBtn').addEventListener('click', () => showLightboxAttachment(lightboxIndex + 1));
+    document.getElementById('closeLightboxBtn').addEventListener('click', closeLightbox);
+    document.addEventListener('keydown', handleLightboxKeydown);
+    document.getElementById('expenseTableBody').addEventListener('click', handleTagChipClick);
+    
+    // 口座
+    document.getElementById('accountButton').addEventListener('click', openAccountModal);
+    document.getElementById('accountForm').addEventListener('submit', handleAccountFormSubmit);
+    document.getElementById('accountKind').addEventListener('change', updateAccountCardFields);
+    document.getElementById('resetAccountBtn').addEventListener('click', resetAccountForm);
+    document.getElementById('accountList').addEventListener('click', handleAccountListClick);
+    document.getElementById('confirmAccountActionBtn').addEventListener('click', handleAccountAction);
+    document.getElementById('cancelAccountActionBtn').addEventListener('click', closeAccountAction);
+    document.getElementById('transferForm').addEventListener('submit', handleTransferFormSubmit);
+    document.getElementById('ledgerAccount').addEventListener('change', renderLedger);
+    document.getElementById('ledgerView').addEventListener('change', renderLedger);
+    document.getElementById('ledgerContent').addEventListener('click', handleLedgerClick);
+    document.getElementById('accountStats').addEventListener('click', handleAccountStatClick);
+    document.getElementById('closeAccountModalBtn').addEventListener('click', () => {
+        closeModal('accountModal');
+    });
+    document.getElementById('tagStats').addEventListener('click', handleTagChipClick);
+    
+    // 割り勘
+    document.getElementById('splitButton').addEventListener('click', openSplitModal);
+    
+    // 自動分類ルール
+    document.getElementById('ruleButton').addEventListener('click', openRuleModal);
+    document.getElementById('closeRuleModalBtn').addEventListener('click', () => {
+        closeModal('ruleModal');
+    });
+    document.getElementById('ruleList').addEventListener('click', handleRuleListClick);
+    document.getElementById('ruleCandidateList').addEventListener('click', handleRuleCandidateClick);
+    document.getElementById('ruleForm').addEventListener('submit', handleRuleFormSubmit);
+    document.getElementById('resetRuleBtn').addEventListener('click', resetRuleForm);
+    document.getElementById('ruleType').addEventListener('change', populateRuleCategories);
+    document.getElementById('ruleReapplyBtn').addEventListener('click', openRuleReapply);
+    document.getElementById('cancelRuleReapplyBtn').addEventListener('click', closeRuleReapply);
+    document.getElementById('confirmRuleReapplyBtn').addEventListener('click', handleRuleReapplyConfirm);
+    document.getElementById('settleUpList').addEventListener('click', handleSettleUpClick);
+    document.getElementById('settleAllBtn').addEventListener('click', handleSettleAll);
+    document.getElementById('settlementForm').addEventListener('submit', handleSettlementFormSubmit);
+    document.getElementById('settlementList').addEventListener('click', handleSettlementListClick);
+    document.getElementById('personForm').addEventListener('submit', handlePersonFormSubmit);
+    document.getElementById('personList').addEventListener('click', handlePersonListClick);
+    document.getElementById('closeSplitModalBtn').addEventListener('click', () => {
+        closeModal('splitModal');
+    });
+    document.getElementById('splitEnabled').addEventListener('change', updateSplitFields);
+    document.getElementById('splitMethod').addEventListener('change', updateSplitFields);
+    document.getElementById('splitPeople').addEventListener('change', updateSplitFields);
+    document.getElementById('splitPeople').addEventListener('input', updateSplitFields);
+    document.getElementById('expenseAmount').addEventListener('input', updateSplitFields);
+    document.getElementById('myShareOnly').checked = loadSettings().myShareOnly;
+    document.getElementById('myShareOnly').addEventListener('change', (e) => {
+        saveSettings({ ...loadSettings(), myShareOnly: e.target.checked });
+        refreshUI();
+    });
+    
+    // 集計期間の切り替え
+    document.getElementById('periodUnit').addEventListener('change', (e) => {
+        changePeriodUnit(e.target.value);
+    });
+    document.getElementById('prevPeriodBtn').addEventListener('click', () => {
+        setSelectedPeriod(selectedPeriod.unit, getNextPeriodKey(selectedPeriod.key, selectedPeriod.unit, -1));
+    });
+    document.getElementById('nextPeriodBtn').addEventListener('click', () => {
+        setSelectedPeriod(selectedPeriod.unit, getNextPeriodKey(selectedPeriod.key, selectedPeriod.unit, 1));
+    });
+    document.getElementById('currentPeriodBtn').addEventListener('click', () => {
+        setSelectedPeriod(selectedPeriod.unit, getPeriodKey(toDateString(new Date()), selectedPeriod.unit));
+    });
+    
+    // ゴミ箱
+    document.getElementById('trashButton').addEventListener('click', openTrashModal);
+    document.getElementById('closeTrashModalBtn').addEventListener('click', () => {
+        closeModal('trashModal');
+    });
+    document.getElementById('trashList').addEventListener('click', handleTrashListClick);
+    document.getElementById('emptyTrashBtn').addEventListener('click', handleEmptyTrash);
+    
+    // 同期
+    document.getElementById('syncButton').addEventListener('click', () => handleSync());
+    document.getElementById('syncConfigForm').addEventListener('change', handleSyncConfigChange);
+    document.getElementById('syncConfigForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleSyncConfigChange();
+    });
+    window.addEventListener('online', handleOnline);
+    
+    // 新しいバージョンの通知
+    document.getElementById('applyUpdateBtn').addEventListener('click', handleApplyUpdate);
+    document.getElementById('dismissUpdateBtn').addEventListener('click', hideUpdatePrompt);
+    
+    // 元に戻す・やり直す
+    document.getElementById('toastActionBtn').addEventListener('click', handleToastAction);
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // 設定
+    document.getElementById('settingsButton').addEventListener('click', openSettingsModal);
+    document.getElementById('settingsForm').addEventListener('change', handleSettingsChange);
+    document.getElementById('settingsForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        closeModal('settingsModal');
+    });
+    document.getElementById('closeSettingsModalBtn').addEventListener('click', () => {
+        closeModal('settingsModal');
+    });
+    document.getElementById('doneSettingsBtn').addEventListener('click', () => {
+        closeModal('settingsModal');
+    });
+    document.getElementById('exchangeRateForm').addEventListener('submit', handleExchangeRateSubmit);
+    document.getElementById('exchangeRateList').addEventListener('click', handleExchangeRateListClick);
+    
+    // 期間比較
+    document.getElementById('compareButton').addEventListener('click', openCompareModal);
+    document.getElementById('compareUnit').addEventListener('change', (e) => {
+        const range = getPeriodRange(comparePeriod.key, comparePeriod.unit);
+        comparePeriod = { unit: e.target.value, key: getPeriodKey(range.start, e.target.value) };
+        renderComparison();
+    });
+    document.getElementById('compareTarget').addEventListener('change', renderComparison);
+    document.getElementById('comparePrevBtn').addEventListener('click', () => {
+        comparePeriod.key = getNextPeriodKey(comparePeriod.key, comparePeriod.unit, -1);
+        renderComparison();
+    });
+    document.getElementById('compareNextBtn').addEventListener('click', () => {
+        comparePeriod.key = getNextPeriodKey(comparePeriod.key, comparePeriod.unit, 1);
+        renderComparison();
+    });
+    document.getElementById('closeCompareModalBtn').addEventListener('click', () => {
+        closeModal('compareModal');
+    });
+    
+    // グラフ
+    const chartSection = document.getElementById('chartSection');
+    chartSection.addEventListener('mousemove', handleChartHover);
+    chartSection.addEventListener('mouseleave', () => {
+        document.getElementById('chartTooltip').style.display = 'none';
+    });
+    chartSection.addEventListener('click', handleChartClick);
+    document.getElementById('trendUnit').addEventListener('change', renderCharts);
+    
+    // データ管理（エクスポート・インポート）
+    document.getElementById('dataButton').addEventListener('click', () => {
+        openModal('dataModal');
+    });
+    document.getElementById('closeDataModalBtn').addEventListener('click', () => {
+        closeModal('dataModal');
+    });
+    document.getElementById('exportJsonBtn').addEventListener('click', exportData);
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('importJsonInput').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            closeModal('dataModal');
+            importData(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('importCsvInput').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            closeModal('dataModal');
+            openCsvImport(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('importStatementInput').addEventListener('change', (e) => {
+        if (e.target.files[0]) {
+            closeModal('dataModal');
+            openStatementImport(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    
+    // 明細インポート（取り込む記録の確認）
+    document.getElementById('statementQueueBody').addEventListener('change', handleStatementQueueChange);
+    document.getElementById('statementAccount').addEventListener('change', handleStatementAccountChange);
+    document.getElementById('confirmStatementImportBtn').addEventListener('click', handleStatementImport);
+    document.getElementById('cancelStatementImportBtn').addEventListener('click', () => {
+        statementQueue = [];
+        closeModal('statementModal');
+    });
+    
+    // JSONインポート（取り込み方法の選択）
+    document.getElementById('importModeMerge').addEventListener('change', renderImportSummary);
+    document.getElementById('importModeOverwrite').addEventListener('change', renderImportSummary);
+    document.getElementById('importConflicts').addEventListener('change', handleConflictChoice);
+    document.getElementById('confirmImportBtn').addEventListener('click', handleImportConfirm);
+    document.getElementById('cancelImportBtn').addEventListener('click', () => {
+        pendingImport = null;
+        closeModal('importModal');
+    });
+    
+    // CSVインポート（対応付けの変更時にプレビューを更新）
+    ['csvHasHeader', 'csvDateColumn', 'csvAmountColumn', ...CSV_OPTIONAL_COLUMN_IDS, 'csvDateFormat', 'csvApplyRules']
+        .forEach(id => {
+            document.getElementById(id).addEventListener('change', renderCsvPreview);
+        });
+    document.getElementById('confirmCsvImportBtn').addEventListener('click', handleCsvImport);
+    document.getElementById('cancelCsvImportBtn').addEventListener('click', () => {
+        closeModal('csvImportModal');
+    });
     
     // 削除確認
     document.getElementById('confirmDeleteBtn').addEventListener('click', handleDeleteExpense);
@@ -803,25 +10522,40 @@ function init() {
     
     // フィルタリング・ソートの変更時に一覧を更新
     const filterInputs = [
-        'dateFrom', 'dateTo', 'categoryFilter', 
+        'searchQuery', 'typeFilter', 'accountFilter', 'dateFrom', 'dateTo', 'categoryFilter', 'tagFilter',
         'amountMin', 'amountMax', 'searchMemo', 'sortBy'
     ];
+    // 入力中は再描画をまとめ、確定時（change）は即座に反映する
+    const refreshAfterInput = debounce(handleFilterChange, FILTER_INPUT_DELAY);
     filterInputs.forEach(id => {
-        document.getElementById(id).addEventListener('change', refreshUI);
-        document.getElementById(id).addEventListener('input', refreshUI);
+        document.getElementById(id).addEventListener('change', () => {
+            refreshAfterInput.cancel();
+            handleFilterChange();
+        });
+        document.getElementById(id).addEventListener('input', refreshAfterInput);
     });
     
     // フィルタクリアボタン
     document.getElementById('clearFiltersBtn').addEventListener('click', () => {
-        document.getElementById('dateFrom').value = '';
-        document.getElementById('dateTo').value = '';
-        document.getElementById('categoryFilter').value = '';
-        document.getElementById('amountMin').value = '';
-        document.getElementById('amountMax').value = '';
-        document.getElementById('searchMemo').value = '';
-        document.getElementById('sortBy').value = 'date-desc';
-        refreshUI();
+        applyFilterState({});
+        handleFilterChange();
     });
+    
+    // 保存したフィルタ・URLハッシュ
+    document.getElementById('saveFilterBtn').addEventListener('click', handleSaveFilter);
+    document.getElementById('savedFilterList').addEventListener('click', handleSavedFilterClick);
+    window.addEventListener('hashchange', handleFilterHashChange);
+    
+    // ページ送り
+    document.getElementById('pageSize').addEventListener('change', handlePageSizeChange);
+    document.getElementById('pagination').addEventListener('click', handlePaginationClick);
+    
+    // 同期先が設定されていれば起動時に同期する
+    updateSyncStatus();
+    handleSync({ silent: true });
+    
+    // オフラインで利用できるようにService Workerを登録
+    registerServiceWorker();
 }
 
 // DOMContentLoaded時に初期化
@@ -831,39 +10565,3 @@ if (document.readyState === 'loading') {
     init();
 }
 
-
-// 追加分ここから
-const SCRIPT_URL = "https://script.google.com/macros/s/AKfycbyHe24aV44cu7xG7Ch27qOP9LKE3uNS9SIoG-7grt5fCaJytOwt3s7K3BGtSGnsIWKx/exec";  // GAS Web App URL
-const SECRET = "abcdabcd1234"; // GAS と同じ値
-
-async function syncToSheet() {
-    const data = {};
-    for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        let value = localStorage.getItem(key);
-        try { value = JSON.parse(value); } catch(e) {}
-        data[key] = value;
-    }
-
-    try {
-        const result = await fetch(SCRIPT_URL, {
-            method: "POST",
-            headers: { "Content-Type": "text/plain" },  // ← プリフライトを防ぐ
-            body: JSON.stringify({ secret: SECRET, data: data })
-        });
-
-        const json = await result.json();
-
-        if (json.ok) {
-            alert("スプレッドシートに同期しました！");
-        } else {
-            alert("エラー: " + json.error);
-        }
-    } catch (err) {
-        console.error(err);
-        alert("通信エラーが発生しました。");
-    }
-}
-
-// ボタンにイベントを設定（DOM はすでに読み込まれている想定）
-document.getElementById("syncButton").addEventListener("click", syncToSheet);
\ No newline at end of file
@@ -0,0 +1,78 @@
+// ========================================
+// Service Worker（オフライン対応）
+// ========================================
+
+// アプリのファイルを変更したら、必ずCACHE_VERSIONを更新すること
+// （新しいService Workerがインストールされ、利用者に更新を通知する）
+const CACHE_VERSION = 10;
+const CACHE_PREFIX = 'expenseTracker-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// オフラインで利用するためにインストール時に保存するファイル
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './style.css',
+    './main.js',
+    './manifest.webmanifest',
+    './icon.svg'
+];
+
+/**
+ * インストール時にアプリのファイルを保存する
+ * ブラウザのHTTPキャッシュに残った古いファイルを保存しないよう、サーバーから取得し直す
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+/**
+ * 有効化時に古いバージョンのキャッシュを削除する
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * 画面で「更新」が選ばれたら、待機中の新しいService Workerを有効にする
+ */
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * 同じオリジンへのGETリクエストにはキャッシュを優先して応答する
+ * 同期先へのリクエスト（POST・別オリジン）はそのままネットワークに送る
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    
+    // 画面遷移はクエリ文字列などに関わらずアプリのHTMLを返す
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});